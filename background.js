@@ -5,56 +5,238 @@
  * - New preference "tabPolicy": "trim" (close oldest) or "block" (prevent new tabs).
  * - When "block" and the threshold would be exceeded, the newly created tab is closed immediately
  *   and a throttled notification is shown. Also the action badge shows "MAX".
+ *
+ * Added in v1.2:
+ * - Sessions record windows, tab groups, tab order and pinned state (see lib/sessions.js),
+ *   and restore/import rebuild that layout.
+ * - Grouping follows user rules (see lib/grouping.js), reuses existing groups and can run
+ *   automatically when a tab navigates.
+ * - Duplicate detection compares normalized URLs (see lib/url-normalizer.js) and lets the
+ *   user choose which copy survives.
+ * - Every tab the extension closes is journaled (see lib/closed-journal.js) and can be
+ *   reopened from the popup or the block notification's "undo" button.
+ * - Automatic session snapshots on a timer, at startup and of the last layout before
+ *   shutdown, with a retention policy (see lib/snapshots.js).
+ * - Time tracking pauses while idle, locked or unfocused, follows in-tab navigation and
+ *   keeps its state in storage.session across service-worker restarts (see lib/time-tracker.js).
+ * - Time is also bucketed per day (see lib/stats.js); getDomainStats takes a range and the
+ *   dashboard page charts it.
+ * - Per-domain daily time budgets and scheduled focus windows (see lib/budgets.js); blocked
+ *   sites are redirected to blocked.html or closed.
+ * - Tab limits per window and per tab group besides the (now optional) global cap
+ *   (see lib/limits.js). The badge and popup show the limit of the focused window.
+ *   Limits set for one window are matched back to it by URL after a restart
+ *   (lib/window-limits.js).
+ * - Trim order comes from a weighted keep-score (last access, audio, groups, domain time,
+ *   protect levels, unsaved form input) instead of in-memory activity (see lib/trim-score.js).
+ * - Optional timer that discards tabs left inactive for N minutes (see lib/auto-discard.js).
+ * - Whitelist rules are URL patterns (subdomains, wildcards, paths, regex), each naming the
+ *   actions it exempts tabs from (see lib/whitelist.js). Replaces the plain domain list.
+ * - Tab search in the popup over open, saved and recently closed tabs, with its own
+ *   keyboard shortcut (ranking in lib/fuzzy.js).
+ * - Saved sessions can be edited (rename, tags, notes, remove/reorder/add tabs, merge) and
+ *   saved from one window or the selected tabs. All writes go through lib/session-store.js.
+ * - Sessions import/export as JSON (one archive for all), OneTab text, bookmark HTML,
+ *   Markdown or plain URLs (lib/session-formats.js). Exports download through a data: URL,
+ *   since service workers have no URL.createObjectURL.
+ * - Opt-in sync of settings categories and manual sessions through chrome.storage.sync,
+ *   chunked and compressed to fit its quotas (see lib/sync.js). The cache below still reads
+ *   storage.local; changes arriving in the sync area are applied there first.
+ * - Optional passphrase for saved sessions: AES-GCM at rest and in exported files, unlocked
+ *   from the popup once per browser session (lib/session-crypto.js, lib/session-store.js).
+ *   Snapshots are skipped while locked.
+ * - Right-click menus on pages, links and the toolbar icon (lib/context-menus.js), each one
+ *   switchable on the options page. "Exempt from trimming" lasts N minutes and is kept in
+ *   storage.session (trimExemptions).
+ * - Policy "queue": tabs over the limit are closed once their URL is known and kept in a
+ *   read-later queue (lib/read-later.js) that opens again as room frees up.
+ * - Cleanup page (cleanup.html) listing stale, same-domain, discarded, failed and already
+ *   saved tabs with bulk actions (lib/cleanup.js). Failed main-frame loads are recorded from
+ *   webRequest in storage.session.
+ * - Workspaces (lib/workspaces.js): named tab sets stored as sessions. Switching saves the
+ *   open tabs into the active workspace, then closes or parks them and opens the target.
+ *   The active workspace shows on the badge; the "cycle-workspace" command moves to the next.
+ * - Messages, keyboard commands and the save-window menu go through one action registry
+ *   (lib/actions.js) that checks each request against a schema and always answers
+ *   { ok, error }. Actions marked external are also served through onMessageExternal to the
+ *   extension IDs allow-listed on the options page ("externalAllowlist").
+ * - The block/queue decision and its notice throttle (lib/block-policy.js), the trim
+ *   candidate filter (trimClosable in lib/trim-score.js) and session downloads
+ *   (lib/session-store.js) live in modules, so the Node tests under test/ can run them
+ *   against an in-memory chrome.* fake.
  */
 
-const DEFAULT_THRESHOLD = 20;
-const DEFAULT_POLICY = 'block'; // 'trim' | 'block'
+import {
+  addSessionTab,
+  captureSession,
+  editSessionInfo,
+  mergeSessions,
+  moveSessionTab,
+  normalizeSession,
+  removeSessionTab,
+  restoreSession,
+  sessionTabs
+} from './lib/sessions.js';
+import { FORMATS, exportSessions, importSessions } from './lib/session-formats.js';
+import {
+  addSession,
+  deleteSession,
+  downloadSessions,
+  encryptionState,
+  getSession,
+  getSessions,
+  lock,
+  removePassphrase,
+  setPassphrase,
+  unlock,
+  updateSession,
+  withSessions,
+  ENCRYPTED_KEY,
+  SESSIONS_KEY,
+  UNLOCK_KEY
+} from './lib/session-store.js';
+import { decryptWithPassphrase, parseEnvelope } from './lib/session-crypto.js';
+import { applyGrouping, autoGroupTab, DEFAULT_FALLBACK, registrableDomain } from './lib/grouping.js';
+import { DEFAULT_DEDUP_RULES, DEFAULT_KEEP, findDuplicateClusters } from './lib/url-normalizer.js';
+import { describeClosing, getJournal, recordClosed, restoreBatch, restoreEntries } from './lib/closed-journal.js';
+import {
+  DEFAULT_SNAPSHOT_SETTINGS,
+  SNAPSHOT_ALARM,
+  rememberLayout,
+  resolveSnapshotSettings,
+  scheduleSnapshots,
+  snapshotLastLayout,
+  takeSnapshot
+} from './lib/snapshots.js';
+import {
+  DEFAULT_IDLE_SECONDS,
+  FLUSH_ALARM,
+  flush as flushDomainTimes,
+  handleActivated as trackActivated,
+  handleFocusChanged as trackFocusChanged,
+  handleIdleChanged as trackIdleChanged,
+  handleRemoved as trackRemoved,
+  handleUpdated as trackUpdated,
+  discardPending as discardPendingTime,
+  setExclusion as setTrackingExclusion,
+  startTracking,
+  trackedDomain
+} from './lib/time-tracker.js';
+import { DAILY_KEY, dailyRows, dayKey, domainTotals, resolveRange } from './lib/stats.js';
+import {
+  DEFAULT_WARN_MINUTES,
+  SNOOZE_CHOICES,
+  blockedPageUrl,
+  domainMatches,
+  evaluate as evaluateBudget
+} from './lib/budgets.js';
+import {
+  SCOPE_LABELS,
+  groupTitleMap,
+  limitsFor,
+  tightestLimit
+} from './lib/limits.js';
+import { DEFAULT_TRIM_WEIGHTS, planScoredTrim, trimClosable } from './lib/trim-score.js';
+import { createNoticeThrottle, newTabAction } from './lib/block-policy.js';
+import {
+  RECORDS_KEY as WINDOW_LIMIT_RECORDS_KEY,
+  hasPendingRecords,
+  matchRecords,
+  rememberWindowLimits
+} from './lib/window-limits.js';
+import { EXEMPTION_LABELS, isExempt } from './lib/whitelist.js';
+import { DEFAULT_POLICY, DEFAULT_THRESHOLD, POLICIES, migrateStorage } from './lib/schema.js';
+import { handleLocalChanges, handleSyncChanges, resolveSyncSettings, startSync } from './lib/sync.js';
+import { WHITELIST_MENU_EXEMPTIONS, buildMenus, formatMinutes, parseMenuId, resolveContextMenus } from './lib/context-menus.js';
+import { enqueue, getQueue, isQueueableUrl, moveEntry, removeEntries, takeEntry } from './lib/read-later.js';
+import { ERROR_TABS_KEY, buildCleanupReport, savedUrlSet } from './lib/cleanup.js';
+import { defineAction, runAction } from './lib/actions.js';
+import {
+  ACTIVE_KEY as ACTIVE_WORKSPACE_KEY,
+  DEFAULT_SWITCH_MODE,
+  PARKED_KEY,
+  SWITCH_MODES,
+  badgeLabel,
+  createWorkspace,
+  deleteWorkspace,
+  forgetParkedWindow,
+  getActiveWorkspaceId,
+  isWorkspace,
+  listWorkspaces,
+  nextWorkspace,
+  switchWorkspace
+} from './lib/workspaces.js';
+import {
+  DEFAULT_AUTO_DISCARD,
+  DISCARD_ALARM,
+  ESTIMATED_TAB_MB,
+  resolveAutoDiscard,
+  scheduleAutoDiscard,
+  tabsToDiscard
+} from './lib/auto-discard.js';
 
 // In‑memory maps
 const tabActivity = {};
 let tabThreshold = DEFAULT_THRESHOLD;
 let tabPolicy = DEFAULT_POLICY;
-let domainWhitelist = [];
+let globalLimitEnabled = true;
+let windowLimit = 0;
+let groupLimits = [];
+let windowLimitOverrides = {}; // { [windowId]: limit }, kept in storage.session
+let windowLimitRecords = []; // the same limits by URL, to survive restarts (lib/window-limits.js)
+let trimExemptions = {}; // { [tabId]: until }, kept in storage.session
+let whitelistRules = [];
 let discardInstead = false;
+let trimWeights = DEFAULT_TRIM_WEIGHTS;
+let trimProtect = [];
+let autoDiscard = DEFAULT_AUTO_DISCARD;
+let groupingRules = [];
+let autoGroup = false;
+let groupFallback = DEFAULT_FALLBACK;
+let groupScope = 'current'; // 'current' | 'all'
+let dedupRules = DEFAULT_DEDUP_RULES;
+let dedupKeep = DEFAULT_KEEP;
+let snapshotSettings = DEFAULT_SNAPSHOT_SETTINGS;
 
-// Time tracking
-let currentActiveTabId = null;
-const tabActiveStart = {};
-const tabDomains = {};
+// Time tracking (the tracker itself keeps its state in storage.session)
 let domainTimes = {};
+let idleThresholdSeconds = DEFAULT_IDLE_SECONDS;
+
+// Time budgets & focus windows
+let timeBudgets = [];
+let focusSchedules = [];
+let budgetSnoozes = {};
+let budgetWarnMinutes = DEFAULT_WARN_MINUTES;
+
+// chrome.storage.sync opt-ins
+let syncSettings = resolveSyncSettings();
+
+// Right-click menu entries
+let contextMenuSettings = resolveContextMenus();
+
+// Workspaces
+let workspaceSwitchMode = DEFAULT_SWITCH_MODE;
+let activeWorkspaceName = '';
+let parkedWindows = new Set(); // windows of parked workspaces, left out of the limits
+let switchingWorkspace = false; // no trimming while both tab sets are open
 
 // Notification throttle
-let lastBlockNoticeAt = 0;
-const BLOCK_NOTICE_COOLDOWN_MS = 10000;
+const blockNotices = createNoticeThrottle();
+const UNDO_NOTICE_PREFIX = 'undo-';
+const BUDGET_NOTICE_PREFIX = 'budget-'; // + batchId + ':' + domain
+
+// While > 0, tabs reopened from the closed-tab journal or the queue bypass the block policy.
+let restoringTabs = 0;
+
+const STARTUP_SNAPSHOT_ALARM = 'startup-snapshot';
+const LAYOUT_SAVE_DELAY_MS = 5000;
+let layoutSaveTimer = null;
 
-// Initialise defaults on installation / upgrade
+// Migrate storage to the current schema (and fill in defaults) on installation / upgrade
 chrome.runtime.onInstalled.addListener(async () => {
-  const data = await chrome.storage.local.get([
-    'tabThreshold',
-    'savedSessions',
-    'tabPolicy',
-    'domainWhitelist',
-    'discardInstead',
-    'domainTimes'
-  ]);
-  if (typeof data.tabThreshold === 'undefined') {
-    await chrome.storage.local.set({ tabThreshold: DEFAULT_THRESHOLD });
-  }
-  if (typeof data.tabPolicy === 'undefined') {
-    await chrome.storage.local.set({ tabPolicy: DEFAULT_POLICY });
-  }
-  if (!Array.isArray(data.savedSessions)) {
-    await chrome.storage.local.set({ savedSessions: [] });
-  }
-  if (!Array.isArray(data.domainWhitelist)) {
-    await chrome.storage.local.set({ domainWhitelist: [] });
-  }
-  if (typeof data.discardInstead === 'undefined') {
-    await chrome.storage.local.set({ discardInstead: false });
-  }
-  if (typeof data.domainTimes === 'undefined') {
-    await chrome.storage.local.set({ domainTimes: {} });
-  }
+  await migrateStorage();
+  const { snapshotSettings } = await chrome.storage.local.get('snapshotSettings');
+  await scheduleSnapshots(snapshotSettings);
 });
 
 // Load cached prefs at startup
@@ -62,100 +244,409 @@ chrome.runtime.onInstalled.addListener(async () => {
   const prefs = await chrome.storage.local.get([
     'tabThreshold',
     'tabPolicy',
-    'domainWhitelist',
+    'globalLimitEnabled',
+    'windowLimit',
+    'groupLimits',
+    'whitelistRules',
     'discardInstead',
-    'domainTimes'
+    'trimWeights',
+    'trimProtect',
+    'autoDiscard',
+    'domainTimes',
+    'groupingRules',
+    'autoGroup',
+    'groupFallback',
+    'groupScope',
+    'dedupRules',
+    'dedupKeep',
+    'snapshotSettings',
+    'idleThresholdSeconds',
+    'timeBudgets',
+    'focusSchedules',
+    'budgetSnoozes',
+    'budgetWarnMinutes',
+    'syncSettings',
+    'contextMenus',
+    'workspaceSwitchMode'
   ]);
   tabThreshold = prefs.tabThreshold || DEFAULT_THRESHOLD;
   tabPolicy = prefs.tabPolicy || DEFAULT_POLICY;
-  domainWhitelist = Array.isArray(prefs.domainWhitelist) ? prefs.domainWhitelist : [];
+  globalLimitEnabled = prefs.globalLimitEnabled !== false;
+  windowLimit = prefs.windowLimit || 0;
+  groupLimits = Array.isArray(prefs.groupLimits) ? prefs.groupLimits : [];
+  const session = await chrome.storage.session.get(['windowLimitOverrides', 'trimExemptions', PARKED_KEY]);
+  windowLimitOverrides = session.windowLimitOverrides || {};
+  const { [WINDOW_LIMIT_RECORDS_KEY]: records } = await chrome.storage.local.get(WINDOW_LIMIT_RECORDS_KEY);
+  windowLimitRecords = Array.isArray(records) ? records : [];
+  trimExemptions = session.trimExemptions || {};
+  parkedWindows = new Set(Object.values(session[PARKED_KEY] || {}).flat());
+  whitelistRules = Array.isArray(prefs.whitelistRules) ? prefs.whitelistRules : [];
+  setTrackingExclusion((url) => isExempt(url, whitelistRules, 'tracking'));
   discardInstead = prefs.discardInstead || false;
+  trimWeights = { ...DEFAULT_TRIM_WEIGHTS, ...(prefs.trimWeights || {}) };
+  trimProtect = Array.isArray(prefs.trimProtect) ? prefs.trimProtect : [];
+  autoDiscard = resolveAutoDiscard(prefs.autoDiscard);
+  scheduleAutoDiscard(autoDiscard);
   domainTimes = prefs.domainTimes || {};
+  groupingRules = Array.isArray(prefs.groupingRules) ? prefs.groupingRules : [];
+  autoGroup = !!prefs.autoGroup;
+  groupFallback = prefs.groupFallback || DEFAULT_FALLBACK;
+  groupScope = prefs.groupScope || 'current';
+  dedupRules = prefs.dedupRules || DEFAULT_DEDUP_RULES;
+  dedupKeep = prefs.dedupKeep || DEFAULT_KEEP;
+  snapshotSettings = resolveSnapshotSettings(prefs.snapshotSettings);
+  idleThresholdSeconds = prefs.idleThresholdSeconds || DEFAULT_IDLE_SECONDS;
+  startTracking(idleThresholdSeconds);
+  timeBudgets = Array.isArray(prefs.timeBudgets) ? prefs.timeBudgets : [];
+  focusSchedules = Array.isArray(prefs.focusSchedules) ? prefs.focusSchedules : [];
+  budgetSnoozes = prefs.budgetSnoozes || {};
+  budgetWarnMinutes = prefs.budgetWarnMinutes != null ? prefs.budgetWarnMinutes : DEFAULT_WARN_MINUTES;
+  syncSettings = resolveSyncSettings(prefs.syncSettings);
+  contextMenuSettings = resolveContextMenus(prefs.contextMenus);
+  rebuildContextMenus();
+  workspaceSwitchMode = SWITCH_MODES.includes(prefs.workspaceSwitchMode) ? prefs.workspaceSwitchMode : DEFAULT_SWITCH_MODE;
+  await refreshWorkspaceName();
+  drainQueue();
   updateBadge();
+  // Values pulled from the sync area land in storage.local and reach the cache via onChanged.
+  startSync(syncSettings).catch(() => {});
 })();
 
 // Keep cache in sync
 chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'session' && changes.windowLimitOverrides) {
+    windowLimitOverrides = changes.windowLimitOverrides.newValue || {};
+    updateBadge();
+    drainQueue();
+  }
+  if (area === 'session' && changes.trimExemptions) trimExemptions = changes.trimExemptions.newValue || {};
+  if (area === 'session' && changes[UNLOCK_KEY]) {
+    rebuildContextMenus();
+    refreshWorkspaceName().then(updateBadge);
+  }
+  if (area === 'session' && changes[PARKED_KEY]) {
+    parkedWindows = new Set(Object.values(changes[PARKED_KEY].newValue || {}).flat());
+    updateBadge();
+  }
+  if (area === 'sync') {
+    handleSyncChanges(changes, syncSettings).catch(() => {});
+    return;
+  }
   if (area !== 'local') return;
+  handleLocalChanges(changes, syncSettings).catch(() => {});
+  if (changes[WINDOW_LIMIT_RECORDS_KEY]) {
+    const records = changes[WINDOW_LIMIT_RECORDS_KEY].newValue;
+    windowLimitRecords = Array.isArray(records) ? records : [];
+  }
+  if (changes.syncSettings) {
+    syncSettings = resolveSyncSettings(changes.syncSettings.newValue);
+    startSync(syncSettings).catch(() => {});
+  }
+  if (['tabPolicy', 'tabThreshold', 'globalLimitEnabled', 'windowLimit', 'groupLimits'].some((key) => changes[key])) {
+    drainQueue();
+  }
+  if (changes.contextMenus) contextMenuSettings = resolveContextMenus(changes.contextMenus.newValue);
+  if (changes.contextMenus || changes[SESSIONS_KEY] || changes[ENCRYPTED_KEY]) rebuildContextMenus();
+  if (changes.workspaceSwitchMode) {
+    const mode = changes.workspaceSwitchMode.newValue;
+    workspaceSwitchMode = SWITCH_MODES.includes(mode) ? mode : DEFAULT_SWITCH_MODE;
+  }
+  if (changes[ACTIVE_WORKSPACE_KEY] || changes[SESSIONS_KEY] || changes[ENCRYPTED_KEY]) {
+    refreshWorkspaceName().then(updateBadge);
+  }
   if (changes.tabThreshold) tabThreshold = changes.tabThreshold.newValue;
   if (changes.tabPolicy) tabPolicy = changes.tabPolicy.newValue;
-  if (changes.domainWhitelist) {
-    domainWhitelist = Array.isArray(changes.domainWhitelist.newValue)
-      ? changes.domainWhitelist.newValue
+  if (changes.globalLimitEnabled) globalLimitEnabled = changes.globalLimitEnabled.newValue !== false;
+  if (changes.windowLimit) windowLimit = changes.windowLimit.newValue || 0;
+  if (changes.groupLimits) {
+    groupLimits = Array.isArray(changes.groupLimits.newValue) ? changes.groupLimits.newValue : [];
+  }
+  if (changes.whitelistRules) {
+    whitelistRules = Array.isArray(changes.whitelistRules.newValue)
+      ? changes.whitelistRules.newValue
       : [];
   }
   if (changes.discardInstead) discardInstead = !!changes.discardInstead.newValue;
+  if (changes.trimWeights) trimWeights = { ...DEFAULT_TRIM_WEIGHTS, ...(changes.trimWeights.newValue || {}) };
+  if (changes.trimProtect) {
+    trimProtect = Array.isArray(changes.trimProtect.newValue) ? changes.trimProtect.newValue : [];
+  }
+  if (changes.autoDiscard) {
+    autoDiscard = resolveAutoDiscard(changes.autoDiscard.newValue);
+    scheduleAutoDiscard(autoDiscard);
+  }
   if (changes.domainTimes) domainTimes = changes.domainTimes.newValue || {};
+  if (changes.groupingRules) {
+    groupingRules = Array.isArray(changes.groupingRules.newValue) ? changes.groupingRules.newValue : [];
+  }
+  if (changes.autoGroup) autoGroup = !!changes.autoGroup.newValue;
+  if (changes.groupFallback) groupFallback = changes.groupFallback.newValue || DEFAULT_FALLBACK;
+  if (changes.groupScope) groupScope = changes.groupScope.newValue || 'current';
+  if (changes.dedupRules) dedupRules = changes.dedupRules.newValue || DEFAULT_DEDUP_RULES;
+  if (changes.dedupKeep) dedupKeep = changes.dedupKeep.newValue || DEFAULT_KEEP;
+  if (changes.idleThresholdSeconds) {
+    idleThresholdSeconds = changes.idleThresholdSeconds.newValue || DEFAULT_IDLE_SECONDS;
+    startTracking(idleThresholdSeconds);
+  }
+  if (changes.timeBudgets) {
+    timeBudgets = Array.isArray(changes.timeBudgets.newValue) ? changes.timeBudgets.newValue : [];
+  }
+  if (changes.focusSchedules) {
+    focusSchedules = Array.isArray(changes.focusSchedules.newValue) ? changes.focusSchedules.newValue : [];
+  }
+  if (changes.budgetSnoozes) budgetSnoozes = changes.budgetSnoozes.newValue || {};
+  if (changes.budgetWarnMinutes) {
+    const warn = changes.budgetWarnMinutes.newValue;
+    budgetWarnMinutes = warn != null ? warn : DEFAULT_WARN_MINUTES;
+  }
+  if (changes.snapshotSettings) {
+    snapshotSettings = resolveSnapshotSettings(changes.snapshotSettings.newValue);
+    scheduleSnapshots(snapshotSettings);
+  }
   updateBadge();
 });
 
-// Update badge with current policy state
+// Startup: keep the layout from before shutdown, then snapshot once windows are restored
+chrome.runtime.onStartup.addListener(async () => {
+  const { snapshotSettings: stored } = await chrome.storage.local.get('snapshotSettings');
+  const settings = resolveSnapshotSettings(stored);
+  if (!settings.enabled) return;
+  try { await snapshotLastLayout(settings); } catch (e) {}
+  await chrome.alarms.create(STARTUP_SNAPSHOT_ALARM, { delayInMinutes: 1 });
+  const periodic = await chrome.alarms.get(SNAPSHOT_ALARM);
+  if (!periodic) await scheduleSnapshots(settings);
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== SNAPSHOT_ALARM && alarm.name !== STARTUP_SNAPSHOT_ALARM) return;
+  const { snapshotSettings: stored } = await chrome.storage.local.get('snapshotSettings');
+  const settings = resolveSnapshotSettings(stored);
+  if (!settings.enabled) return;
+  try {
+    await takeSnapshot(alarm.name === SNAPSHOT_ALARM ? 'interval' : 'startup', settings);
+  } catch (e) {}
+});
+
+// Track the layout (debounced) for the "shutdown" snapshot
+function scheduleRememberLayout() {
+  if (!snapshotSettings.enabled) return;
+  clearTimeout(layoutSaveTimer);
+  layoutSaveTimer = setTimeout(() => { rememberLayout().catch(() => {}); }, LAYOUT_SAVE_DELAY_MS);
+}
+chrome.tabs.onCreated.addListener(scheduleRememberLayout);
+chrome.tabs.onMoved.addListener(scheduleRememberLayout);
+chrome.tabs.onAttached.addListener(scheduleRememberLayout);
+chrome.tabGroups.onUpdated.addListener(scheduleRememberLayout);
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url || 'pinned' in changeInfo || 'groupId' in changeInfo) scheduleRememberLayout();
+});
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+  // Tabs of a closing window are handled by windows.onRemoved below.
+  if (!removeInfo.isWindowClosing) scheduleRememberLayout();
+});
+// On shutdown every window closes; the capture then finds no windows and keeps the last layout.
+chrome.windows.onRemoved.addListener(scheduleRememberLayout);
+
+function limitSettings() {
+  return {
+    globalLimit: globalLimitEnabled ? tabThreshold || DEFAULT_THRESHOLD : 0,
+    windowLimit,
+    windowOverrides: windowLimitOverrides,
+    groupLimits
+  };
+}
+
+/**
+ * Tabs that count toward the limits: all but those in parked workspace windows.
+ * Remembered window limits are given back to restored windows first.
+ */
+async function limitedTabs() {
+  const tabs = await chrome.tabs.query({});
+  if (hasPendingRecords(windowLimitRecords, windowLimitOverrides)) await reattachWindowLimits(tabs);
+  return parkedWindows.size ? tabs.filter((t) => !parkedWindows.has(t.windowId)) : tabs;
+}
+
+/** Give pending window limits (lib/window-limits.js) to the open windows they match. */
+async function reattachWindowLimits(tabs) {
+  const { matched, records } = matchRecords(windowLimitRecords, tabs, windowLimitOverrides);
+  if (Object.keys(matched).length === 0) return;
+  windowLimitOverrides = { ...windowLimitOverrides, ...matched };
+  windowLimitRecords = records;
+  await chrome.storage.session.set({ windowLimitOverrides });
+  await chrome.storage.local.set({ [WINDOW_LIMIT_RECORDS_KEY]: records });
+}
+
+/** Tightest limit for a window ({ scope, limit, count } or null), focused window by default. */
+async function currentWindowLimit(windowId) {
+  const tabs = await limitedTabs();
+  if (windowId == null) {
+    try {
+      windowId = (await chrome.windows.getLastFocused({ windowTypes: ['normal'] })).id;
+    } catch (e) {}
+  }
+  return { tabs, limit: tightestLimit(limitsFor(tabs, windowId, null, limitSettings())) };
+}
+
+/** Name of the active workspace for the badge ('' when none or locked). */
+async function refreshWorkspaceName() {
+  try {
+    const id = await getActiveWorkspaceId();
+    const workspace = id != null ? (await getSessions()).find((s) => isWorkspace(s) && s.id === id) : null;
+    activeWorkspaceName = workspace ? workspace.name : '';
+  } catch (e) {
+    activeWorkspaceName = '';
+  }
+}
+
+// Update badge with current policy state, for the limit of the focused window.
+// The active workspace replaces the meter; MAX still wins.
 async function updateBadge() {
   try {
-    const tabs = await chrome.tabs.query({});
-    const total = tabs.length;
+    const { limit } = await currentWindowLimit();
     let text = '';
-    if (tabPolicy === 'block' && total >= (tabThreshold || DEFAULT_THRESHOLD)) {
+    if (limit && tabPolicy !== 'trim' && limit.count >= limit.limit) {
       text = 'MAX';
-    } else if (total && tabThreshold) {
-      text = String(Math.min(99, Math.ceil((total / tabThreshold) * 9)));
+    } else if (activeWorkspaceName) {
+      text = badgeLabel(activeWorkspaceName);
+    } else if (limit && limit.count) {
+      text = String(Math.min(99, Math.ceil((limit.count / limit.limit) * 9)));
       // single-digit "meter" from 1..9 (optional visual)
     }
     await chrome.action.setBadgeText({ text });
+    await chrome.action.setTitle({ title: activeWorkspaceName ? `Tab Manager – ${activeWorkspaceName}` : 'Tab Manager' });
   } catch (e) {
     // ignore
   }
 }
 
+chrome.windows.onFocusChanged.addListener(() => updateBadge());
+chrome.windows.onRemoved.addListener((windowId) => {
+  if (parkedWindows.has(windowId)) forgetParkedWindow(windowId).catch(() => {});
+});
+chrome.windows.onRemoved.addListener(async (windowId) => {
+  if (!(windowId in windowLimitOverrides)) return;
+  const overrides = { ...windowLimitOverrides };
+  delete overrides[windowId];
+  await chrome.storage.session.set({ windowLimitOverrides: overrides });
+});
+
+// Window limits follow the URLs of their windows (refreshed on the time-tracking alarm),
+// so limitedTabs() can match them to the restored windows after a restart.
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== FLUSH_ALARM || Object.keys(windowLimitOverrides).length === 0) return;
+  rememberWindowLimits(windowLimitOverrides)
+    .then((records) => { windowLimitRecords = records; })
+    .catch(() => {});
+});
+
+// "queue" policy
+const QUEUE_URL_WAIT_MS = 5000;
+const awaitingUrl = new Map(); // tabId -> { hit, timer } for blocked tabs without a URL yet
+let drainingQueue = Promise.resolve();
+
+/**
+ * Queue a tab that exceeds a limit. Tabs opened from links often have no URL yet, so
+ * those wait for their first navigation; blank or new-tab pages are closed like under
+ * the "block" policy.
+ */
+async function queueBlockedTab(tab, hit) {
+  const url = tab.pendingUrl || tab.url;
+  if (isQueueableUrl(url)) {
+    await captureQueued(tab, url, hit);
+    return;
+  }
+  const timer = setTimeout(() => {
+    awaitingUrl.delete(tab.id);
+    chrome.tabs.get(tab.id).then((current) => closeBlockedTab(current, hit)).catch(() => {});
+  }, QUEUE_URL_WAIT_MS);
+  awaitingUrl.set(tab.id, { hit, timer });
+}
+
+async function captureQueued(tab, url, hit) {
+  // The whitelist can only be checked now that the URL is known.
+  if (isExempt(url, whitelistRules, 'block')) {
+    tabActivity[tab.id] = Date.now();
+    return;
+  }
+  const entry = await enqueue({ url, title: tab.title && tab.title !== url ? tab.title : '', windowId: tab.windowId });
+  if (!entry) {
+    // Queue full: block it instead, so the page is at least in the closed-tab journal.
+    await closeBlockedTab(tab, hit);
+    return;
+  }
+  try { await chrome.tabs.remove(tab.id); } catch (e) {}
+  updateBadge();
+  // Throttled like the block notice; pages queued in between are counted in the next one.
+  const skipped = blockNotices.take();
+  if (skipped == null) return;
+  const others = skipped ? `ほか ${skipped} 件` : '';
+  try {
+    await chrome.notifications.create('', {
+      type: 'basic',
+      title: '後で読むリストに追加しました',
+      message: `${SCOPE_LABELS[hit.scope]}の上限（${hit.limit}）に達したため、「${entry.title || entry.url}」${others}を後で読むリストに追加しました。空きができると自動で開きます。`,
+      iconUrl: 'icons/icon128.png'
+    });
+  } catch (e) {}
+}
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  const waiting = awaitingUrl.get(tabId);
+  if (!waiting) return;
+  const url = changeInfo.url || tab.pendingUrl;
+  if (!isQueueableUrl(url)) return;
+  clearTimeout(waiting.timer);
+  awaitingUrl.delete(tabId);
+  captureQueued(tab, url, waiting.hit).catch(() => {});
+});
+
+/** In "queue" mode, open queued pages in the focused window while its limits have room. */
+function drainQueue() {
+  if (tabPolicy !== 'queue') return;
+  drainingQueue = drainingQueue.then(async () => {
+    for (;;) {
+      const win = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+      const tabs = await limitedTabs();
+      if (limitsFor(tabs, win.id, null, limitSettings()).some((l) => l.count >= l.limit)) return;
+      const entry = await takeEntry();
+      if (!entry) return;
+      try {
+        await chrome.tabs.create({ windowId: win.id, url: entry.url, active: false });
+      } catch (e) {
+        await enqueue(entry);
+        return;
+      }
+    }
+  }).catch(() => {});
+}
+
 // Activity & time tracking
 chrome.tabs.onActivated.addListener(({ tabId }) => {
   tabActivity[tabId] = Date.now();
-  handleTabSwitch(tabId);
+  trackActivated(tabId);
+  chrome.tabs.get(tabId).then((tab) => enforceBudget(tab)).catch(() => {});
   if (tabPolicy === 'trim') checkTabCount();
   updateBadge();
 });
 
 // On created: for "block" policy, immediately close if exceeding threshold
+// ("queue" policy: close it once its URL is known and queue the page)
 chrome.tabs.onCreated.addListener(async (tab) => {
   try {
-    // record domain if known
-    if (tab.url) {
-      try {
-        const domain = new URL(tab.url).hostname;
-        tabDomains[tab.id] = domain;
-      } catch (e) {}
-    }
-    if (tabPolicy === 'block') {
-      const tabs = await chrome.tabs.query({});
-      const total = tabs.length;
-      if (tabThreshold && total > tabThreshold) {
-        // Close the newborn tab unless it is pinned (rare) or whitelisted (if URL known)
-        let allow = false;
-        if (tab.pinned) allow = true;
-        if (tab.url) {
-          try {
-            const d = new URL(tab.url).hostname;
-            if (domainWhitelist.includes(d)) allow = true;
-          } catch (e) {}
-        }
-        if (!allow) {
-          try { await chrome.tabs.remove(tab.id); } catch (e) {}
-          // Throttled notification
-          const now = Date.now();
-          if (now - lastBlockNoticeAt > BLOCK_NOTICE_COOLDOWN_MS) {
-            lastBlockNoticeAt = now;
-            try {
-              await chrome.notifications.create('', {
-                type: 'basic',
-                title: 'タブ上限に達しました',
-                message: `上限（${tabThreshold}）を超える新規タブはブロックされています。上限を上げるか、不要なタブを閉じてください。`,
-                iconUrl: 'icons/icon128.png'
-              });
-            } catch (e) {}
-          }
-          updateBadge();
-          return; // do not record activity for the blocked tab
-        }
+    if ((tabPolicy === 'block' || tabPolicy === 'queue') && restoringTabs === 0) {
+      const decision = newTabAction(tab, await limitedTabs(), {
+        policy: tabPolicy,
+        limitSettings: limitSettings(),
+        groupTitles: await groupTitleMap(),
+        whitelistRules
+      });
+      if (decision && decision.action === 'queue') {
+        await queueBlockedTab(tab, decision.hit);
+        return;
+      }
+      if (decision) {
+        await closeBlockedTab(tab, decision.hit);
+        return; // do not record activity for the blocked tab
       }
     }
     // For both policies, record activity for tabs that remain
@@ -167,367 +658,1127 @@ chrome.tabs.onCreated.addListener(async (tab) => {
   }
 });
 
-// Cleanup on removed
-chrome.tabs.onRemoved.addListener(async (tabId) => {
-  delete tabActivity[tabId];
-  if (tabId === currentActiveTabId) {
-    const now = Date.now();
-    const start = tabActiveStart[tabId] || now;
-    const delta = now - start;
-    const domain = tabDomains[tabId];
-    if (domain) {
-      domainTimes[domain] = (domainTimes[domain] || 0) + delta;
-      await chrome.storage.local.set({ domainTimes });
+/** Close a tab over limit `hit`, journal it and show the throttled block notice. */
+async function closeBlockedTab(tab, hit) {
+  const entries = await describeClosing([tab], 'block');
+  try {
+    await chrome.tabs.remove(tab.id);
+    await recordClosed(entries);
+  } catch (e) {}
+  // Throttled notification, with "undo" when the blocked tab had a URL
+  if (blockNotices.take() != null) {
+    const notice = {
+      type: 'basic',
+      title: 'タブ上限に達しました',
+      message: `${SCOPE_LABELS[hit.scope]}の上限（${hit.limit}）を超える新規タブはブロックされています。上限を上げるか、不要なタブを閉じてください。`,
+      iconUrl: 'icons/icon128.png'
+    };
+    let noticeId = '';
+    if (entries.length) {
+      noticeId = UNDO_NOTICE_PREFIX + entries[0].batchId;
+      notice.buttons = [{ title: '元に戻す' }];
     }
-    currentActiveTabId = null;
+    try {
+      await chrome.notifications.create(noticeId, notice);
+    } catch (e) {}
   }
-  delete tabActiveStart[tabId];
-  delete tabDomains[tabId];
   updateBadge();
-});
+}
 
-// Window focus changed -> record time
-chrome.windows.onFocusChanged.addListener(async (windowId) => {
-  if (windowId === chrome.windows.WINDOW_ID_NONE) {
-    if (currentActiveTabId !== null) {
-      const now = Date.now();
-      const start = tabActiveStart[currentActiveTabId] || now;
-      const delta = now - start;
-      const domain = tabDomains[currentActiveTabId];
-      if (domain) {
-        domainTimes[domain] = (domainTimes[domain] || 0) + delta;
-        await chrome.storage.local.set({ domainTimes });
-      }
-      tabActiveStart[currentActiveTabId] = now;
-    }
+// "Undo" on a notification reopens the batch it was created for
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  if (notificationId.startsWith(BUDGET_NOTICE_PREFIX)) {
+    await answerBudgetNotice(notificationId, buttonIndex);
+    return;
   }
+  if (!notificationId.startsWith(UNDO_NOTICE_PREFIX)) return;
+  const batchId = Number(notificationId.slice(UNDO_NOTICE_PREFIX.length));
+  await withoutBlocking(() => restoreBatch(batchId));
+  try { await chrome.notifications.clear(notificationId); } catch (e) {}
+});
+
+// Auto-grouping once a tab's URL or title is known
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (!autoGroup || groupingRules.length === 0) return;
+  if (changeInfo.url || changeInfo.title) autoGroupTab(tab, groupingRules);
+});
+
+// Time tracking follows navigation, focus and idle state
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  trackUpdated(tabId, changeInfo, tab);
+});
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  trackFocusChanged(windowId);
+});
+
+chrome.idle.onStateChanged.addListener((state) => {
+  trackIdleChanged(state);
 });
 
-async function handleTabSwitch(newTabId) {
-  const now = Date.now();
-  if (currentActiveTabId !== null && currentActiveTabId !== newTabId) {
-    const prevId = currentActiveTabId;
-    const start = tabActiveStart[prevId] || now;
-    const delta = now - start;
-    const domain = tabDomains[prevId];
-    if (domain) {
-      domainTimes[domain] = (domainTimes[domain] || 0) + delta;
-      await chrome.storage.local.set({ domainTimes });
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name !== FLUSH_ALARM) return;
+  // After each flush, check the tab that is accumulating time against its budget.
+  flushDomainTimes()
+    .then(() => chrome.tabs.query({ active: true, lastFocusedWindow: true }))
+    .then(([tab]) => tab && enforceBudget(tab, { warn: true }))
+    .catch(() => {});
+});
+
+// Memory saver: discard tabs that have been inactive for too long
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== DISCARD_ALARM) return;
+  try {
+    const tabs = await chrome.tabs.query({});
+    const due = tabsToDiscard(tabs, autoDiscard, {
+      now: Date.now(),
+      activity: tabActivity,
+      groupTitles: await groupTitleMap(),
+      isExempt: (t) => isExempt(t.url, whitelistRules, 'discard')
+    });
+    for (const tab of due) {
+      try { await chrome.tabs.discard(tab.id); } catch (e) {}
     }
+  } catch (e) {}
+});
+
+// Budgets and focus windows apply as soon as a tab navigates
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url) enforceBudget(tab);
+});
+
+/**
+ * Redirect or close a tab whose domain is out of budget or inside a focus window.
+ * With warn, also show the once-a-day "running out" notification.
+ */
+async function enforceBudget(tab, { warn = false } = {}) {
+  if (timeBudgets.length === 0 && focusSchedules.length === 0) return;
+  const hostname = trackedDomain(tab.url);
+  if (!hostname) return;
+  const { [DAILY_KEY]: daily } = await chrome.storage.local.get(DAILY_KEY);
+  const today = dayKey();
+  const result = evaluateBudget(hostname, {
+    budgets: timeBudgets,
+    schedules: focusSchedules,
+    snoozes: budgetSnoozes,
+    dayBucket: (daily || {})[today],
+    warnMinutes: budgetWarnMinutes
+  });
+
+  if (result.verdict === 'block') {
+    try {
+      if (result.action === 'close' && !budgetReopened.delete(tab.url)) {
+        const entries = await describeClosing([tab], 'budget');
+        await chrome.tabs.remove(tab.id);
+        await recordClosed(entries);
+        await chrome.notifications.create(`${BUDGET_NOTICE_PREFIX}${entries[0].batchId}:${result.domain}`, {
+          type: 'basic',
+          title: '利用時間の上限に達しました',
+          message: `${result.domain} の今日の利用時間が上限に達したため、タブを閉じました。`,
+          iconUrl: 'icons/icon128.png',
+          buttons: [{ title: `${SNOOZE_CHOICES[0]} 分だけ延長` }, { title: '元に戻す' }]
+        });
+      } else {
+        await chrome.tabs.update(tab.id, {
+          url: blockedPageUrl({ reason: result.reason, domain: result.domain, url: tab.url, until: result.until })
+        });
+      }
+    } catch (e) {}
+    return;
   }
-  currentActiveTabId = newTabId;
-  if (newTabId !== null) {
-    tabActiveStart[newTabId] = now;
+
+  if (warn && result.verdict === 'warn') {
+    const key = `budgetWarned:${today}:${result.domain}`;
+    const seen = await chrome.storage.session.get(key);
+    if (seen[key]) return;
+    await chrome.storage.session.set({ [key]: true });
     try {
-      const tab = await chrome.tabs.get(newTabId);
-      const domain = new URL(tab.url).hostname;
-      tabDomains[newTabId] = domain;
+      await chrome.notifications.create('', {
+        type: 'basic',
+        title: '利用時間の上限が近づいています',
+        message: `${result.domain} の今日の残り時間は約 ${Math.ceil(result.remainingMs / 60000)} 分です。`,
+        iconUrl: 'icons/icon128.png'
+      });
     } catch (e) {}
   }
 }
 
+// URLs reopened with "undo" on a budget notice: shown as the blocked page (which offers
+// a snooze) instead of being closed again.
+const budgetReopened = new Set();
+
+/** Buttons of the budget notice: 0 snoozes the domain and reopens the tab, 1 only reopens it. */
+async function answerBudgetNotice(notificationId, buttonIndex) {
+  const [batchId, domain] = notificationId.slice(BUDGET_NOTICE_PREFIX.length).split(':');
+  if (buttonIndex === 0) {
+    await runAction('snoozeBudget', { domain, minutes: SNOOZE_CHOICES[0] });
+  } else {
+    const journal = await getJournal();
+    journal.filter((e) => e.batchId === Number(batchId)).forEach((e) => budgetReopened.add(e.url));
+  }
+  await withoutBlocking(() => restoreBatch(Number(batchId)));
+  try { await chrome.notifications.clear(notificationId); } catch (e) {}
+}
+
+// Cleanup on removed
+chrome.tabs.onRemoved.addListener((tabId) => {
+  delete tabActivity[tabId];
+  trackRemoved(tabId);
+  if (awaitingUrl.has(tabId)) {
+    clearTimeout(awaitingUrl.get(tabId).timer);
+    awaitingUrl.delete(tabId);
+  }
+  drainQueue();
+  if (tabId in trimExemptions) {
+    const exemptions = { ...trimExemptions };
+    delete exemptions[tabId];
+    chrome.storage.session.set({ trimExemptions: exemptions }).catch(() => {});
+  }
+  updateBadge();
+});
+
 /**
- * For "trim" policy: close least‑recently used tabs until within threshold.
+ * Group tabs by the configured rules, in the focused window or in all windows
+ * depending on groupScope.
  */
-async function checkTabCount() {
-  if (tabPolicy !== 'trim') return;
+async function groupTabs() {
+  let windowId;
+  if (groupScope !== 'all') {
+    const win = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+    windowId = win.id;
+  }
+  return applyGrouping({ rules: groupingRules, fallback: groupFallback, windowId });
+}
+
+/** Reopen tabs (journal restores, queued pages) without the block policy closing them again. */
+async function withoutBlocking(restore) {
+  restoringTabs++;
   try {
-    const tabs = await chrome.tabs.query({});
-    if (!tabThreshold || tabs.length <= tabThreshold) return;
+    return await restore();
+  } finally {
+    restoringTabs--;
+    updateBadge();
+  }
+}
 
-    const closable = [];
+/** Duplicate clusters across all windows under the current dedup rules. */
+async function duplicateClusters() {
+  const tabs = (await chrome.tabs.query({})).filter((t) => !isExempt(t.url, whitelistRules, 'dedup'));
+  let currentWindowId;
+  try {
+    currentWindowId = (await chrome.windows.getLastFocused({ windowTypes: ['normal'] })).id;
+  } catch (e) {}
+  return findDuplicateClusters(tabs, dedupRules, dedupKeep, { activity: tabActivity, currentWindowId });
+}
+
+/**
+ * Close (or discard) every duplicate except the survivor of each cluster. Pinned copies
+ * are always kept. With tabIds, only those tabs are closed, and only if they are still
+ * duplicates. Returns { closed, discarded } counts.
+ */
+async function closeDuplicates(tabIds) {
+  const clusters = await duplicateClusters();
+  let toRemove;
+  if (Array.isArray(tabIds)) {
+    const wanted = new Set(tabIds);
+    toRemove = [];
+    for (const c of clusters) {
+      const picked = c.tabs.filter((t) => wanted.has(t.id));
+      // Never close every copy of a page from the preview.
+      if (picked.length === c.tabs.length) picked.splice(picked.indexOf(c.keep), 1);
+      toRemove.push(...picked);
+    }
+  } else {
+    toRemove = clusters.flatMap((c) => c.tabs.filter((t) => t.id !== c.keep.id));
+  }
+  toRemove = toRemove.filter((t) => !t.pinned);
+  if (toRemove.length === 0) return { closed: 0, discarded: 0 };
+  if (discardInstead) {
+    let discarded = 0;
+    for (const t of toRemove) {
+      try {
+        await chrome.tabs.discard(t.id);
+        discarded++;
+      } catch (e) {}
+    }
+    return { closed: 0, discarded };
+  }
+  const entries = await describeClosing(toRemove, 'duplicate');
+  await chrome.tabs.remove(toRemove.map((t) => t.id));
+  await recordClosed(entries);
+  return { closed: toRemove.length, discarded: 0 };
+}
+
+// Failed page loads, for the cleanup page's "error" category
+let errorTabsPending = Promise.resolve();
+function recordTabError(tabId, error) {
+  if (tabId < 0) return;
+  errorTabsPending = errorTabsPending.then(async () => {
+    const { [ERROR_TABS_KEY]: stored } = await chrome.storage.session.get(ERROR_TABS_KEY);
+    const errors = { ...(stored || {}) };
+    if (!error && !(tabId in errors)) return;
+    if (error) errors[tabId] = error;
+    else delete errors[tabId];
+    await chrome.storage.session.set({ [ERROR_TABS_KEY]: errors });
+  }).catch(() => {});
+}
+const MAIN_FRAME = { urls: ['<all_urls>'], types: ['main_frame'] };
+chrome.webRequest.onCompleted.addListener((details) => {
+  recordTabError(details.tabId, details.statusCode >= 400 ? { url: details.url, status: details.statusCode } : null);
+}, MAIN_FRAME);
+chrome.webRequest.onErrorOccurred.addListener((details) => {
+  // ERR_ABORTED is a navigation the user (or a download) cancelled, not a broken page.
+  if (details.error === 'net::ERR_ABORTED') return;
+  recordTabError(details.tabId, { url: details.url, error: details.error });
+}, MAIN_FRAME);
+chrome.tabs.onRemoved.addListener((tabId) => recordTabError(tabId, null));
+
+/** Cleanup report over all normal windows (see lib/cleanup.js). */
+async function cleanupReport(staleDays) {
+  const [tabs, session, sessions] = await Promise.all([
+    chrome.tabs.query({ windowType: 'normal' }),
+    chrome.storage.session.get(ERROR_TABS_KEY),
+    getSessions().then((list) => list.filter((s) => !isWorkspace(s)), () => null)
+  ]);
+  return buildCleanupReport(tabs, {
+    staleDays,
+    errorTabs: session[ERROR_TABS_KEY],
+    savedUrls: sessions ? savedUrlSet(sessions, dedupRules) : null,
+    dedupRules
+  });
+}
+
+/**
+ * Bulk action from the cleanup page: close (discards instead when discardInstead is on),
+ * discard, session (save the tabs as a new session, then close them) or group.
+ * Returns the number of tabs handled.
+ */
+async function cleanupTabs(tabIds, action, name) {
+  const wanted = new Set(tabIds);
+  const tabs = (await chrome.tabs.query({})).filter((t) => wanted.has(t.id));
+  if (tabs.length === 0) return 0;
+  const discard = async () => {
+    let count = 0;
     for (const t of tabs) {
-      if (t.pinned) continue;
-      let domain = '';
-      try { domain = new URL(t.url).hostname; } catch (e) {}
-      if (domain && domainWhitelist.includes(domain)) continue;
-      closable.push(t);
+      if (t.active || t.discarded) continue;
+      try {
+        await chrome.tabs.discard(t.id);
+        count++;
+      } catch (e) {}
     }
-    closable.sort((a, b) => {
-      const aTime = tabActivity[a.id] || 0;
-      const bTime = tabActivity[b.id] || 0;
-      return aTime - bTime;
-    });
-    let excess = tabs.length - tabThreshold;
-    for (const tab of closable) {
-      if (excess <= 0) break;
+    return count;
+  };
+  // Pinned tabs and the tab being viewed are never closed from here.
+  const closable = tabs.filter((t) => !t.pinned && !t.active);
+  const close = async () => {
+    if (closable.length === 0) return 0;
+    const entries = await describeClosing(closable, 'cleanup');
+    await chrome.tabs.remove(closable.map((t) => t.id));
+    await recordClosed(entries);
+    return closable.length;
+  };
+  switch (action) {
+    case 'close':
+      return discardInstead ? discard() : close();
+    case 'discard':
+      return discard();
+    case 'session': {
+      const captured = await captureSession(name, { tabIds: closable.map((t) => t.id) });
+      if (captured.windows.length === 0) throw new Error('No tabs to save');
+      await addSession(captured);
+      return close();
+    }
+    case 'group': {
+      const title = (name || '').trim() || new Date().toLocaleDateString();
+      const byWindow = {};
+      for (const t of tabs) {
+        if (!t.pinned) (byWindow[t.windowId] = byWindow[t.windowId] || []).push(t.id);
+      }
+      let count = 0;
+      for (const [windowId, ids] of Object.entries(byWindow)) {
+        const existing = (await chrome.tabGroups.query({ windowId: Number(windowId), title }))[0];
+        if (existing) {
+          await chrome.tabs.group({ groupId: existing.id, tabIds: ids });
+        } else {
+          const groupId = await chrome.tabs.group({ tabIds: ids, createProperties: { windowId: Number(windowId) } });
+          await chrome.tabGroups.update(groupId, { title });
+        }
+        count += ids.length;
+      }
+      return count;
+    }
+    default:
+      throw new Error('Unknown action');
+  }
+}
+
+/**
+ * Tabs the next trim would close, lowest keep-score first: [{ tab, score, factors }].
+ */
+async function planNextTrim() {
+  const tabs = await limitedTabs();
+  return planScoredTrim(tabs, {
+    limitSettings: limitSettings(),
+    groupTitles: await groupTitleMap(),
+    isClosable: trimClosable({ exemptions: trimExemptions, discardInstead, whitelistRules }),
+    weights: trimWeights,
+    ctx: { activity: tabActivity, domainTimes, protect: trimProtect }
+  });
+}
+
+/** Switch workspaces with the configured mode; trimming waits until the old tabs are gone. */
+async function changeWorkspace(id) {
+  switchingWorkspace = true;
+  try {
+    return await switchWorkspace(id, workspaceSwitchMode, withoutBlocking);
+  } finally {
+    switchingWorkspace = false;
+    checkTabCount();
+  }
+}
+
+/**
+ * For "trim" policy: close the lowest-scoring tabs until every limit is met.
+ */
+async function checkTabCount() {
+  if (tabPolicy !== 'trim' || switchingWorkspace) return;
+  try {
+    const victims = (await planNextTrim()).map((v) => v.tab);
+    if (victims.length === 0) return;
+
+    const entries = discardInstead ? [] : await describeClosing(victims, 'trim');
+    const closed = new Set();
+    for (const tab of victims) {
       try {
         if (discardInstead) { await chrome.tabs.discard(tab.id); }
-        else { await chrome.tabs.remove(tab.id); }
+        else { await chrome.tabs.remove(tab.id); closed.add(tab.id); }
         delete tabActivity[tab.id];
-        delete tabActiveStart[tab.id];
-        delete tabDomains[tab.id];
-        if (currentActiveTabId === tab.id) currentActiveTabId = null;
-        excess--;
       } catch (e) {}
     }
+    await recordClosed(entries.filter((e) => closed.has(e.tabId)));
   } catch (e) {}
 }
 
-// Message handlers
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  switch (message.command) {
-    case 'getSummary':
-      (async () => {
-        const tabs = await chrome.tabs.query({});
-        const urlCounts = {};
-        for (const tab of tabs) {
-          const url = tab.url || '';
-          urlCounts[url] = (urlCounts[url] || 0) + 1;
-        }
-        const duplicates = Object.values(urlCounts).filter((count) => count > 1).length;
-        sendResponse({ totalTabs: tabs.length, duplicates });
-      })();
-      return true;
-
-    case 'groupByDomain':
-      (async () => {
-        try {
-          const tabs = await chrome.tabs.query({ currentWindow: true });
-          const groups = {};
-          for (const tab of tabs) {
-            try {
-              const urlObj = new URL(tab.url);
-              const domain = urlObj.hostname;
-              if (!groups[domain]) groups[domain] = [];
-              groups[domain].push(tab.id);
-            } catch (e) {}
-          }
-          for (const domain of Object.keys(groups)) {
-            const ids = groups[domain];
-            if (ids.length > 1) {
-              const group = await chrome.tabGroups.create({ tabIds: ids });
-              await chrome.tabGroups.update(group.id, { title: domain, color: 'blue' });
-            }
-          }
-          sendResponse({ ok: true });
-        } catch (e) {
-          sendResponse({ ok: false, error: e.message });
-        }
-      })();
-      return true;
-
-    case 'removeDuplicates':
-      (async () => {
-        const tabs = await chrome.tabs.query({});
-        const seen = {};
-        const toRemove = [];
-        for (const tab of tabs) {
-          const url = tab.url || '';
-          if (seen[url]) toRemove.push(tab.id);
-          else seen[url] = tab.id;
-        }
-        if (toRemove.length > 0) {
-          if (discardInstead) {
-            for (const id of toRemove) { try { await chrome.tabs.discard(id); } catch (e) {} }
-          } else {
-            await chrome.tabs.remove(toRemove);
-          }
-        }
-        sendResponse({ closed: toRemove.length });
-      })();
-      return true;
-
-    case 'saveSession':
-      (async () => {
-        const { name } = message;
-        const tabs = await chrome.tabs.query({});
-        const session = {
-          id: Date.now(),
-          name: name && name.trim() ? name.trim() : new Date().toLocaleString(),
-          created: Date.now(),
-          tabs: tabs.map((t) => ({ url: t.url, title: t.title, pinned: t.pinned }))
-        };
-        const data = await chrome.storage.local.get('savedSessions');
-        const sessions = Array.isArray(data.savedSessions) ? data.savedSessions : [];
-        sessions.push(session);
-        await chrome.storage.local.set({ savedSessions: sessions });
-        sendResponse({ session });
-      })();
-      return true;
-
-    case 'getSessions':
-      (async () => {
-        const data = await chrome.storage.local.get('savedSessions');
-        const sessions = Array.isArray(data.savedSessions) ? data.savedSessions : [];
-        sessions.sort((a, b) => b.created - a.created);
-        sendResponse({ sessions });
-      })();
-      return true;
-
-    case 'deleteSession':
-      (async () => {
-        const { id } = message;
-        const data = await chrome.storage.local.get('savedSessions');
-        let sessions = Array.isArray(data.savedSessions) ? data.savedSessions : [];
-        sessions = sessions.filter((s) => s.id !== id);
-        await chrome.storage.local.set({ savedSessions: sessions });
-        sendResponse({ ok: true });
-      })();
-      return true;
-
-    case 'restoreSession':
-      (async () => {
-        const { id } = message;
-        const data = await chrome.storage.local.get('savedSessions');
-        const sessions = Array.isArray(data.savedSessions) ? data.savedSessions : [];
-        const session = sessions.find((s) => s.id === id);
-        if (session) {
-          const urls = session.tabs.map((t) => t.url);
-          await chrome.windows.create({ url: urls });
-          sendResponse({ ok: true });
-        } else {
-          sendResponse({ ok: false, error: 'Session not found' });
-        }
-      })();
-      return true;
-
-    case 'exportSession':
-      (async () => {
-        const { id } = message;
-        const data = await chrome.storage.local.get('savedSessions');
-        const sessions = Array.isArray(data.savedSessions) ? data.savedSessions : [];
-        const session = sessions.find((s) => s.id === id);
-        if (!session) {
-          sendResponse({ ok: false, error: 'Session not found' });
-          return;
-        }
-        const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        await chrome.downloads.download({ url, filename: `${session.name.replace(/\s+/g, '_')}.json`, saveAs: true });
-        sendResponse({ ok: true });
-      })();
-      return true;
-
-    case 'updateThreshold':
-      (async () => {
-        const newThreshold = parseInt(message.value, 10);
-        if (!isNaN(newThreshold) && newThreshold > 0) {
-          await chrome.storage.local.set({ tabThreshold: newThreshold });
-          updateBadge();
-          sendResponse({ ok: true, threshold: newThreshold });
-        } else {
-          sendResponse({ ok: false, error: 'Invalid threshold' });
-        }
-      })();
-      return true;
-
-    case 'getThreshold':
-      (async () => {
-        const { tabThreshold: value } = await chrome.storage.local.get('tabThreshold');
-        sendResponse({ threshold: value || DEFAULT_THRESHOLD });
-      })();
-      return true;
-
-    case 'getPolicy':
-      (async () => {
-        const { tabPolicy: pol } = await chrome.storage.local.get('tabPolicy');
-        sendResponse({ policy: pol || DEFAULT_POLICY });
-      })();
-      return true;
-
-    case 'updatePolicy':
-      (async () => {
-        const val = message.value === 'trim' ? 'trim' : 'block';
-        await chrome.storage.local.set({ tabPolicy: val });
-        updateBadge();
-        sendResponse({ ok: true, policy: val });
-      })();
-      return true;
-
-    case 'getDomainStats':
-      (async () => {
-        const entries = Object.entries(domainTimes).map(([domain, ms]) => ({ domain, ms }));
-        entries.sort((a, b) => b.ms - a.ms);
-        sendResponse({ stats: entries });
-      })();
-      return true;
-
-    case 'importSession':
-      (async () => {
-        const { session } = message;
-        if (!session || !Array.isArray(session.tabs)) {
-          sendResponse({ ok: false, error: 'Invalid session format' });
-          return;
-        }
-        const imported = {
-          id: Date.now(),
-          name: session.name && session.name.trim() ? session.name.trim() : new Date().toLocaleString(),
-          created: Date.now(),
-          tabs: session.tabs.map((t) => ({ url: t.url, title: t.title || '', pinned: !!t.pinned }))
-        };
-        const data = await chrome.storage.local.get('savedSessions');
-        const sessions = Array.isArray(data.savedSessions) ? data.savedSessions : [];
-        sessions.push(imported);
-        await chrome.storage.local.set({ savedSessions: sessions });
-        sendResponse({ ok: true });
-      })();
-      return true;
+// Actions for runtime messages, keyboard commands and allow-listed extensions (lib/actions.js)
+const SESSION_ID = 'integer';
+const TAGS = 'string|string[]?';
 
-    default:
-      sendResponse({ error: 'Unknown command' });
-      return false;
+defineAction('getSummary', {
+  params: { windowId: 'integer?' },
+  external: true,
+  async run({ windowId }) {
+    const { tabs, limit } = await currentWindowLimit(windowId);
+    const duplicates = (await duplicateClusters()).length;
+    const discarded = (await chrome.tabs.query({ discarded: true })).length;
+    return {
+      totalTabs: tabs.length,
+      duplicates,
+      discarded,
+      savedMb: discarded * ESTIMATED_TAB_MB,
+      limit: limit ? { scope: limit.scope, limit: limit.limit, count: limit.count } : null,
+      windowLimit: windowId != null ? windowLimitOverrides[windowId] || 0 : 0
+    };
   }
 });
 
-// Keyboard shortcuts: unaffected except that "remove-duplicates" respects discardInstead.
-chrome.commands.onCommand.addListener(async (command) => {
-  switch (command) {
-    case 'group-by-domain':
-      try {
-        const tabs = await chrome.tabs.query({ currentWindow: true });
-        const groups = {};
-        for (const tab of tabs) {
-          try {
-            const domain = new URL(tab.url).hostname;
-            if (!groups[domain]) groups[domain] = [];
-            groups[domain].push(tab.id);
-          } catch (e) {}
-        }
-        for (const domain of Object.keys(groups)) {
-          const ids = groups[domain];
-          if (ids.length > 1) {
-            const group = await chrome.tabGroups.create({ tabIds: ids });
-            await chrome.tabGroups.update(group.id, { title: domain, color: 'blue' });
-          }
-        }
-      } catch (e) {}
+defineAction('groupByDomain', {
+  external: true,
+  async run() {
+    return { grouped: await groupTabs() };
+  }
+});
+
+defineAction('removeDuplicates', {
+  params: { tabIds: 'integer[]?' },
+  external: true,
+  async run({ tabIds }) {
+    return closeDuplicates(tabIds);
+  }
+});
+
+defineAction('listDuplicates', {
+  external: true,
+  async run() {
+    const clusters = await duplicateClusters();
+    return {
+      clusters: clusters.map((c) => ({
+        key: c.key,
+        keepId: c.keep.id,
+        tabs: c.tabs.map((t) => ({
+          id: t.id,
+          url: t.url || t.pendingUrl || '',
+          title: t.title || '',
+          windowId: t.windowId,
+          pinned: !!t.pinned,
+          active: !!t.active,
+          lastActive: tabActivity[t.id] || t.lastAccessed || null
+        }))
+      }))
+    };
+  }
+});
+
+defineAction('getClosedTabs', {
+  async run() {
+    return { entries: await getJournal() };
+  }
+});
+
+defineAction('restoreClosedTabs', {
+  params: { ids: 'string[]' },
+  async run({ ids }) {
+    return { restored: await withoutBlocking(() => restoreEntries(ids)) };
+  }
+});
+
+defineAction('undoLastClose', {
+  async run() {
+    return { restored: await withoutBlocking(() => restoreBatch()) };
+  }
+});
+
+defineAction('focusTab', {
+  params: { id: 'integer' },
+  async run({ id }) {
+    const tab = await chrome.tabs.update(id, { active: true });
+    await chrome.windows.update(tab.windowId, { focused: true });
+  }
+});
+
+defineAction('getSearchItems', {
+  async run() {
+    const [tabs, windows, groups, saved, journal] = await Promise.all([
+      chrome.tabs.query({}),
+      chrome.windows.getAll({ populate: true, windowTypes: ['normal'] }),
+      chrome.tabGroups.query({}),
+      getSessions().catch(() => []), // locked sessions are simply not searched
+      getJournal()
+    ]);
+    const items = tabs
+      .sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))
+      .map((t) => ({
+        kind: 'tab',
+        id: t.id,
+        title: t.title || '',
+        url: t.url || t.pendingUrl || '',
+        windowId: t.windowId,
+        groupId: t.groupId,
+        pinned: !!t.pinned,
+        active: !!t.active
+      }));
+    journal.forEach((e) => items.push({ kind: 'closed', id: e.id, title: e.title || '', url: e.url, closedAt: e.closedAt }));
+    // Automatic snapshots repeat the same tabs over and over; search only named sessions.
+    const seen = new Set();
+    saved
+      .filter((session) => !session.auto)
+      .forEach((session) => sessionTabs(session).forEach((t) => {
+        if (!t.url || seen.has(t.url)) return;
+        seen.add(t.url);
+        items.push({ kind: 'session', title: t.title || '', url: t.url, sessionName: session.name });
+      }));
+    return {
+      items,
+      windows: windows.map((w, i) => ({
+        id: w.id,
+        number: i + 1,
+        focused: w.focused,
+        title: ((w.tabs || []).find((t) => t.active) || {}).title || '',
+        tabCount: (w.tabs || []).length
+      })),
+      groups: groups.map((g) => ({ id: g.id, title: g.title || '', color: g.color, windowId: g.windowId }))
+    };
+  }
+});
+
+defineAction('closeTab', {
+  params: { id: 'integer' },
+  async run({ id }) {
+    await chrome.tabs.remove(id);
+  }
+});
+
+defineAction('pinTab', {
+  params: { id: 'integer', pinned: 'boolean?' },
+  async run({ id, pinned }) {
+    await chrome.tabs.update(id, { pinned: !!pinned });
+  }
+});
+
+// windowId 'new' moves the tab into a window of its own.
+defineAction('moveTab', {
+  params: { id: 'integer', windowId: 'integer|new' },
+  async run({ id, windowId }) {
+    if (windowId === 'new') {
+      await chrome.windows.create({ tabId: id, focused: false });
+    } else {
+      await chrome.tabs.move(id, { windowId, index: -1 });
+    }
+  }
+});
+
+// Either an existing groupId, or a title for a new group in the tab's window.
+defineAction('addTabToGroup', {
+  params: { id: 'integer', groupId: 'integer?', title: 'string?' },
+  async run({ id, groupId, title }) {
+    if (groupId != null) {
+      const group = await chrome.tabGroups.get(groupId);
+      const tab = await chrome.tabs.get(id);
+      if (tab.windowId !== group.windowId) {
+        await chrome.tabs.move(id, { windowId: group.windowId, index: -1 });
+      }
+      await chrome.tabs.group({ tabIds: [id], groupId });
+    } else {
+      const newGroupId = await chrome.tabs.group({ tabIds: [id] });
+      await chrome.tabGroups.update(newGroupId, { title: title || '' });
+    }
+  }
+});
+
+// Optional scope: { windowId } for one window or { tabIds } for selected tabs.
+defineAction('saveSession', {
+  params: { name: 'string?', windowId: 'integer?', tabIds: 'integer[]?', tags: TAGS },
+  external: true,
+  async run({ name, windowId, tabIds, tags }) {
+    const captured = await captureSession(name, { windowId, tabIds });
+    if (captured.windows.length === 0) throw new Error('No tabs to save');
+    return { session: await addSession(editSessionInfo(captured, { tags })) };
+  }
+});
+
+defineAction('getSessions', {
+  external: true,
+  async run() {
+    try {
+      const sessions = await getSessions();
+      sessions.sort((a, b) => b.created - a.created);
+      return { sessions };
+    } catch (e) {
+      return { sessions: [], locked: true };
+    }
+  }
+});
+
+defineAction('getSession', {
+  params: { id: SESSION_ID },
+  external: true,
+  async run({ id }) {
+    const session = await getSession(id);
+    if (!session) throw new Error('Session not found');
+    return { session: normalizeSession(session) };
+  }
+});
+
+// One edit per message: info | removeTab | moveTab | addTab.
+defineAction('editSession', {
+  params: {
+    id: SESSION_ID,
+    edit: 'info|removeTab|moveTab|addTab',
+    name: 'string?',
+    tags: TAGS,
+    notes: 'string?',
+    tabId: 'integer?',
+    window: 'integer?',
+    index: 'integer?',
+    from: 'integer?',
+    to: 'integer?'
+  },
+  async run(params) {
+    let tab = null;
+    if (params.edit === 'addTab') {
+      if (params.tabId == null) throw new Error('Missing parameter "tabId"');
+      tab = await chrome.tabs.get(params.tabId);
+      if (!tab.url) throw new Error('Tab has no URL');
+    }
+    const session = await updateSession(params.id, (s) => {
+      switch (params.edit) {
+        case 'info': return editSessionInfo(s, params);
+        case 'removeTab': return removeSessionTab(s, params.window, params.index);
+        case 'moveTab': return moveSessionTab(s, params.window, params.from, params.to);
+        default: return addSessionTab(s, tab, params.window);
+      }
+    });
+    if (!session) throw new Error('Session not found');
+    return { session };
+  }
+});
+
+// Appends source's windows to target, then deletes source.
+defineAction('mergeSessions', {
+  params: { targetId: SESSION_ID, sourceId: SESSION_ID },
+  async run({ targetId, sourceId }) {
+    const session = await withSessions((sessions) => {
+      const target = sessions.find((s) => s.id === targetId);
+      const source = sessions.find((s) => s.id === sourceId);
+      if (!target || !source || target === source) throw new Error('Session not found');
+      const merged = { ...mergeSessions(target, source), id: target.id, created: target.created, modified: Date.now() };
+      return {
+        sessions: sessions.filter((s) => s !== source).map((s) => (s === target ? merged : s)),
+        value: merged
+      };
+    });
+    return { session };
+  }
+});
+
+defineAction('deleteSession', {
+  params: { id: SESSION_ID },
+  async run({ id }) {
+    await deleteSession(id);
+  }
+});
+
+defineAction('restoreSession', {
+  params: { id: SESSION_ID },
+  external: true,
+  async run({ id }) {
+    const session = await getSession(id);
+    if (!session) throw new Error('Session not found');
+    await restoreSession(session);
+  }
+});
+
+defineAction('exportSession', {
+  params: { id: SESSION_ID, format: 'string?' },
+  async run({ id, format }) {
+    const session = await getSession(id);
+    if (!session) throw new Error('Session not found');
+    await downloadSessions([session], FORMATS[format] ? format : 'json', session.name);
+  }
+});
+
+// One archive with every manual session (automatic snapshots only with includeAuto).
+defineAction('exportAllSessions', {
+  params: { format: 'string?', includeAuto: 'boolean?' },
+  async run({ format, includeAuto }) {
+    const sessions = (await getSessions()).filter((s) => includeAuto || !s.auto);
+    if (sessions.length === 0) throw new Error('No sessions');
+    const stamp = new Date().toISOString().slice(0, 10);
+    await downloadSessions(sessions, FORMATS[format] ? format : 'json', `sessions-${stamp}`);
+    return { count: sessions.length };
+  }
+});
+
+// Text for the clipboard: { ids, format } -> { text }.
+defineAction('formatSessions', {
+  params: { ids: 'integer[]', format: 'string?' },
+  async run({ ids, format }) {
+    const wanted = new Set(ids);
+    const sessions = (await getSessions()).filter((s) => wanted.has(s.id));
+    if (sessions.length === 0) throw new Error('Session not found');
+    return { text: exportSessions(sessions, FORMATS[format] ? format : 'markdown') };
+  }
+});
+
+defineAction('getCleanupReport', {
+  params: { staleDays: 'number?' },
+  async run({ staleDays }) {
+    return cleanupReport(staleDays);
+  }
+});
+
+// { tabIds, action: close | discard | session | group, name? }
+defineAction('cleanupTabs', {
+  params: { tabIds: 'integer[]', action: 'close|discard|session|group', name: 'string?' },
+  async run({ tabIds, action, name }) {
+    return { count: await cleanupTabs(tabIds, action, name) };
+  }
+});
+
+defineAction('getWorkspaces', {
+  external: true,
+  async run() {
+    const [sessions, activeId] = await Promise.all([getSessions(), getActiveWorkspaceId()]);
+    const workspaces = listWorkspaces(sessions).map((w) => ({
+      id: w.id,
+      name: w.name,
+      tabCount: sessionTabs(w).length
+    }));
+    return { workspaces, activeId, mode: workspaceSwitchMode };
+  }
+});
+
+defineAction('createWorkspace', {
+  params: { name: 'string', fromCurrent: 'boolean?' },
+  async run({ name, fromCurrent }) {
+    return { workspace: await createWorkspace(name, { fromCurrent: !!fromCurrent }) };
+  }
+});
+
+defineAction('switchWorkspace', {
+  params: { id: SESSION_ID },
+  external: true,
+  async run({ id }) {
+    return { workspace: await changeWorkspace(id) };
+  }
+});
+
+// Keyboard command: the workspace after the active one.
+defineAction('cycleWorkspace', {
+  async run() {
+    const activeId = await getActiveWorkspaceId();
+    const next = nextWorkspace(listWorkspaces(await getSessions()), activeId);
+    if (!next || next.id === activeId) return { workspace: null };
+    return { workspace: await changeWorkspace(next.id) };
+  }
+});
+
+defineAction('deleteWorkspace', {
+  params: { id: SESSION_ID },
+  async run({ id }) {
+    await deleteWorkspace(id);
+  }
+});
+
+defineAction('getReadLater', {
+  async run() {
+    return { queue: await getQueue() };
+  }
+});
+
+// Opens in this window and activates it, even when a limit is reached.
+defineAction('openReadLater', {
+  params: { id: 'integer?', windowId: 'integer?' },
+  async run({ id, windowId }) {
+    const entry = await takeEntry(id);
+    if (!entry) throw new Error('Entry not found');
+    try {
+      await withoutBlocking(() => chrome.tabs.create({ windowId, url: entry.url, active: true }));
+    } catch (e) {
+      await enqueue(entry);
+      throw e;
+    }
+  }
+});
+
+defineAction('moveReadLater', {
+  params: { id: 'integer', to: 'integer' },
+  async run({ id, to }) {
+    if (!(await moveEntry(id, to))) throw new Error('Entry not found');
+  }
+});
+
+defineAction('deleteReadLater', {
+  params: { ids: 'integer[]' },
+  async run({ ids }) {
+    await removeEntries(ids);
+  }
+});
+
+defineAction('getSessionLock', {
+  async run() {
+    return encryptionState();
+  }
+});
+
+defineAction('unlockSessions', {
+  params: { passphrase: 'string?' },
+  async run({ passphrase }) {
+    await unlock(passphrase || '');
+    return encryptionState();
+  }
+});
+
+defineAction('lockSessions', {
+  async run() {
+    await lock();
+    return encryptionState();
+  }
+});
+
+defineAction('setSessionPassphrase', {
+  params: { passphrase: 'string?' },
+  async run({ passphrase }) {
+    await setPassphrase(passphrase);
+    return encryptionState();
+  }
+});
+
+defineAction('removeSessionPassphrase', {
+  async run() {
+    await removePassphrase();
+    return encryptionState();
+  }
+});
+
+defineAction('updateThreshold', {
+  params: { value: 'integer' },
+  async run({ value }) {
+    if (value <= 0) throw new Error('Invalid threshold');
+    await chrome.storage.local.set({ tabThreshold: value });
+    updateBadge();
+    return { threshold: value };
+  }
+});
+
+defineAction('setWindowLimit', {
+  params: { windowId: 'integer', value: 'integer' },
+  async run({ windowId, value }) {
+    if (value < 0) throw new Error('Invalid window limit');
+    const overrides = { ...windowLimitOverrides };
+    if (value === 0) delete overrides[windowId];
+    else overrides[windowId] = value;
+    windowLimitOverrides = overrides;
+    await chrome.storage.session.set({ windowLimitOverrides: overrides });
+    windowLimitRecords = await rememberWindowLimits(overrides, { forget: value === 0 ? windowId : undefined });
+    updateBadge();
+    if (tabPolicy === 'trim') checkTabCount();
+  }
+});
+
+defineAction('previewTrim', {
+  async run() {
+    const plan = await planNextTrim();
+    return {
+      discard: discardInstead,
+      tabs: plan.map(({ tab, score, factors }) => ({
+        id: tab.id,
+        title: tab.title || '',
+        url: tab.url || '',
+        windowId: tab.windowId,
+        score,
+        factors
+      }))
+    };
+  }
+});
+
+defineAction('getThreshold', {
+  external: true,
+  async run() {
+    const { tabThreshold: value } = await chrome.storage.local.get('tabThreshold');
+    return { threshold: value || DEFAULT_THRESHOLD };
+  }
+});
+
+defineAction('getPolicy', {
+  external: true,
+  async run() {
+    const { tabPolicy: pol } = await chrome.storage.local.get('tabPolicy');
+    return { policy: pol || DEFAULT_POLICY };
+  }
+});
+
+defineAction('updatePolicy', {
+  params: { value: POLICIES.join('|') },
+  async run({ value }) {
+    await chrome.storage.local.set({ tabPolicy: value });
+    updateBadge();
+    return { policy: value };
+  }
+});
+
+// range: 'today' | '7d' | '30d' | { from, to }; anything else means all time.
+defineAction('getDomainStats', {
+  params: { range: 'string|object?' },
+  external: true,
+  async run({ range: requested }) {
+    // Include time counted since the last periodic flush.
+    let daily = {};
+    try {
+      const flushed = await flushDomainTimes();
+      domainTimes = flushed.domainTimes;
+      daily = flushed.domainDaily;
+    } catch (e) {
+      daily = (await chrome.storage.local.get(DAILY_KEY))[DAILY_KEY] || {};
+    }
+    const range = resolveRange(requested);
+    if (range) {
+      const days = dailyRows(daily, range.from, range.to);
+      return { stats: domainTotals(days), days, from: range.from, to: range.to };
+    }
+    // All time: totals include time recorded before daily buckets existed.
+    const entries = Object.entries(domainTimes).map(([domain, ms]) => ({ domain, ms }));
+    entries.sort((a, b) => b.ms - a.ms);
+    const keys = Object.keys(daily).sort();
+    const from = keys[0] || dayKey();
+    const to = dayKey();
+    return { stats: entries, days: dailyRows(daily, from, to), from, to };
+  }
+});
+
+defineAction('snoozeBudget', {
+  params: { domain: 'string', minutes: 'integer' },
+  async run({ domain, minutes }) {
+    if (!domain || minutes < 1 || minutes > 60) throw new Error('Invalid snooze');
+    const snoozes = { ...budgetSnoozes, [domain]: Date.now() + minutes * 60000 };
+    // Expired snoozes are dropped here rather than on a timer.
+    for (const [key, until] of Object.entries(snoozes)) {
+      if (until <= Date.now()) delete snoozes[key];
+    }
+    budgetSnoozes = snoozes;
+    await chrome.storage.local.set({ budgetSnoozes: snoozes });
+  }
+});
+
+defineAction('resetDomainStats', {
+  async run() {
+    await discardPendingTime();
+    domainTimes = {};
+    await chrome.storage.local.set({ domainTimes: {}, [DAILY_KEY]: {} });
+  }
+});
+
+// { text, filename?, format? } in any supported format, or a parsed { session } object.
+// Encrypted files also need { passphrase }; without it the reply has needsPassphrase.
+defineAction('importSession', {
+  params: { text: 'string?', session: 'object?', filename: 'string?', format: 'string?', passphrase: 'string?' },
+  async run(params) {
+    let text = params.text != null ? params.text : JSON.stringify(params.session);
+    let format = params.format;
+    const envelope = parseEnvelope(text);
+    if (envelope) {
+      if (!params.passphrase) return { ok: false, needsPassphrase: true, error: 'Passphrase required' };
+      text = await decryptWithPassphrase(params.passphrase, envelope);
+      format = format || envelope.format;
+    }
+    const filename = envelope && params.filename ? params.filename.replace(/\.encrypted\.json$/i, '') : params.filename;
+    const parsed = importSessions(text, { format, filename });
+    if (parsed.sessions.length === 0) {
+      return { ok: false, error: 'No importable tabs', dropped: parsed.dropped };
+    }
+    for (const session of parsed.sessions) {
+      await addSession({ ...session, id: Date.now(), created: Date.now() });
+    }
+    return { imported: parsed.sessions.length, dropped: parsed.dropped, format: parsed.format };
+  }
+});
+
+defineAction('openTabSearch', {
+  async run() {
+    // openPopup needs a focused normal window; fall back to a small popup window.
+    try {
+      await chrome.action.openPopup();
+    } catch (e) {
+      await chrome.windows.create({ url: chrome.runtime.getURL('popup.html'), type: 'popup', width: 420, height: 600 });
+    }
+  }
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  runAction(message && message.command, message).then(sendResponse);
+  return true;
+});
+
+// Other extensions: only the IDs on the options page's allow-list, and only external actions.
+chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+  (async () => {
+    const { externalAllowlist } = await chrome.storage.local.get('externalAllowlist');
+    if (!Array.isArray(externalAllowlist) || !externalAllowlist.includes(sender.id)) {
+      sendResponse({ ok: false, error: 'Not allowed' });
+      return;
+    }
+    sendResponse(await runAction(message && message.command, message, { external: true, sender }));
+  })();
+  return true;
+});
+
+// Right-click menus
+function rebuildContextMenus() {
+  getSessions()
+    .then((sessions) => sessions.filter((s) => !s.auto && !isWorkspace(s)), () => null)
+    .then((sessions) => buildMenus(contextMenuSettings, sessions))
+    .catch(() => {});
+}
+
+function notify(title, message) {
+  return chrome.notifications.create('', { type: 'basic', title, message, iconUrl: 'icons/icon128.png' }).catch(() => {});
+}
+
+/** Hostname of a web page without "www.", or null for other schemes. */
+function pageDomain(url) {
+  try {
+    const u = new URL(url);
+    return /^https?:$/.test(u.protocol) ? u.hostname.replace(/^www\./, '').toLowerCase() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function runMenuAction(action, arg, info, tab) {
+  const domain = tab ? pageDomain(tab.url) : null;
+  switch (action) {
+    case 'save-window': {
+      const res = await runAction('saveSession', { windowId: tab.windowId });
+      if (!res.ok) throw new Error(res.error);
+      const { session } = res;
+      await notify('セッションを保存しました', `「${session.name}」（${sessionTabs(session).length} タブ）`);
       break;
-    case 'save-session':
-      try {
-        const tabs = await chrome.tabs.query({});
-        const session = {
-          id: Date.now(),
-          name: new Date().toLocaleString(),
-          created: Date.now(),
-          tabs: tabs.map((t) => ({ url: t.url, title: t.title, pinned: t.pinned }))
-        };
-        const data = await chrome.storage.local.get('savedSessions');
-        const sessions = Array.isArray(data.savedSessions) ? data.savedSessions : [];
-        sessions.push(session);
-        await chrome.storage.local.set({ savedSessions: sessions });
-      } catch (e) {}
+    }
+    case 'add-to-session':
+    case 'add-link-to-session': {
+      const link = action === 'add-link-to-session';
+      const entry = link ? { url: info.linkUrl, title: info.selectionText || info.linkUrl } : tab;
+      if (!entry || !entry.url) throw new Error('追加できる URL がありません');
+      const session = await updateSession(Number(arg), (s) => addSessionTab(s, entry));
+      if (!session) throw new Error('セッションが見つかりません');
+      await notify('セッションに追加しました', `「${session.name}」に ${entry.title || entry.url} を追加しました`);
       break;
-    case 'remove-duplicates':
-      try {
-        const tabs = await chrome.tabs.query({});
-        const seen = {};
-        const toRemove = [];
-        for (const tab of tabs) {
-          const url = tab.url || '';
-          if (seen[url]) toRemove.push(tab.id);
-          else seen[url] = tab.id;
-        }
-        if (toRemove.length > 0) {
-          if (discardInstead) {
-            for (const id of toRemove) { try { await chrome.tabs.discard(id); } catch (e) {} }
-          } else {
-            await chrome.tabs.remove(toRemove);
-          }
-        }
-      } catch (e) {}
+    }
+    case 'whitelist-domain': {
+      if (!domain) throw new Error('このページのドメインは追加できません');
+      const { whitelistRules: stored } = await chrome.storage.local.get('whitelistRules');
+      const rules = Array.isArray(stored) ? stored : [];
+      if (!rules.some((r) => r.pattern === domain)) {
+        await chrome.storage.local.set({ whitelistRules: [...rules, { pattern: domain, exempt: [...WHITELIST_MENU_EXEMPTIONS] }] });
+      }
+      const labels = WHITELIST_MENU_EXEMPTIONS.map((e) => EXEMPTION_LABELS[e]).join('・');
+      await notify('ホワイトリストに追加しました', `${domain}（サブドメインを含む）を${labels}の対象外にしました`);
+      break;
+    }
+    case 'close-domain': {
+      if (!domain) throw new Error('このページのドメインのタブは閉じられません');
+      const tabs = (await chrome.tabs.query({})).filter((t) => {
+        const host = pageDomain(t.url);
+        return !t.pinned && host && domainMatches(host, domain);
+      });
+      if (tabs.length === 0) break;
+      const entries = await describeClosing(tabs, 'domain');
+      await chrome.tabs.remove(tabs.map((t) => t.id));
+      await recordClosed(entries);
+      break;
+    }
+    case 'group-domain':
+      if (!domain) throw new Error('このページのドメインのタブはグループ化できません');
+      // Grouping works on registrable domains, so mail.example.com groups with example.com.
+      await applyGrouping({
+        rules: [{ type: 'domain', pattern: domain, title: registrableDomain(domain) }],
+        windowId: tab.windowId
+      });
+      break;
+    case 'exempt-trim': {
+      const minutes = Number(arg);
+      await chrome.storage.session.set({ trimExemptions: { ...trimExemptions, [tab.id]: Date.now() + minutes * 60000 } });
+      await notify('自動整理の対象外にしました', `このタブは ${formatMinutes(minutes)} の間、自動整理で閉じられません`);
       break;
+    }
     default:
       break;
   }
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const { action, arg } = parseMenuId(info.menuItemId);
+  try {
+    await runMenuAction(action, arg, info, tab);
+  } catch (e) {
+    await notify('操作できませんでした', e.message);
+  }
+});
+
+// Keyboard shortcuts run the same actions as the popup ("remove-duplicates" respects discardInstead).
+const COMMAND_ACTIONS = {
+  'group-by-domain': 'groupByDomain',
+  'save-session': 'saveSession',
+  'remove-duplicates': 'removeDuplicates',
+  'cycle-workspace': 'cycleWorkspace',
+  'open-tab-search': 'openTabSearch'
+};
+
+chrome.commands.onCommand.addListener(async (command) => {
+  if (!COMMAND_ACTIONS[command]) return;
+  const res = await runAction(COMMAND_ACTIONS[command], {}, { command });
+  if (command === 'cycle-workspace') {
+    if (!res.ok) notify('ワークスペースを切り替えられません', res.error);
+    else if (res.workspace) notify('ワークスペースを切り替えました', res.workspace.name);
+  }
 });
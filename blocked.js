@@ -0,0 +1,49 @@
+// blocked.js
+// Page shown in place of a site that is out of its daily budget or inside a focus window.
+
+function sendCommand(command, data = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ ...data, command }, (response) => {
+      resolve(response);
+    });
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const params = new URLSearchParams(location.search);
+  const reason = params.get('reason');
+  const domain = params.get('domain') || '';
+  const url = params.get('url') || '';
+  const statusEl = document.getElementById('status');
+
+  if (reason === 'focus') {
+    document.getElementById('blockedTitle').textContent = '集中時間中です';
+    const until = params.get('until');
+    document.getElementById('blockedMessage').textContent =
+      `${domain} は${until ? ` ${until} まで` : ''}集中時間のためブロックされています。`;
+  } else {
+    document.getElementById('blockedTitle').textContent = '今日の利用時間の上限に達しました';
+    document.getElementById('blockedMessage').textContent =
+      `${domain} の今日の利用時間が設定した上限に達しました。`;
+    document.getElementById('snoozeActions').hidden = !/^https?:/.test(url);
+  }
+  document.getElementById('blockedUrl').textContent = url;
+
+  document.querySelectorAll('#snoozeActions button').forEach((button) => {
+    button.addEventListener('click', async () => {
+      const res = await sendCommand('snoozeBudget', { domain, minutes: Number(button.dataset.minutes) });
+      if (res && res.ok && /^https?:/.test(url)) {
+        location.replace(url);
+      } else {
+        statusEl.textContent = '延長できませんでした';
+      }
+    });
+  });
+
+  document.getElementById('closeTab').addEventListener('click', () => {
+    chrome.tabs.getCurrent((tab) => {
+      if (tab) chrome.tabs.remove(tab.id);
+      else window.close();
+    });
+  });
+});
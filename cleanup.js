@@ -0,0 +1,168 @@
+// cleanup.js
+// Lists open tabs grouped by lib/cleanup.js and runs bulk actions on the checked ones.
+
+import { DEFAULT_STALE_DAYS } from './lib/cleanup.js';
+
+const ACTIONS = [
+  { action: 'close', label: '閉じる', className: 'danger' },
+  { action: 'discard', label: '休止', className: 'secondary' },
+  { action: 'session', label: 'セッションに移して閉じる', className: '' },
+  { action: 'group', label: 'グループ化', className: 'secondary' }
+];
+
+const DONE_MESSAGES = {
+  close: (n) => `${n} 件のタブを閉じました`,
+  discard: (n) => `${n} 件のタブを休止しました`,
+  session: (n) => `${n} 件のタブをセッションに保存して閉じました`,
+  group: (n) => `${n} 件のタブをグループ化しました`
+};
+
+function sendCommand(command, data = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ ...data, command }, (response) => {
+      resolve(response);
+    });
+  });
+}
+
+function showStatus(msg, isError = false) {
+  const statusEl = document.getElementById('status');
+  statusEl.textContent = msg;
+  statusEl.style.color = isError ? '#dc3545' : '';
+  if (msg) setTimeout(() => { statusEl.textContent = ''; }, 3000);
+}
+
+function formatAgo(timestamp) {
+  if (!timestamp) return '';
+  const minutes = Math.floor((Date.now() - timestamp) / 60000);
+  if (minutes < 60) return `${Math.max(minutes, 0)} 分前`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} 時間前`;
+  return `${Math.floor(hours / 24)} 日前`;
+}
+
+function focusTab(tab) {
+  chrome.tabs.update(tab.id, { active: true });
+  chrome.windows.update(tab.windowId, { focused: true });
+}
+
+function renderGroup(group) {
+  const box = document.createElement('div');
+  box.className = 'group';
+
+  const head = document.createElement('div');
+  head.className = 'group-head';
+  const all = document.createElement('input');
+  all.type = 'checkbox';
+  all.checked = group.tabs.every((t) => !t.pinned && !t.active);
+  all.title = 'すべて選択';
+  const title = document.createElement('span');
+  title.className = 'group-title';
+  title.textContent = group.title;
+  const count = document.createElement('span');
+  count.className = 'count';
+  count.textContent = ` (${group.tabs.length})`;
+  title.appendChild(count);
+  head.append(all, title);
+
+  const list = document.createElement('ul');
+  list.className = 'tab-list';
+  group.tabs.forEach((tab) => {
+    const li = document.createElement('li');
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    // Pinned tabs and the tab being viewed start unchecked; close and save skip them anyway.
+    check.checked = !tab.pinned && !tab.active;
+    check.value = tab.id;
+    const name = document.createElement('a');
+    name.href = '#';
+    name.className = 'tab-title';
+    name.textContent = tab.title || tab.url;
+    name.title = tab.url;
+    name.addEventListener('click', (e) => {
+      e.preventDefault();
+      focusTab(tab);
+    });
+    const meta = document.createElement('span');
+    meta.className = 'tab-meta';
+    meta.textContent = [tab.pinned ? '固定' : '', tab.active ? '表示中' : '', formatAgo(tab.lastAccessed)]
+      .filter(Boolean).join('・');
+    li.append(check, name, meta);
+    list.appendChild(li);
+  });
+  all.addEventListener('change', () => {
+    list.querySelectorAll('input[type="checkbox"]').forEach((c) => { c.checked = all.checked; });
+  });
+
+  ACTIONS.forEach(({ action, label, className }) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    if (className) button.className = className;
+    button.addEventListener('click', () => {
+      const tabIds = [...list.querySelectorAll('input[type="checkbox"]:checked')].map((c) => Number(c.value));
+      runAction(action, tabIds);
+    });
+    head.appendChild(button);
+  });
+
+  box.append(head, list);
+  return box;
+}
+
+function render(report) {
+  const container = document.getElementById('report');
+  container.innerHTML = '';
+  report.categories.forEach((category) => {
+    const card = document.createElement('section');
+    card.className = 'card';
+    const h2 = document.createElement('h2');
+    h2.textContent = category.key === 'stale' ? `${report.staleDays} 日以上使っていないタブ` : category.label;
+    card.appendChild(h2);
+    if (category.key === 'saved' && report.savedLocked) {
+      const note = document.createElement('p');
+      note.className = 'note';
+      note.textContent = 'セッションがロックされているため確認できません';
+      card.appendChild(note);
+    } else if (category.groups.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'empty';
+      empty.textContent = '該当するタブはありません';
+      card.appendChild(empty);
+    }
+    category.groups.forEach((group) => card.appendChild(renderGroup(group)));
+    container.appendChild(card);
+  });
+}
+
+async function load() {
+  const input = document.getElementById('staleDays');
+  const res = await sendCommand('getCleanupReport', { staleDays: Number(input.value) || DEFAULT_STALE_DAYS });
+  if (!res || !res.ok) {
+    showStatus((res && res.error) || 'タブの一覧を取得できませんでした', true);
+    return;
+  }
+  input.value = res.staleDays;
+  render(res);
+}
+
+async function runAction(action, tabIds) {
+  if (tabIds.length === 0) {
+    showStatus('タブが選択されていません', true);
+    return;
+  }
+  const name = document.getElementById('actionName').value;
+  const res = await sendCommand('cleanupTabs', { tabIds, action, name });
+  if (res && res.ok) {
+    showStatus(DONE_MESSAGES[action](res.count));
+  } else {
+    showStatus((res && res.error) || '操作に失敗しました', true);
+  }
+  load();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('staleDays').value = DEFAULT_STALE_DAYS;
+  load();
+  document.getElementById('refresh').addEventListener('click', load);
+  document.getElementById('staleDays').addEventListener('change', load);
+});
@@ -0,0 +1,229 @@
+// dashboard.js
+// Renders browsing statistics per day and per domain with plain SVG charts.
+
+import { domainTotals, rowsToCsv } from './lib/stats.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MAX_DOMAIN_ROWS = 20;
+
+let currentRange = '7d';
+let currentData = null;
+let selectedDomain = null;
+
+function sendCommand(command, data = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ ...data, command }, (response) => {
+      resolve(response);
+    });
+  });
+}
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} 分`;
+  const hours = Math.floor(minutes / 60);
+  return `${hours} 時間 ${minutes % 60} 分`;
+}
+
+function svgEl(name, attrs = {}, text) {
+  const el = document.createElementNS(SVG_NS, name);
+  Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+  if (text != null) el.textContent = text;
+  return el;
+}
+
+function showEmpty(container, message) {
+  container.innerHTML = '';
+  const p = document.createElement('p');
+  p.className = 'empty';
+  p.textContent = message;
+  container.appendChild(p);
+}
+
+function showStatus(msg, isError = false) {
+  const statusEl = document.getElementById('status');
+  statusEl.textContent = msg;
+  statusEl.style.color = isError ? '#dc3545' : '';
+  if (msg) setTimeout(() => { statusEl.textContent = ''; }, 3000);
+}
+
+/** Vertical bars, one per day, for all domains or the selected one. */
+function renderDailyChart(days) {
+  const container = document.getElementById('dailyChart');
+  const values = days.map((d) => (selectedDomain ? d.domains[selectedDomain] || 0 : d.total));
+  if (values.every((v) => v === 0)) {
+    showEmpty(container, 'この期間のデータはありません');
+    return;
+  }
+  container.innerHTML = '';
+  const width = 900;
+  const height = 220;
+  const left = 48;
+  const bottom = 24;
+  const top = 10;
+  const max = Math.max(...values);
+  const slot = (width - left) / values.length;
+  const svg = svgEl('svg', { viewBox: `0 0 ${width} ${height}`, role: 'img' });
+
+  // Three horizontal guide lines labelled in minutes.
+  for (let i = 1; i <= 3; i++) {
+    const value = (max * i) / 3;
+    const y = height - bottom - ((height - bottom - top) * i) / 3;
+    svg.appendChild(svgEl('line', { x1: left, x2: width, y1: y, y2: y, stroke: '#e5e7eb' }));
+    svg.appendChild(svgEl('text', { x: left - 6, y: y + 4, 'text-anchor': 'end' }, `${Math.round(value / 60000)}分`));
+  }
+
+  const labelEvery = Math.ceil(values.length / 12);
+  days.forEach((day, i) => {
+    const h = max ? ((height - bottom - top) * values[i]) / max : 0;
+    const x = left + i * slot + slot * 0.15;
+    const bar = svgEl('rect', {
+      class: 'bar' + (selectedDomain ? ' active' : ''),
+      x,
+      y: height - bottom - h,
+      width: Math.max(1, slot * 0.7),
+      height: h
+    });
+    bar.appendChild(svgEl('title', {}, `${day.day}: ${formatDuration(values[i])}`));
+    svg.appendChild(bar);
+    if (i % labelEvery === 0) {
+      svg.appendChild(svgEl('text', { x: x + slot * 0.35, y: height - 6, 'text-anchor': 'middle' }, day.day.slice(5)));
+    }
+  });
+  container.appendChild(svg);
+}
+
+/** Horizontal bars for the top domains; clicking a row drills down into it. */
+function renderDomainChart(stats) {
+  const container = document.getElementById('domainChart');
+  const rows = stats.slice(0, MAX_DOMAIN_ROWS);
+  if (rows.length === 0) {
+    showEmpty(container, 'この期間のデータはありません');
+    return;
+  }
+  container.innerHTML = '';
+  const width = 900;
+  const rowHeight = 24;
+  const nameWidth = 240;
+  const valueWidth = 120;
+  const max = rows[0].ms;
+  const svg = svgEl('svg', { viewBox: `0 0 ${width} ${rows.length * rowHeight}`, role: 'img' });
+  rows.forEach(({ domain, ms }, i) => {
+    const y = i * rowHeight;
+    const g = svgEl('g', { class: 'domain-row' });
+    g.appendChild(svgEl('text', { class: 'name', x: 0, y: y + 16 }, domain));
+    const barWidth = max ? ((width - nameWidth - valueWidth) * ms) / max : 0;
+    g.appendChild(svgEl('rect', {
+      class: 'bar' + (domain === selectedDomain ? ' active' : ''),
+      x: nameWidth,
+      y: y + 4,
+      width: Math.max(1, barWidth),
+      height: rowHeight - 8,
+      rx: 3
+    }));
+    g.appendChild(svgEl('text', { x: nameWidth + barWidth + 6, y: y + 16 }, formatDuration(ms)));
+    g.addEventListener('click', () => {
+      selectedDomain = domain === selectedDomain ? null : domain;
+      render();
+    });
+    svg.appendChild(g);
+  });
+  container.appendChild(svg);
+}
+
+function renderSummary(data) {
+  const stats = selectedDomain ? data.stats.filter((s) => s.domain === selectedDomain) : data.stats;
+  const total = stats.reduce((sum, s) => sum + s.ms, 0);
+  document.getElementById('sumRange').textContent = data.from === data.to ? data.from : `${data.from} 〜 ${data.to}`;
+  document.getElementById('sumTotal').textContent = formatDuration(total);
+  document.getElementById('sumAverage').textContent = formatDuration(total / Math.max(1, data.days.length));
+  document.getElementById('sumDomains').textContent = selectedDomain ? selectedDomain : data.stats.length;
+}
+
+function render() {
+  if (!currentData) return;
+  document.getElementById('dailyTitle').textContent = selectedDomain
+    ? `日別の利用時間: ${selectedDomain}`
+    : '日別の利用時間';
+  document.getElementById('clearDomain').hidden = !selectedDomain;
+  renderSummary(currentData);
+  renderDailyChart(currentData.days);
+  renderDomainChart(currentData.stats);
+}
+
+async function load(range) {
+  currentRange = range;
+  const res = await sendCommand('getDomainStats', { range });
+  if (!res || !Array.isArray(res.stats)) {
+    showStatus('統計の取得に失敗しました', true);
+    return;
+  }
+  currentData = res;
+  if (selectedDomain && !res.stats.some((s) => s.domain === selectedDomain)) selectedDomain = null;
+  document.querySelectorAll('#rangeButtons button').forEach((b) => {
+    b.classList.toggle('selected', b.dataset.range === range);
+  });
+  document.getElementById('rangeFrom').value = res.from;
+  document.getElementById('rangeTo').value = res.to;
+  render();
+}
+
+function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  load(currentRange);
+
+  document.querySelectorAll('#rangeButtons button').forEach((button) => {
+    button.addEventListener('click', () => load(button.dataset.range));
+  });
+
+  document.getElementById('applyCustom').addEventListener('click', () => {
+    const from = document.getElementById('rangeFrom').value;
+    const to = document.getElementById('rangeTo').value;
+    if (!from || !to) {
+      showStatus('開始日と終了日を入力してください', true);
+      return;
+    }
+    load({ from, to });
+  });
+
+  document.getElementById('clearDomain').addEventListener('click', () => {
+    selectedDomain = null;
+    render();
+  });
+
+  document.getElementById('exportCsv').addEventListener('click', () => {
+    if (!currentData) return;
+    download(`tab-stats_${currentData.from}_${currentData.to}.csv`, rowsToCsv(currentData.days), 'text/csv');
+  });
+
+  document.getElementById('exportJson').addEventListener('click', () => {
+    if (!currentData) return;
+    const payload = {
+      from: currentData.from,
+      to: currentData.to,
+      totals: domainTotals(currentData.days),
+      days: currentData.days
+    };
+    download(`tab-stats_${currentData.from}_${currentData.to}.json`, JSON.stringify(payload, null, 2), 'application/json');
+  });
+
+  document.getElementById('resetStats').addEventListener('click', async () => {
+    if (!confirm('記録された利用時間をすべて削除します。よろしいですか？')) return;
+    const res = await sendCommand('resetDomainStats');
+    if (res && res.ok) {
+      showStatus('統計をリセットしました');
+      selectedDomain = null;
+      load(currentRange);
+    } else {
+      showStatus('リセットに失敗しました', true);
+    }
+  });
+});
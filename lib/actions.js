@@ -0,0 +1,85 @@
+/*
+ * Action registry behind runtime messages, keyboard commands and the external API.
+ *
+ * background.js registers every action once: defineAction(name, { params, external, run }).
+ * `params` maps field names to type strings:
+ *   'string' | 'number' | 'integer' | 'boolean' | 'object' | 'any'
+ *   a "[]" suffix for arrays ('integer[]'), other words for allowed values
+ *   ('close|discard'), "|" between alternatives and a trailing "?" for optional fields.
+ * Only the fields named in `params` reach run(params, context). Whatever run() returns is
+ * answered with ok: true (it may override that with ok: false and details); a thrown error
+ * becomes { ok: false, error }. Actions marked `external` may also be called by other
+ * extensions on the allow-list (see background.js).
+ */
+
+const actions = new Map();
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === 'string',
+  number: (v) => typeof v === 'number' && Number.isFinite(v),
+  integer: (v) => Number.isInteger(v),
+  boolean: (v) => typeof v === 'boolean',
+  object: (v) => !!v && typeof v === 'object' && !Array.isArray(v),
+  any: () => true
+};
+
+function matchesAlternative(value, alternative) {
+  if (alternative.endsWith('[]')) {
+    const item = alternative.slice(0, -2);
+    return Array.isArray(value) && value.every((v) => matchesAlternative(v, item));
+  }
+  const check = TYPE_CHECKS[alternative];
+  return check ? check(value) : value === alternative;
+}
+
+/** Does `value` match a type string (ignoring "?")? */
+export function matchesType(value, type) {
+  return type.replace(/\?$/, '').split('|').some((alternative) => matchesAlternative(value, alternative));
+}
+
+/**
+ * Check `message` against a params schema. Returns { values } with only the declared
+ * fields, or { error } for the first field that does not match.
+ */
+export function validateParams(message, params = {}) {
+  const values = {};
+  for (const [field, type] of Object.entries(params)) {
+    const value = message ? message[field] : undefined;
+    if (value === undefined || value === null) {
+      if (type.endsWith('?')) continue;
+      return { error: `Missing parameter "${field}"` };
+    }
+    if (!matchesType(value, type)) {
+      return { error: `Invalid parameter "${field}": expected ${type.replace(/\?$/, '')}` };
+    }
+    values[field] = value;
+  }
+  return { values };
+}
+
+export function defineAction(name, { params = {}, external = false, run }) {
+  actions.set(name, { params, external, run });
+}
+
+/** Names of the actions other extensions may call. */
+export function externalActions() {
+  return [...actions].filter(([, action]) => action.external).map(([name]) => name);
+}
+
+/**
+ * Validate and run action `name` with the fields of `message`. context.external limits
+ * the call to external actions. Always resolves to an { ok, ... } response.
+ */
+export async function runAction(name, message = {}, context = {}) {
+  const action = actions.get(name);
+  if (!action || (context.external && !action.external)) {
+    return { ok: false, error: 'Unknown command' };
+  }
+  const { values, error } = validateParams(message, action.params);
+  if (error) return { ok: false, error };
+  try {
+    return { ok: true, ...((await action.run(values, context)) || {}) };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
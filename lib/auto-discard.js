@@ -0,0 +1,82 @@
+/*
+ * Timer-based discarding of inactive tabs, independent of the tab limits.
+ *
+ * settings (autoDiscard): {
+ *   enabled,
+ *   idleMinutes,       // discard after this many minutes without activation
+ *   protectedGroups,   // group titles whose tabs are never discarded
+ *   domainOverrides    // [{ domain, minutes }] – minutes 0 means "never discard"
+ * }
+ * Pinned, audible, active and whitelisted tabs are always skipped.
+ */
+
+import { domainMatches } from './budgets.js';
+
+export const DISCARD_ALARM = 'auto-discard';
+// Rough memory held by a loaded background tab; only used for the popup's estimate.
+export const ESTIMATED_TAB_MB = 60;
+
+export const DEFAULT_AUTO_DISCARD = {
+  enabled: false,
+  idleMinutes: 30,
+  protectedGroups: [],
+  domainOverrides: []
+};
+
+export function resolveAutoDiscard(settings) {
+  return { ...DEFAULT_AUTO_DISCARD, ...(settings && typeof settings === 'object' ? settings : {}) };
+}
+
+export function validateOverride(entry) {
+  if (!entry || !entry.domain || !/^[a-z0-9.*-]+$/i.test(entry.domain)) return 'ドメインが不正です';
+  if (!Number.isInteger(entry.minutes) || entry.minutes < 0) return '分数には 0 以上の数値を入力してください';
+  return null;
+}
+
+/** Minutes of inactivity after which a tab on `hostname` is discarded; 0 = never. */
+export function idleMinutesFor(hostname, settings) {
+  const entry = (settings.domainOverrides || [])
+    .filter((o) => !validateOverride(o) && domainMatches(hostname, o.domain))
+    .sort((a, b) => b.domain.length - a.domain.length)[0];
+  return entry ? entry.minutes : settings.idleMinutes;
+}
+
+/**
+ * Tabs due for discarding.
+ * ctx: { now, activity, groupTitles, isExempt(tab) }
+ */
+export function tabsToDiscard(tabs, settings, ctx) {
+  const s = resolveAutoDiscard(settings);
+  if (!s.enabled) return [];
+  const protectedGroups = new Set(s.protectedGroups);
+  return tabs.filter((tab) => {
+    if (tab.active || tab.pinned || tab.audible || tab.discarded) return false;
+    let hostname;
+    try {
+      const url = new URL(tab.url);
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') return false;
+      hostname = url.hostname;
+    } catch (e) {
+      return false;
+    }
+    if (ctx.isExempt && ctx.isExempt(tab)) return false;
+    if (tab.groupId != null && tab.groupId !== -1 && protectedGroups.has((ctx.groupTitles || {})[tab.groupId])) {
+      return false;
+    }
+    const minutes = idleMinutesFor(hostname, s);
+    if (!minutes) return false;
+    const last = tab.lastAccessed || (ctx.activity && ctx.activity[tab.id]) || 0;
+    return last > 0 && ctx.now - last >= minutes * 60000;
+  });
+}
+
+/** Create or clear the periodic alarm to match the settings. */
+export async function scheduleAutoDiscard(settings) {
+  const s = resolveAutoDiscard(settings);
+  if (!s.enabled) {
+    await chrome.alarms.clear(DISCARD_ALARM);
+    return;
+  }
+  const existing = await chrome.alarms.get(DISCARD_ALARM);
+  if (!existing) await chrome.alarms.create(DISCARD_ALARM, { periodInMinutes: 1 });
+}
@@ -0,0 +1,119 @@
+/*
+ * Backup and restore of everything in chrome.storage.local: settings, sessions, stats.
+ *
+ * A backup file is { type, schemaVersion, created, extensionVersion, data }. Restoring
+ * first runs the data through the schema migrations, so backups made by older versions
+ * load into the current layout. Two modes:
+ *   replace  storage becomes exactly the backup (plus defaults for missing keys)
+ *   merge    settings from the backup win; lists are combined and stats keep the larger
+ *            value per domain/day, so restoring the same backup twice changes nothing
+ */
+
+import { SCHEMA_KEY, SCHEMA_VERSION, applyDefaults, migrateData } from './schema.js';
+import { DAILY_KEY } from './stats.js';
+import { ENCRYPTED_KEY, lock } from './session-store.js';
+
+export const BACKUP_TYPE = 'tab-manager-backup';
+export const RESTORE_MODES = ['merge', 'replace'];
+
+// Per-machine or short-lived state that should not travel between browsers.
+const LOCAL_ONLY_KEYS = ['lastKnownLayout', 'closedJournal', 'budgetSnoozes', 'syncState', 'syncStatus', 'activeWorkspace', 'windowLimitRecords'];
+
+export async function createBackup() {
+  const data = await chrome.storage.local.get(null);
+  for (const key of LOCAL_ONLY_KEYS) delete data[key];
+  return {
+    type: BACKUP_TYPE,
+    schemaVersion: data[SCHEMA_KEY] || SCHEMA_VERSION,
+    created: Date.now(),
+    extensionVersion: chrome.runtime.getManifest().version,
+    data
+  };
+}
+
+/** Parse and check a backup file. Throws with a message for the options page. */
+export function parseBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (e) {
+    throw new Error('バックアップファイルを読み込めません（JSON ではありません）');
+  }
+  if (!backup || backup.type !== BACKUP_TYPE || !backup.data || typeof backup.data !== 'object') {
+    throw new Error('このファイルはバックアップではありません');
+  }
+  if (backup.schemaVersion > SCHEMA_VERSION) {
+    throw new Error('新しいバージョンで作成されたバックアップです。拡張機能を更新してください');
+  }
+  return backup;
+}
+
+function unionBy(current, incoming, keyOf, preferIncoming) {
+  const byKey = new Map((Array.isArray(current) ? current : []).map((item) => [keyOf(item), item]));
+  for (const item of Array.isArray(incoming) ? incoming : []) {
+    const key = keyOf(item);
+    if (!byKey.has(key) || preferIncoming) byKey.set(key, item);
+  }
+  return [...byKey.values()];
+}
+
+function maxPerKey(current, incoming) {
+  const out = { ...(current || {}) };
+  for (const [key, value] of Object.entries(incoming || {})) {
+    out[key] = Math.max(out[key] || 0, value || 0);
+  }
+  return out;
+}
+
+// How each list or stats key combines in "merge" mode; other keys take the backup's value.
+const MERGERS = {
+  savedSessions: (a, b) => unionBy(a, b, (s) => s.id, false),
+  readLaterQueue: (a, b) => unionBy(a, b, (e) => e.url, false),
+  whitelistRules: (a, b) => unionBy(a, b, (r) => r.pattern, true),
+  groupingRules: (a, b) => unionBy(a, b, (r) => r.id, true),
+  groupLimits: (a, b) => unionBy(a, b, (g) => g.title, true),
+  trimProtect: (a, b) => unionBy(a, b, (p) => p.domain, true),
+  timeBudgets: (a, b) => unionBy(a, b, (t) => t.domain, true),
+  focusSchedules: (a, b) => unionBy(a, b, (f) => JSON.stringify(f), false),
+  domainTimes: maxPerKey,
+  [DAILY_KEY]: (a, b) => {
+    const out = { ...(a || {}) };
+    for (const [day, domains] of Object.entries(b || {})) out[day] = maxPerKey(out[day], domains);
+    return out;
+  }
+};
+
+/** Combine current storage with (migrated) backup data. Pure. */
+export function mergeData(current, incoming) {
+  const out = { ...current };
+  for (const [key, value] of Object.entries(incoming)) {
+    out[key] = MERGERS[key] && key in current ? MERGERS[key](current[key], value) : value;
+  }
+  return out;
+}
+
+/** Apply a parsed backup. Returns the number of keys written. */
+export async function restoreBackup(backup, mode) {
+  if (!RESTORE_MODES.includes(mode)) throw new Error(`Unknown restore mode: ${mode}`);
+  const incoming = migrateData(backup.data, backup.schemaVersion || 0);
+  for (const key of LOCAL_ONLY_KEYS) delete incoming[key];
+  const current = await chrome.storage.local.get(null);
+  let next;
+  if (mode === 'replace') {
+    next = applyDefaults(incoming);
+    const local = LOCAL_ONLY_KEYS.filter((key) => key in current);
+    const removed = Object.keys(current).filter((key) => !(key in next) && !local.includes(key));
+    if (removed.length) await chrome.storage.local.remove(removed);
+  } else {
+    // Encrypted and plain session lists (or two encrypted ones) cannot be combined.
+    if (incoming[ENCRYPTED_KEY] || (current[ENCRYPTED_KEY] && incoming.savedSessions && incoming.savedSessions.length)) {
+      throw new Error('暗号化されたセッションがあるため「統合」では復元できません。「置き換え」を選ぶか、パスフレーズを解除してからやり直してください');
+    }
+    next = mergeData(current, incoming);
+  }
+  next[SCHEMA_KEY] = SCHEMA_VERSION;
+  await chrome.storage.local.set(next);
+  // Sessions from the backup open with the backup's passphrase.
+  if (incoming[ENCRYPTED_KEY]) await lock();
+  return Object.keys(next).length;
+}
@@ -0,0 +1,50 @@
+/*
+ * The "block" and "queue" policies for newly created tabs, and the rate limit shared by
+ * the notifications they show.
+ */
+
+import { exceededLimits, limitsFor } from './limits.js';
+import { isExempt } from './whitelist.js';
+
+export const BLOCK_NOTICE_COOLDOWN_MS = 10000;
+
+/**
+ * What to do with a tab that was just created:
+ *   null                       keep it
+ *   { action: 'block', hit }   close it now (hit: the exceeded limit, for the notice)
+ *   { action: 'queue', hit }   close it once its URL is known and queue the page
+ * `tabs` are the tabs that count toward the limits, the new one included.
+ * ctx: { policy, limitSettings, groupTitles, whitelistRules }
+ * Pinned tabs are always kept; the whitelist is checked here only for "block", since a
+ * queued tab usually has no URL yet.
+ */
+export function newTabAction(tab, tabs, ctx) {
+  if (ctx.policy !== 'block' && ctx.policy !== 'queue') return null;
+  const exceeded = exceededLimits(limitsFor(tabs, tab.windowId, tab.groupId, ctx.limitSettings, ctx.groupTitles));
+  if (exceeded.length === 0 || tab.pinned) return null;
+  const hit = exceeded[exceeded.length - 1];
+  if (ctx.policy === 'queue') return { action: 'queue', hit };
+  if (isExempt(tab.url || tab.pendingUrl, ctx.whitelistRules, 'block')) return null;
+  return { action: 'block', hit };
+}
+
+/**
+ * At most one notification per `cooldownMs`. take(now) returns null while cooling down
+ * (counting that notice as skipped), otherwise the number skipped since the last one.
+ */
+export function createNoticeThrottle(cooldownMs = BLOCK_NOTICE_COOLDOWN_MS) {
+  let last = -Infinity;
+  let skipped = 0;
+  return {
+    take(now = Date.now()) {
+      if (now - last <= cooldownMs) {
+        skipped++;
+        return null;
+      }
+      last = now;
+      const count = skipped;
+      skipped = 0;
+      return count;
+    }
+  };
+}
@@ -0,0 +1,120 @@
+/*
+ * Daily time budgets and scheduled focus windows per domain.
+ *
+ * timeBudgets:    [{ domain, minutes, action }]   action: 'redirect' | 'close'
+ * focusSchedules: [{ days, start, end, domains }] days: 0 (Sun) .. 6 (Sat), "HH:MM" times
+ * budgetSnoozes:  { [domain]: untilTimestamp }     budget enforcement paused until then
+ *
+ * A domain entry covers its subdomains: "youtube.com" also matches m.youtube.com.
+ * Usage is read from today's bucket in domainDaily (see lib/stats.js).
+ */
+
+export const BUDGET_ACTIONS = ['redirect', 'close'];
+export const DEFAULT_WARN_MINUTES = 5;
+export const SNOOZE_CHOICES = [5, 15];
+
+/** Whether hostname is the domain or one of its subdomains. */
+export function domainMatches(hostname, domain) {
+  const host = (hostname || '').toLowerCase();
+  const d = (domain || '').toLowerCase().replace(/^\*\./, '');
+  return !!d && (host === d || host.endsWith('.' + d));
+}
+
+/**
+ * "HH:MM" to minutes after midnight, or null when malformed. "24:00" is only accepted
+ * with `end`, as the end of a window that runs until midnight.
+ */
+export function parseTime(value, { end = false } = {}) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!m || Number(m[2]) > 59) return null;
+  const minutes = Number(m[1]) * 60 + Number(m[2]);
+  if (minutes > (end ? 24 * 60 : 24 * 60 - 1)) return null;
+  return minutes;
+}
+
+export function validateBudget(budget) {
+  if (!budget || !budget.domain || !/^[a-z0-9.*-]+$/i.test(budget.domain)) return 'ドメインが不正です';
+  if (!Number.isInteger(budget.minutes) || budget.minutes < 1) return '時間には 1 以上の分数を入力してください';
+  if (!BUDGET_ACTIONS.includes(budget.action)) return '動作が不正です';
+  return null;
+}
+
+export function validateSchedule(schedule) {
+  if (!schedule || !Array.isArray(schedule.days) || schedule.days.length === 0) return '曜日を選択してください';
+  const start = parseTime(schedule.start);
+  const end = parseTime(schedule.end, { end: true });
+  if (start == null || end == null) return '時刻は HH:MM 形式で入力してください';
+  if (start === end) return '開始と終了が同じ時刻です';
+  if (!Array.isArray(schedule.domains) || schedule.domains.length === 0) return 'ドメインを入力してください';
+  return null;
+}
+
+/** Budget that applies to a hostname; the most specific domain wins. */
+export function findBudget(budgets, hostname) {
+  return (budgets || [])
+    .filter((b) => !validateBudget(b) && domainMatches(hostname, b.domain))
+    .sort((a, b) => b.domain.length - a.domain.length)[0] || null;
+}
+
+/** Milliseconds spent today on a budget's domain and all its subdomains. */
+export function usageForDomain(dayBucket, domain) {
+  let total = 0;
+  for (const [host, ms] of Object.entries(dayBucket || {})) {
+    if (domainMatches(host, domain)) total += ms;
+  }
+  return total;
+}
+
+/**
+ * Focus schedule that blocks hostname at `now`, or null. Windows that end before they
+ * start (e.g. 22:00–02:00) run past midnight and belong to the day they start on.
+ */
+export function activeFocusSchedule(schedules, hostname, now = Date.now()) {
+  const date = new Date(now);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+  for (const s of schedules || []) {
+    if (validateSchedule(s) || !s.domains.some((d) => domainMatches(hostname, d))) continue;
+    const start = parseTime(s.start);
+    const end = parseTime(s.end, { end: true });
+    if (start < end) {
+      if (s.days.includes(today) && minutes >= start && minutes < end) return s;
+    } else if ((s.days.includes(today) && minutes >= start) || (s.days.includes(yesterday) && minutes < end)) {
+      return s;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decide what to do with a tab on `hostname`.
+ * context: { budgets, schedules, snoozes, dayBucket, warnMinutes, now }
+ * Returns { verdict: 'allow' | 'warn' | 'block', reason?, domain?, remainingMs?, action? }
+ */
+export function evaluate(hostname, context) {
+  if (!hostname) return { verdict: 'allow' };
+  const now = context.now || Date.now();
+  const focus = activeFocusSchedule(context.schedules, hostname, now);
+  if (focus) {
+    return { verdict: 'block', reason: 'focus', domain: hostname, until: focus.end, action: 'redirect' };
+  }
+  const budget = findBudget(context.budgets, hostname);
+  if (!budget) return { verdict: 'allow' };
+  const snoozedUntil = (context.snoozes || {})[budget.domain] || 0;
+  if (snoozedUntil > now) return { verdict: 'allow' };
+  const remainingMs = budget.minutes * 60000 - usageForDomain(context.dayBucket, budget.domain);
+  if (remainingMs <= 0) {
+    return { verdict: 'block', reason: 'budget', domain: budget.domain, action: budget.action, remainingMs: 0 };
+  }
+  const warnMs = (context.warnMinutes != null ? context.warnMinutes : DEFAULT_WARN_MINUTES) * 60000;
+  if (remainingMs <= warnMs) return { verdict: 'warn', domain: budget.domain, remainingMs };
+  return { verdict: 'allow', domain: budget.domain, remainingMs };
+}
+
+/** URL of the built-in page shown instead of a blocked site. */
+export function blockedPageUrl({ reason, domain, url, until }) {
+  const params = new URLSearchParams({ reason, domain, url: url || '' });
+  if (until) params.set('until', until);
+  return chrome.runtime.getURL(`blocked.html?${params.toString()}`);
+}
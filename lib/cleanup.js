@@ -0,0 +1,117 @@
+/*
+ * Report for the cleanup page: open tabs sorted into groups worth reviewing together.
+ *
+ * Categories (a tab may appear in several):
+ * - stale: not activated for `staleDays` days (tab.lastAccessed)
+ * - domain: one group per host with at least `minDomainTabs` tabs
+ * - discarded: already discarded by the browser or the extension
+ * - error: the last main-frame load failed or returned HTTP 4xx/5xx (recorded by
+ *   background.js from webRequest in storage.session)
+ * - saved: the URL (normalized with the dedup rules) is already in a saved session
+ * Pinned and active tabs are only listed under "domain" and "saved".
+ */
+
+import { normalizeUrl } from './url-normalizer.js';
+import { sessionTabs } from './sessions.js';
+
+export const CLEANUP_ACTIONS = ['close', 'discard', 'session', 'group'];
+export const DEFAULT_STALE_DAYS = 7;
+export const DEFAULT_MIN_DOMAIN_TABS = 3;
+export const ERROR_TABS_KEY = 'errorTabs'; // storage.session: { [tabId]: { url, status?, error? } }
+
+export const CATEGORY_LABELS = {
+  stale: 'しばらく使っていないタブ',
+  domain: '同じドメインのタブ',
+  discarded: '休止中のタブ',
+  error: 'エラーになったタブ',
+  saved: '保存済みセッションにあるタブ'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function hostOf(url) {
+  try {
+    const u = new URL(url);
+    return /^https?:$/.test(u.protocol) ? u.hostname.replace(/^www\./, '') : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function summarize(tab) {
+  return {
+    id: tab.id,
+    windowId: tab.windowId,
+    title: tab.title || '',
+    url: tab.url || '',
+    lastAccessed: tab.lastAccessed || 0,
+    pinned: !!tab.pinned,
+    active: !!tab.active,
+    discarded: !!tab.discarded
+  };
+}
+
+/**
+ * { categories: [{ key, label, groups: [{ id, title, tabs }] }] } for the given tabs.
+ * ctx: { now, staleDays, minDomainTabs, errorTabs, savedUrls: Set | null, dedupRules }
+ * savedUrls null means the saved sessions could not be read (locked).
+ */
+export function buildCleanupReport(tabs, ctx = {}) {
+  const now = ctx.now || Date.now();
+  const staleDays = ctx.staleDays > 0 ? ctx.staleDays : DEFAULT_STALE_DAYS;
+  const minDomainTabs = ctx.minDomainTabs > 1 ? ctx.minDomainTabs : DEFAULT_MIN_DOMAIN_TABS;
+  const errorTabs = ctx.errorTabs || {};
+  const movable = (t) => !t.pinned && !t.active;
+
+  const stale = tabs.filter((t) => movable(t) && t.lastAccessed && now - t.lastAccessed > staleDays * DAY_MS)
+    .sort((a, b) => a.lastAccessed - b.lastAccessed);
+
+  const byHost = new Map();
+  for (const t of tabs) {
+    const host = hostOf(t.url);
+    if (!host) continue;
+    if (!byHost.has(host)) byHost.set(host, []);
+    byHost.get(host).push(t);
+  }
+  const domainGroups = [...byHost]
+    .filter(([, list]) => list.length >= minDomainTabs)
+    .sort((a, b) => b[1].length - a[1].length)
+    .map(([host, list]) => ({ id: `domain:${host}`, title: host, tabs: list.map(summarize) }));
+
+  const discarded = tabs.filter((t) => t.discarded && movable(t));
+
+  const errors = tabs.filter((t) => movable(t) && errorTabs[t.id] && errorTabs[t.id].url === t.url);
+
+  let saved = [];
+  if (ctx.savedUrls) {
+    saved = tabs.filter((t) => t.url && ctx.savedUrls.has(normalizeUrl(t.url, ctx.dedupRules)));
+  }
+
+  const single = (key, list) => ({
+    key,
+    label: CATEGORY_LABELS[key],
+    groups: list.length ? [{ id: key, title: CATEGORY_LABELS[key], tabs: list.map(summarize) }] : []
+  });
+  return {
+    staleDays,
+    savedLocked: !ctx.savedUrls,
+    categories: [
+      single('stale', stale),
+      { key: 'domain', label: CATEGORY_LABELS.domain, groups: domainGroups },
+      single('discarded', discarded),
+      single('error', errors),
+      single('saved', saved)
+    ]
+  };
+}
+
+/** Normalized URLs of every tab in the given sessions. */
+export function savedUrlSet(sessions, dedupRules) {
+  const urls = new Set();
+  for (const session of sessions) {
+    for (const tab of sessionTabs(session)) {
+      if (tab.url) urls.add(normalizeUrl(tab.url, dedupRules));
+    }
+  }
+  return urls;
+}
@@ -0,0 +1,135 @@
+/*
+ * Journal of tabs the extension closed on its own (trim, block, duplicate removal,
+ * closing a domain from the context menu, the cleanup page, an exhausted time budget),
+ * so they can be reopened where they were.
+ *
+ * Entries live in chrome.storage.local under "closedJournal", newest first:
+ *   { id, batchId, url, title, windowId, index, pinned, group, reason, closedAt }
+ * group is { title, color, collapsed } or null. Tabs closed by one action share a batchId.
+ */
+
+export const JOURNAL_KEY = 'closedJournal';
+export const JOURNAL_LIMIT = 200;
+export const CLOSE_REASONS = ['trim', 'block', 'duplicate', 'domain', 'cleanup', 'budget'];
+
+// Serialize read-modify-write cycles on the journal.
+let pending = Promise.resolve();
+function withJournal(fn) {
+  const run = pending.then(async () => {
+    const data = await chrome.storage.local.get(JOURNAL_KEY);
+    const journal = Array.isArray(data[JOURNAL_KEY]) ? data[JOURNAL_KEY] : [];
+    const result = await fn(journal);
+    if (result && result.journal) {
+      await chrome.storage.local.set({ [JOURNAL_KEY]: result.journal.slice(0, JOURNAL_LIMIT) });
+    }
+    return result ? result.value : undefined;
+  });
+  pending = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Describe tabs that are about to be closed. Call before removing them: the group
+ * may disappear together with its last tab. Tabs without a URL are skipped.
+ */
+export async function describeClosing(tabs, reason) {
+  const batchId = Date.now();
+  const groups = {};
+  const entries = [];
+  for (const tab of tabs) {
+    const url = tab.url || tab.pendingUrl;
+    if (!url) continue;
+    let group = null;
+    if (tab.groupId != null && tab.groupId !== -1) {
+      if (!(tab.groupId in groups)) {
+        try {
+          const g = await chrome.tabGroups.get(tab.groupId);
+          groups[tab.groupId] = { title: g.title || '', color: g.color, collapsed: !!g.collapsed };
+        } catch (e) {
+          groups[tab.groupId] = null;
+        }
+      }
+      group = groups[tab.groupId];
+    }
+    entries.push({
+      id: `${batchId}-${tab.id}`,
+      batchId,
+      tabId: tab.id,
+      url,
+      title: tab.title || '',
+      windowId: tab.windowId,
+      index: tab.index,
+      pinned: !!tab.pinned,
+      group,
+      reason,
+      closedAt: batchId
+    });
+  }
+  return entries;
+}
+
+/** Add entries (from describeClosing) for tabs that were actually closed. */
+export function recordClosed(entries) {
+  if (!entries.length) return Promise.resolve();
+  return withJournal((journal) => ({
+    journal: entries.map(({ tabId, ...entry }) => entry).concat(journal)
+  }));
+}
+
+export function getJournal() {
+  return withJournal((journal) => ({ value: journal }));
+}
+
+async function reopen(entry) {
+  let windowId = entry.windowId;
+  try {
+    await chrome.windows.get(windowId);
+  } catch (e) {
+    const win = await chrome.windows.getLastFocused({ windowTypes: ['normal'] });
+    windowId = win.id;
+  }
+  const tab = await chrome.tabs.create({
+    windowId,
+    index: entry.index,
+    url: entry.url,
+    pinned: entry.pinned,
+    active: false
+  });
+  if (entry.group && !entry.pinned) {
+    try {
+      const groups = await chrome.tabGroups.query({ windowId });
+      const existing = groups.find((g) => g.title === entry.group.title);
+      if (existing) {
+        await chrome.tabs.group({ groupId: existing.id, tabIds: [tab.id] });
+      } else {
+        const groupId = await chrome.tabs.group({ tabIds: [tab.id], createProperties: { windowId } });
+        await chrome.tabGroups.update(groupId, entry.group);
+      }
+    } catch (e) {}
+  }
+}
+
+/** Reopen the given journal entries and drop them from the journal. Returns the count. */
+export function restoreEntries(ids) {
+  const wanted = new Set(ids);
+  return withJournal(async (journal) => {
+    // Lowest index first so the saved positions line up again.
+    const targets = journal.filter((e) => wanted.has(e.id)).sort((a, b) => a.index - b.index);
+    const restored = new Set();
+    for (const entry of targets) {
+      try {
+        await reopen(entry);
+        restored.add(entry.id);
+      } catch (e) {}
+    }
+    return { journal: journal.filter((e) => !restored.has(e.id)), value: restored.size };
+  });
+}
+
+/** Reopen every tab of one batch (the newest when batchId is omitted). */
+export async function restoreBatch(batchId) {
+  const journal = await getJournal();
+  const target = batchId != null ? batchId : (journal[0] && journal[0].batchId);
+  if (target == null) return 0;
+  return restoreEntries(journal.filter((e) => e.batchId === target).map((e) => e.id));
+}
@@ -0,0 +1,101 @@
+/*
+ * Right-click menus on pages, links and the toolbar icon.
+ *
+ * Each entry of MENU_ENTRIES can be switched off on the options page ("contextMenus").
+ * Menu ids are "<action>" or "<action>/<argument>" (a session id or a number of
+ * minutes); background.js carries out the actions. The whole menu is rebuilt whenever
+ * the settings, the saved sessions or the session lock change.
+ */
+
+export const MENU_SESSION_LIMIT = 10;
+export const EXEMPT_MINUTES = [30, 60, 240];
+// "Add this domain to the whitelist" only stops the domain's tabs from being closed;
+// discarding, duplicate detection and time tracking stay on (the options page can add them).
+export const WHITELIST_MENU_EXEMPTIONS = ['trim', 'block'];
+
+// Page and toolbar-icon menus act on the current tab.
+const TAB_CONTEXTS = ['page', 'action'];
+
+export const MENU_ENTRIES = [
+  { key: 'saveWindow', id: 'save-window', title: 'このウィンドウをセッションとして保存', contexts: TAB_CONTEXTS },
+  { key: 'addToSession', id: 'add-to-session', title: 'このタブをセッションに追加', contexts: TAB_CONTEXTS, sessions: true },
+  { key: 'addToSession', id: 'add-link-to-session', title: 'このリンクをセッションに追加', contexts: ['link'], sessions: true },
+  { key: 'whitelistDomain', id: 'whitelist-domain', title: 'このドメインをホワイトリストに追加', contexts: TAB_CONTEXTS },
+  { key: 'closeDomain', id: 'close-domain', title: 'このドメインのタブをすべて閉じる', contexts: TAB_CONTEXTS },
+  { key: 'groupDomain', id: 'group-domain', title: 'このドメインのタブをグループ化', contexts: TAB_CONTEXTS },
+  { key: 'exemptTrim', id: 'exempt-trim', title: 'このタブを一時的に自動整理の対象外にする', contexts: TAB_CONTEXTS, minutes: true }
+];
+
+export const MENU_LABELS = {
+  saveWindow: 'このウィンドウをセッションとして保存',
+  addToSession: 'タブ・リンクを既存のセッションに追加',
+  whitelistDomain: 'ドメインをホワイトリストに追加',
+  closeDomain: 'ドメインのタブをすべて閉じる',
+  groupDomain: 'ドメインのタブをグループ化',
+  exemptTrim: 'タブを一時的に自動整理の対象外にする'
+};
+
+export const DEFAULT_CONTEXT_MENUS = Object.fromEntries(Object.keys(MENU_LABELS).map((key) => [key, true]));
+
+export function resolveContextMenus(settings) {
+  return { ...DEFAULT_CONTEXT_MENUS, ...(settings && typeof settings === 'object' ? settings : {}) };
+}
+
+/** { action, arg } of a clicked menu item id. */
+export function parseMenuId(menuItemId) {
+  const [action, arg] = String(menuItemId).split('/');
+  return { action, arg };
+}
+
+export function formatMinutes(minutes) {
+  return minutes % 60 === 0 ? `${minutes / 60} 時間` : `${minutes} 分`;
+}
+
+function create(properties) {
+  return new Promise((resolve) => {
+    chrome.contextMenus.create(properties, () => {
+      void chrome.runtime.lastError; // duplicate ids from an overlapping rebuild are harmless
+      resolve();
+    });
+  });
+}
+
+// removeAll + create must not interleave with another rebuild.
+let pending = Promise.resolve();
+
+/**
+ * Rebuild every menu. sessions: manual sessions for the "add to session" submenus, or
+ * null while they are locked.
+ */
+export function buildMenus(settings, sessions) {
+  const enabled = resolveContextMenus(settings);
+  const run = pending.then(async () => {
+    await chrome.contextMenus.removeAll();
+    for (const entry of MENU_ENTRIES) {
+      if (!enabled[entry.key]) continue;
+      await create({ id: entry.id, title: entry.title, contexts: entry.contexts });
+      if (entry.sessions) {
+        const recent = (sessions || []).slice().sort((a, b) => b.created - a.created).slice(0, MENU_SESSION_LIMIT);
+        for (const s of recent) {
+          await create({ id: `${entry.id}/${s.id}`, parentId: entry.id, title: s.name || '(名前なし)', contexts: entry.contexts });
+        }
+        if (recent.length === 0) {
+          await create({
+            id: `${entry.id}/none`,
+            parentId: entry.id,
+            title: sessions ? '保存したセッションがありません' : 'セッションはロックされています',
+            enabled: false,
+            contexts: entry.contexts
+          });
+        }
+      }
+      if (entry.minutes) {
+        for (const minutes of EXEMPT_MINUTES) {
+          await create({ id: `${entry.id}/${minutes}`, parentId: entry.id, title: formatMinutes(minutes), contexts: entry.contexts });
+        }
+      }
+    }
+  });
+  pending = run.catch(() => {});
+  return run;
+}
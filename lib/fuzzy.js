@@ -0,0 +1,67 @@
+/*
+ * Fuzzy matching for the popup's tab search.
+ *
+ * A query matches when each whitespace-separated term occurs, as an in-order (not
+ * necessarily contiguous) run of characters, in the title or the URL. Contiguous runs,
+ * matches at word starts and title matches score higher.
+ */
+
+const WORD_BREAK = /[\s/.\-_:?=&#]/;
+
+// Open tabs first, then tabs the extension closed, then saved-session tabs.
+const KIND_ORDER = { tab: 0, closed: 1, session: 2 };
+
+/** Score of `term` against `text`, or null when the characters do not occur in order. */
+export function fuzzyScore(term, text) {
+  const q = term.toLowerCase();
+  const t = (text || '').toLowerCase();
+  if (!q) return 0;
+  if (!t) return null;
+  const exact = t.indexOf(q);
+  if (exact !== -1) {
+    const atWord = exact === 0 || WORD_BREAK.test(t[exact - 1]);
+    return q.length * 10 + (atWord ? 15 : 5) - Math.min(exact, 20) / 10;
+  }
+  let score = 0;
+  let from = 0;
+  let prev = -2;
+  for (const ch of q) {
+    const at = t.indexOf(ch, from);
+    if (at === -1) return null;
+    score += 1;
+    if (at === prev + 1) score += 5;
+    else if (at === 0 || WORD_BREAK.test(t[at - 1])) score += 4;
+    else score -= Math.min(at - from, 5) / 5;
+    prev = at;
+    from = at + 1;
+  }
+  return score;
+}
+
+/** Score of a whole query against an item's title and URL, or null when any term misses. */
+export function matchItem(query, item) {
+  const terms = query.trim().split(/\s+/).filter(Boolean);
+  let total = 0;
+  for (const term of terms) {
+    const title = fuzzyScore(term, item.title);
+    const url = fuzzyScore(term, item.url);
+    if (title == null && url == null) return null;
+    total += Math.max(title == null ? -Infinity : title * 1.2, url == null ? -Infinity : url);
+  }
+  return total;
+}
+
+/**
+ * Items matching `query`, best first. An empty query lists items in their given order
+ * grouped by kind. items: [{ kind: 'tab' | 'closed' | 'session', title, url, ... }]
+ */
+export function rankItems(query, items, limit = 50) {
+  const byKind = (a, b) => (KIND_ORDER[a.item.kind] ?? 9) - (KIND_ORDER[b.item.kind] ?? 9);
+  const scored = [];
+  items.forEach((item, i) => {
+    const score = query.trim() ? matchItem(query, item) : 0;
+    if (score != null) scored.push({ item, score, i });
+  });
+  scored.sort((a, b) => b.score - a.score || byKind(a, b) || a.i - b.i);
+  return scored.slice(0, limit).map((s) => s.item);
+}
@@ -0,0 +1,195 @@
+/*
+ * Rule-based tab grouping.
+ *
+ * A rule matches a tab and names the group it belongs to:
+ *   { id, type, pattern, title, color, enabled }
+ * where type is one of
+ *   'glob'   – wildcard over the URL ("*" any run, "?" one char); without "://" the
+ *              pattern is matched against host + path only
+ *   'regex'  – JavaScript regular expression tested against the full URL
+ *   'domain' – registrable domain, e.g. "google.com" covers docs.google.com and mail.google.com
+ *   'host'   – exact hostname, keeps subdomains apart
+ *   'title'  – case-insensitive keyword in the tab title
+ * The first enabled rule that matches wins. A title may contain {host} or {domain},
+ * which are replaced with the tab's hostname / registrable domain.
+ */
+
+export const GROUP_COLORS = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+export const RULE_TYPES = ['glob', 'regex', 'domain', 'host', 'title'];
+// What to do with tabs no rule matches when grouping on demand.
+export const FALLBACKS = ['host', 'domain', 'none'];
+export const DEFAULT_FALLBACK = 'host';
+
+// Second-level public suffixes that are common enough to matter. Not a full PSL.
+const MULTI_PART_SUFFIXES = new Set([
+  'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'go.jp', 'ad.jp', 'ed.jp', 'gr.jp', 'lg.jp',
+  'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk',
+  'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+  'co.nz', 'co.kr', 'co.in', 'com.br', 'com.cn', 'com.tw', 'com.hk', 'com.sg', 'com.mx',
+  'github.io', 'gitlab.io', 'herokuapp.com', 'pages.dev', 'vercel.app', 'netlify.app',
+  'blogspot.com', 'appspot.com', 'web.app', 'firebaseapp.com'
+]);
+
+/** Registrable domain ("eTLD+1") of a hostname, e.g. docs.google.com -> google.com. */
+export function registrableDomain(hostname) {
+  if (!hostname) return '';
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  if (/^[\d.]+$/.test(host) || host.includes(':') || !host.includes('.')) return host;
+  const parts = host.split('.');
+  const lastTwo = parts.slice(-2).join('.');
+  if (parts.length > 2 && MULTI_PART_SUFFIXES.has(lastTwo)) return parts.slice(-3).join('.');
+  return lastTwo;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Compile a glob into an anchored, case-insensitive RegExp. */
+export function globToRegExp(glob) {
+  const source = escapeRegExp(glob).replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/** Returns an error message for an invalid rule, or null when it is usable. */
+export function validateRule(rule) {
+  if (!rule || !RULE_TYPES.includes(rule.type)) return '種類が不正です';
+  if (typeof rule.pattern !== 'string' || !rule.pattern.trim()) return 'パターンを入力してください';
+  if (typeof rule.title !== 'string' || !rule.title.trim()) return 'グループ名を入力してください';
+  if (rule.color && !GROUP_COLORS.includes(rule.color)) return '色が不正です';
+  if (rule.type === 'regex') {
+    try { new RegExp(rule.pattern); } catch (e) { return `正規表現が不正です: ${e.message}`; }
+  }
+  return null;
+}
+
+function parseUrl(url) {
+  try { return new URL(url); } catch (e) { return null; }
+}
+
+/** Whether a rule matches the given tab ({ url, title }). */
+export function matchRule(rule, tab) {
+  if (!rule || rule.enabled === false || validateRule(rule)) return false;
+  const pattern = rule.pattern.trim();
+  if (rule.type === 'title') {
+    return (tab.title || '').toLowerCase().includes(pattern.toLowerCase());
+  }
+  const url = parseUrl(tab.url);
+  if (!url) return false;
+  switch (rule.type) {
+    case 'glob': {
+      const target = pattern.includes('://') ? url.href : url.host + url.pathname + url.search;
+      return globToRegExp(pattern).test(target);
+    }
+    case 'regex':
+      return new RegExp(pattern).test(url.href);
+    case 'domain':
+      return registrableDomain(url.hostname) === registrableDomain(pattern);
+    case 'host':
+      return url.hostname.toLowerCase() === pattern.toLowerCase();
+    default:
+      return false;
+  }
+}
+
+function expandTitle(title, url) {
+  return title
+    .replace(/\{host\}/g, url ? url.hostname : '')
+    .replace(/\{domain\}/g, url ? registrableDomain(url.hostname) : '')
+    .trim();
+}
+
+// Stable color per title so fallback groups are told apart without configuration.
+function colorForTitle(title) {
+  let hash = 0;
+  for (const ch of title) hash = (hash * 31 + ch.charCodeAt(0)) >>> 0;
+  return GROUP_COLORS[hash % GROUP_COLORS.length];
+}
+
+/**
+ * Work out the group a tab belongs to.
+ * Returns { title, color, fromRule } or null when the tab should stay ungrouped.
+ */
+export function resolveGroup(tab, rules, fallback = 'none') {
+  const url = parseUrl(tab.url);
+  for (const rule of rules || []) {
+    if (!matchRule(rule, tab)) continue;
+    const title = expandTitle(rule.title, url);
+    if (!title) continue;
+    return { title, color: rule.color || colorForTitle(title), fromRule: true };
+  }
+  if (!url || !/^https?:$/.test(url.protocol)) return null;
+  let title = '';
+  if (fallback === 'host') title = url.hostname;
+  else if (fallback === 'domain') title = registrableDomain(url.hostname);
+  if (!title) return null;
+  return { title, color: colorForTitle(title), fromRule: false };
+}
+
+/**
+ * Group tabs according to the rules. Groups with the same title that already exist in
+ * the window are reused instead of creating duplicates. Fallback groups (no rule
+ * matched) are only created for two or more tabs, as the old one-shot grouping did.
+ *
+ * options: { rules, fallback, windowId } – omit windowId to process every window.
+ * Returns the number of tabs moved into a group.
+ */
+export async function applyGrouping({ rules = [], fallback = 'none', windowId } = {}) {
+  const query = windowId == null ? { windowType: 'normal' } : { windowId };
+  const tabs = await chrome.tabs.query(query);
+  // windowId -> title -> { color, fromRule, tabIds }
+  const plan = {};
+  for (const tab of tabs) {
+    if (tab.pinned) continue;
+    const target = resolveGroup(tab, rules, fallback);
+    if (!target) continue;
+    const perWindow = plan[tab.windowId] || (plan[tab.windowId] = {});
+    const entry = perWindow[target.title] || (perWindow[target.title] = { ...target, tabs: [] });
+    entry.tabs.push(tab);
+  }
+
+  let moved = 0;
+  for (const [winId, perWindow] of Object.entries(plan)) {
+    const existing = await chrome.tabGroups.query({ windowId: Number(winId) });
+    for (const [title, entry] of Object.entries(perWindow)) {
+      const group = existing.find((g) => g.title === title);
+      const tabIds = entry.tabs.filter((t) => !group || t.groupId !== group.id).map((t) => t.id);
+      if (tabIds.length === 0) continue;
+      try {
+        if (group) {
+          await chrome.tabs.group({ groupId: group.id, tabIds });
+        } else {
+          if (!entry.fromRule && entry.tabs.length < 2) continue;
+          const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: Number(winId) } });
+          await chrome.tabGroups.update(groupId, { title, color: entry.color });
+          existing.push({ id: groupId, title });
+        }
+        moved += tabIds.length;
+      } catch (e) {}
+    }
+  }
+  return moved;
+}
+
+/**
+ * Auto-grouping for a single tab after it navigated. Only rules apply here (no
+ * fallback), and tabs the user already placed in a group are left alone.
+ */
+export async function autoGroupTab(tab, rules) {
+  if (!tab || tab.pinned || (tab.groupId != null && tab.groupId !== -1)) return false;
+  const target = resolveGroup(tab, rules, 'none');
+  if (!target) return false;
+  try {
+    const groups = await chrome.tabGroups.query({ windowId: tab.windowId });
+    const group = groups.find((g) => g.title === target.title);
+    if (group) {
+      await chrome.tabs.group({ groupId: group.id, tabIds: [tab.id] });
+    } else {
+      const groupId = await chrome.tabs.group({ tabIds: [tab.id], createProperties: { windowId: tab.windowId } });
+      await chrome.tabGroups.update(groupId, { title: target.title, color: target.color });
+    }
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
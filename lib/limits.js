@@ -0,0 +1,112 @@
+/*
+ * Tab limits per scope: an optional global cap, a limit per window and limits per tab
+ * group (matched by group title).
+ *
+ * settings: {
+ *   globalLimit,      // 0 = no global cap
+ *   windowLimit,      // default per-window limit, 0 = none
+ *   windowOverrides,  // { [windowId]: limit } set from the popup for one window
+ *   groupLimits       // [{ title, limit }]
+ * }
+ * Window overrides are keyed by window id, which Chrome does not keep across restarts,
+ * so they are stored in chrome.storage.session; lib/window-limits.js matches them to the
+ * restored windows by URL.
+ */
+
+export const SCOPE_LABELS = { global: '全体', window: 'ウィンドウ', group: 'グループ' };
+
+export function validateGroupLimit(entry) {
+  if (!entry || typeof entry.title !== 'string' || !entry.title.trim()) return 'グループ名を入力してください';
+  if (!Number.isInteger(entry.limit) || entry.limit < 1) return '上限には 1 以上の数値を入力してください';
+  return null;
+}
+
+/** Limit that applies to one window: its override, else the default (0 = none). */
+export function windowLimitFor(windowId, settings) {
+  const override = (settings.windowOverrides || {})[windowId];
+  return override > 0 ? override : settings.windowLimit || 0;
+}
+
+function groupLimitFor(title, settings) {
+  const entry = (settings.groupLimits || []).find((g) => !validateGroupLimit(g) && g.title === title);
+  return entry ? entry.limit : 0;
+}
+
+/**
+ * Every limit that applies to a tab in `windowId` (and `groupId`, if grouped), with the
+ * current count: [{ scope, limit, count, key }]. groupTitles maps groupId -> title.
+ */
+export function limitsFor(tabs, windowId, groupId, settings, groupTitles = {}) {
+  const limits = [];
+  if (settings.globalLimit > 0) {
+    limits.push({ scope: 'global', key: 'global', limit: settings.globalLimit, count: tabs.length });
+  }
+  const windowLimit = windowLimitFor(windowId, settings);
+  if (windowLimit > 0) {
+    const count = tabs.filter((t) => t.windowId === windowId).length;
+    limits.push({ scope: 'window', key: `window:${windowId}`, limit: windowLimit, count });
+  }
+  if (groupId != null && groupId !== -1 && groupTitles[groupId] != null) {
+    const groupLimit = groupLimitFor(groupTitles[groupId], settings);
+    if (groupLimit > 0) {
+      const count = tabs.filter((t) => t.groupId === groupId).length;
+      limits.push({ scope: 'group', key: `group:${groupId}`, limit: groupLimit, count, title: groupTitles[groupId] });
+    }
+  }
+  return limits;
+}
+
+/** The limit with the least headroom, or null when nothing applies. */
+export function tightestLimit(limits) {
+  return limits.reduce((best, l) => (!best || l.limit - l.count < best.limit - best.count ? l : best), null);
+}
+
+/** Limits that the tabs currently exceed. */
+export function exceededLimits(limits) {
+  return limits.filter((l) => l.count > l.limit);
+}
+
+/**
+ * Pick tabs to close so every scope is back within its limit. Narrow scopes go first
+ * (groups, then windows, then the global cap) so closing a tab for a group also counts
+ * toward its window and the global cap.
+ *
+ * isClosable(tab) filters candidates; compare(a, b) orders them, first closed first.
+ */
+export function planTrim(tabs, settings, groupTitles, isClosable, compare) {
+  const remaining = new Set(tabs);
+  const victims = [];
+  const scopes = [];
+  for (const groupId of new Set(tabs.map((t) => t.groupId).filter((id) => id != null && id !== -1))) {
+    const limit = groupTitles[groupId] != null ? groupLimitFor(groupTitles[groupId], settings) : 0;
+    if (limit > 0) scopes.push({ limit, member: (t) => t.groupId === groupId });
+  }
+  for (const windowId of new Set(tabs.map((t) => t.windowId))) {
+    const limit = windowLimitFor(windowId, settings);
+    if (limit > 0) scopes.push({ limit, member: (t) => t.windowId === windowId });
+  }
+  if (settings.globalLimit > 0) scopes.push({ limit: settings.globalLimit, member: () => true });
+
+  for (const scope of scopes) {
+    const members = Array.from(remaining).filter(scope.member);
+    let excess = members.length - scope.limit;
+    if (excess <= 0) continue;
+    const candidates = members.filter(isClosable).sort(compare);
+    for (const tab of candidates) {
+      if (excess <= 0) break;
+      remaining.delete(tab);
+      victims.push(tab);
+      excess--;
+    }
+  }
+  return victims;
+}
+
+/** groupId -> title for every group in the browser. */
+export async function groupTitleMap() {
+  const map = {};
+  try {
+    for (const g of await chrome.tabGroups.query({})) map[g.id] = g.title || '';
+  } catch (e) {}
+  return map;
+}
@@ -0,0 +1,84 @@
+/*
+ * "Read later" queue for the "queue" tab policy.
+ *
+ * Tabs that would exceed a limit are closed and their page is kept here instead, oldest
+ * first. Entries live in chrome.storage.local under "readLaterQueue":
+ *   { id, url, title, windowId, queuedAt }
+ * background.js opens the head of the queue whenever a limit has room again. A full queue
+ * (QUEUE_LIMIT entries) takes no more pages; the caller has to keep them some other way.
+ */
+
+export const QUEUE_KEY = 'readLaterQueue';
+export const QUEUE_LIMIT = 500;
+
+/** Pages worth queueing; new-tab and blank pages are simply closed. */
+export function isQueueableUrl(url) {
+  return /^(https?|file|ftp):/i.test(url || '');
+}
+
+// Serialize read-modify-write cycles on the queue.
+let pending = Promise.resolve();
+function withQueue(fn) {
+  const run = pending.then(async () => {
+    const data = await chrome.storage.local.get(QUEUE_KEY);
+    const queue = Array.isArray(data[QUEUE_KEY]) ? data[QUEUE_KEY] : [];
+    const result = await fn(queue);
+    if (result && result.queue) await chrome.storage.local.set({ [QUEUE_KEY]: result.queue });
+    return result ? result.value : undefined;
+  });
+  pending = run.catch(() => {});
+  return run;
+}
+
+export function getQueue() {
+  return withQueue((queue) => ({ value: queue }));
+}
+
+/**
+ * Append a page. A URL that is already queued keeps its place. Returns the entry, or
+ * null when the queue is full.
+ */
+export function enqueue({ url, title, windowId }) {
+  return withQueue((queue) => {
+    const existing = queue.find((e) => e.url === url);
+    if (existing) return { value: existing };
+    if (queue.length >= QUEUE_LIMIT) return { value: null };
+    const entry = {
+      id: Math.max(Date.now(), ...queue.map((e) => e.id + 1)),
+      url,
+      title: title || '',
+      windowId,
+      queuedAt: Date.now()
+    };
+    return { queue: [...queue, entry], value: entry };
+  });
+}
+
+export function removeEntries(ids) {
+  const wanted = new Set(ids);
+  return withQueue((queue) => ({ queue: queue.filter((e) => !wanted.has(e.id)), value: true }));
+}
+
+/** Move entry `id` to position `to` (clamped). */
+export function moveEntry(id, to) {
+  return withQueue((queue) => {
+    const from = queue.findIndex((e) => e.id === id);
+    if (from === -1) return { value: false };
+    const next = queue.slice();
+    const [entry] = next.splice(from, 1);
+    next.splice(Math.min(Math.max(to, 0), next.length), 0, entry);
+    return { queue: next, value: true };
+  });
+}
+
+/**
+ * Remove and return the first entry (or entry `id`), or null when there is none.
+ * The caller opens it; put it back with enqueue() if that fails.
+ */
+export function takeEntry(id) {
+  return withQueue((queue) => {
+    const i = id == null ? 0 : queue.findIndex((e) => e.id === id);
+    if (i === -1 || !queue[i]) return { value: null };
+    return { queue: queue.filter((_, j) => j !== i), value: queue[i] };
+  });
+}
@@ -0,0 +1,134 @@
+/*
+ * Versioned layout of chrome.storage.local.
+ *
+ * "schemaVersion" records which migrations have run. migrateStorage() (called from
+ * onInstalled) applies every newer migration in order, then fills in defaults for keys
+ * that are missing. Migrations are pure functions over a plain copy of storage, so the
+ * same code upgrades restored backups (see lib/backup.js).
+ *
+ * To change the layout: add a migration with the next version number and bump
+ * SCHEMA_VERSION. Never edit a migration that has shipped.
+ */
+
+import { normalizeSession } from './sessions.js';
+import { fromDomainList } from './whitelist.js';
+import { DEFAULT_FALLBACK } from './grouping.js';
+import { DEFAULT_DEDUP_RULES, DEFAULT_KEEP } from './url-normalizer.js';
+import { DEFAULT_SNAPSHOT_SETTINGS } from './snapshots.js';
+import { DEFAULT_IDLE_SECONDS } from './time-tracker.js';
+import { DAILY_KEY } from './stats.js';
+import { DEFAULT_WARN_MINUTES } from './budgets.js';
+import { DEFAULT_TRIM_WEIGHTS } from './trim-score.js';
+import { DEFAULT_AUTO_DISCARD } from './auto-discard.js';
+import { DEFAULT_SYNC_SETTINGS } from './sync.js';
+import { DEFAULT_CONTEXT_MENUS } from './context-menus.js';
+import { ENCRYPTED_KEY } from './session-store.js';
+import { DEFAULT_SWITCH_MODE } from './workspaces.js';
+
+export const SCHEMA_KEY = 'schemaVersion';
+export const SCHEMA_VERSION = 2;
+
+export const DEFAULT_THRESHOLD = 20;
+export const POLICIES = ['trim', 'block', 'queue'];
+export const DEFAULT_POLICY = 'block';
+
+// Default for every persistent key. Keys whose default is an array are also reset
+// when the stored value is not an array.
+const DEFAULTS = {
+  tabThreshold: () => DEFAULT_THRESHOLD,
+  tabPolicy: () => DEFAULT_POLICY,
+  globalLimitEnabled: () => true,
+  windowLimit: () => 0,
+  groupLimits: () => [],
+  savedSessions: () => [],
+  readLaterQueue: () => [],
+  whitelistRules: () => [],
+  discardInstead: () => false,
+  trimWeights: () => ({ ...DEFAULT_TRIM_WEIGHTS }),
+  trimProtect: () => [],
+  autoDiscard: () => ({ ...DEFAULT_AUTO_DISCARD }),
+  domainTimes: () => ({}),
+  [DAILY_KEY]: () => ({}),
+  groupingRules: () => [],
+  autoGroup: () => false,
+  groupFallback: () => DEFAULT_FALLBACK,
+  groupScope: () => 'current',
+  dedupRules: () => ({ ...DEFAULT_DEDUP_RULES }),
+  dedupKeep: () => DEFAULT_KEEP,
+  idleThresholdSeconds: () => DEFAULT_IDLE_SECONDS,
+  timeBudgets: () => [],
+  focusSchedules: () => [],
+  budgetWarnMinutes: () => DEFAULT_WARN_MINUTES,
+  snapshotSettings: () => ({ ...DEFAULT_SNAPSHOT_SETTINGS }),
+  syncSettings: () => ({ categories: { ...DEFAULT_SYNC_SETTINGS.categories } }),
+  contextMenus: () => ({ ...DEFAULT_CONTEXT_MENUS }),
+  workspaceSwitchMode: () => DEFAULT_SWITCH_MODE,
+  externalAllowlist: () => []
+};
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Sessions saved before v1.2 (flat tabs array) use the window layout',
+    migrate(data) {
+      if (!Array.isArray(data.savedSessions)) return;
+      data.savedSessions = data.savedSessions
+        .map((s) => {
+          const normalized = normalizeSession(s);
+          if (!normalized) return null;
+          const { tabs, ...rest } = s;
+          return { ...rest, ...normalized };
+        })
+        .filter(Boolean);
+    }
+  },
+  {
+    version: 2,
+    description: 'Plain domain whitelist becomes pattern rules',
+    migrate(data) {
+      if (!('domainWhitelist' in data)) return;
+      // Old entries matched one exact hostname; as patterns they also cover subdomains.
+      if (!Array.isArray(data.whitelistRules)) data.whitelistRules = fromDomainList(data.domainWhitelist);
+      delete data.domainWhitelist;
+    }
+  }
+];
+
+/** Fill in missing (or mistyped array) keys. Mutates and returns data. */
+export function applyDefaults(data) {
+  for (const [key, make] of Object.entries(DEFAULTS)) {
+    if (key === 'savedSessions' && data[ENCRYPTED_KEY]) continue; // kept encrypted instead
+    const value = make();
+    if (data[key] === undefined || (Array.isArray(value) && !Array.isArray(data[key]))) data[key] = value;
+  }
+  return data;
+}
+
+/**
+ * Bring a plain copy of storage up to SCHEMA_VERSION. `from` defaults to the copy's own
+ * schemaVersion (0 for storage that predates versioning). Returns a new object.
+ */
+export function migrateData(data, from = data[SCHEMA_KEY] || 0) {
+  const next = structuredClone(data);
+  for (const migration of MIGRATIONS) {
+    if (migration.version > from) migration.migrate(next);
+  }
+  applyDefaults(next);
+  next[SCHEMA_KEY] = Math.max(from, SCHEMA_VERSION);
+  return next;
+}
+
+/** Run pending migrations on chrome.storage.local, writing only keys that changed. */
+export async function migrateStorage() {
+  const data = await chrome.storage.local.get(null);
+  const from = data[SCHEMA_KEY] || 0;
+  const next = migrateData(data, from);
+  const removed = Object.keys(data).filter((key) => !(key in next));
+  if (removed.length) await chrome.storage.local.remove(removed);
+  const changed = {};
+  for (const [key, value] of Object.entries(next)) {
+    if (JSON.stringify(value) !== JSON.stringify(data[key])) changed[key] = value;
+  }
+  if (Object.keys(changed).length) await chrome.storage.local.set(changed);
+  return { from, to: next[SCHEMA_KEY] };
+}
@@ -0,0 +1,92 @@
+/*
+ * Passphrase encryption for saved sessions and exported session files (WebCrypto).
+ *
+ * The key is AES-GCM 256, derived from the passphrase with PBKDF2-SHA-256. Encrypted data
+ * is a JSON envelope that carries everything except the passphrase:
+ *   { type: 'tab-manager-encrypted', v: 1, format?, kdf: { iterations, salt }, iv, data }
+ * salt, iv and data are base64. `format` names the session format of the plaintext in
+ * exported files (see lib/session-formats.js).
+ */
+
+export const ENCRYPTED_TYPE = 'tab-manager-encrypted';
+export const PBKDF2_ITERATIONS = 310000;
+
+const WRONG_PASSPHRASE = 'パスフレーズが正しくありません';
+
+export function toBase64(bytes) {
+  let binary = '';
+  const view = new Uint8Array(bytes);
+  for (let i = 0; i < view.length; i += 0x8000) {
+    binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), (ch) => ch.charCodeAt(0));
+}
+
+export function isEncryptedEnvelope(value) {
+  return !!value && typeof value === 'object' && value.type === ENCRYPTED_TYPE
+    && typeof value.data === 'string' && typeof value.iv === 'string' && !!value.kdf;
+}
+
+/** Parse `text` as an envelope; null when it is anything else. */
+export function parseEnvelope(text) {
+  try {
+    const value = JSON.parse(text);
+    return isEncryptedEnvelope(value) ? value : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+export function newKdf() {
+  return { iterations: PBKDF2_ITERATIONS, salt: toBase64(crypto.getRandomValues(new Uint8Array(16))) };
+}
+
+/** AES-GCM key for `passphrase`. Extractable, so it can be kept for the browser session. */
+export async function deriveKey(passphrase, kdf) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(kdf.salt), iterations: kdf.iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+}
+
+export async function exportKey(key) {
+  return toBase64(await crypto.subtle.exportKey('raw', key));
+}
+
+export function importKey(raw) {
+  return crypto.subtle.importKey('raw', fromBase64(raw), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
+
+/** Envelope for `text`. `kdf` must be the one `key` was derived with. */
+export async function encryptText(key, kdf, text, extra = {}) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return { type: ENCRYPTED_TYPE, v: 1, ...extra, kdf, iv: toBase64(iv), data: toBase64(data) };
+}
+
+/** Plaintext of an envelope; a wrong key fails the GCM tag check. */
+export async function decryptText(key, envelope) {
+  try {
+    const data = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.data)
+    );
+    return new TextDecoder().decode(data);
+  } catch (e) {
+    throw new Error(WRONG_PASSPHRASE);
+  }
+}
+
+/** Decrypt an envelope with a passphrase (derives the key from the envelope's kdf). */
+export async function decryptWithPassphrase(passphrase, envelope) {
+  return decryptText(await deriveKey(passphrase, envelope.kdf), envelope);
+}
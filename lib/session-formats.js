@@ -0,0 +1,332 @@
+/*
+ * Converters between saved sessions and other tools' formats.
+ *
+ *   json      this extension's own format; several sessions become one archive
+ *   onetab    OneTab's text export: "url | title" lines, blank line between groups
+ *   html      Netscape bookmark file (what browsers import/export)
+ *   markdown  "- [title](url)" lists under headings
+ *   urls      plain URLs, one per line, blank line between windows
+ *
+ * Everything here works on plain strings (no DOM), so it runs in the service worker.
+ * Imported tabs pass through importableUrl(); privileged and script URLs are dropped.
+ */
+
+import { normalizeSession } from './sessions.js';
+
+export const ARCHIVE_TYPE = 'tab-manager-archive';
+export const ARCHIVE_VERSION = 1;
+
+export const FORMATS = {
+  json: { label: 'JSON', extension: 'json', mime: 'application/json' },
+  onetab: { label: 'OneTab', extension: 'txt', mime: 'text/plain' },
+  html: { label: 'ブックマーク HTML', extension: 'html', mime: 'text/html' },
+  markdown: { label: 'Markdown', extension: 'md', mime: 'text/markdown' },
+  urls: { label: 'URL の一覧', extension: 'txt', mime: 'text/plain' }
+};
+
+const ALLOWED_PROTOCOLS = ['http:', 'https:'];
+
+/** The URL in canonical form when it is safe to open from an import, else null. */
+export function importableUrl(url) {
+  if (typeof url !== 'string') return null;
+  try {
+    const parsed = new URL(url.trim());
+    return ALLOWED_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Normalize an imported session and drop tabs with unusable URLs.
+ * Returns { session, dropped }; session is null when nothing is left.
+ */
+export function sanitizeSession(raw) {
+  const session = normalizeSession(raw);
+  if (!session) return { session: null, dropped: 0 };
+  let dropped = 0;
+  for (const win of session.windows) {
+    win.tabs = win.tabs.filter((tab) => {
+      const url = importableUrl(tab.url);
+      if (!url) {
+        dropped++;
+        return false;
+      }
+      tab.url = url;
+      return true;
+    });
+    win.tabs.forEach((t, i) => { t.index = i; });
+  }
+  session.windows = session.windows.filter((w) => w.tabs.length > 0);
+  return { session: session.windows.length > 0 ? session : null, dropped };
+}
+
+// ---- export ----
+
+function windowsOf(session) {
+  const normalized = normalizeSession(session);
+  return normalized ? normalized.windows : [];
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\[\]\\])/g, '\\$1');
+}
+
+function toOneTab(sessions) {
+  return sessions
+    .flatMap((s) => windowsOf(s))
+    .map((w) => w.tabs.map((t) => `${t.url} | ${t.title || t.url}`).join('\n'))
+    .join('\n\n') + '\n';
+}
+
+function toUrlList(sessions) {
+  return sessions
+    .flatMap((s) => windowsOf(s))
+    .map((w) => w.tabs.map((t) => t.url).join('\n'))
+    .join('\n\n') + '\n';
+}
+
+function toMarkdown(sessions) {
+  const out = [];
+  for (const session of sessions) {
+    const windows = windowsOf(session);
+    out.push(`## ${session.name || '無題のセッション'}`, '');
+    if (session.tags && session.tags.length) out.push(session.tags.map((t) => `#${t}`).join(' '), '');
+    windows.forEach((w, i) => {
+      if (windows.length > 1) out.push(`### ウィンドウ ${i + 1}`, '');
+      w.tabs.forEach((t) => out.push(`- [${escapeMarkdown(t.title || t.url)}](${t.url.replace(/\)/g, '%29')})`));
+      out.push('');
+    });
+  }
+  return out.join('\n');
+}
+
+function toBookmarkHtml(sessions) {
+  const out = [
+    '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+    '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+    '<TITLE>Bookmarks</TITLE>',
+    '<H1>Bookmarks</H1>',
+    '<DL><p>'
+  ];
+  for (const session of sessions) {
+    const windows = windowsOf(session);
+    const added = Math.floor((session.created || Date.now()) / 1000);
+    out.push(`    <DT><H3 ADD_DATE="${added}">${escapeHtml(session.name || '無題のセッション')}</H3>`, '    <DL><p>');
+    windows.forEach((w, i) => {
+      let indent = '        ';
+      if (windows.length > 1) {
+        out.push(`${indent}<DT><H3>ウィンドウ ${i + 1}</H3>`, `${indent}<DL><p>`);
+        indent += '    ';
+      }
+      w.tabs.forEach((t) => {
+        out.push(`${indent}<DT><A HREF="${escapeHtml(t.url)}" ADD_DATE="${added}">${escapeHtml(t.title || t.url)}</A>`);
+      });
+      if (windows.length > 1) out.push('        </DL><p>');
+    });
+    out.push('    </DL><p>');
+  }
+  out.push('</DL><p>', '');
+  return out.join('\n');
+}
+
+/** Session objects without extension-internal bookkeeping, for the JSON format. */
+function portable(session) {
+  const { auto, trigger, fingerprint, ...rest } = session;
+  return rest;
+}
+
+/** Serialize sessions. A single session in JSON stays a plain session object. */
+export function exportSessions(sessions, format) {
+  switch (format) {
+    case 'json':
+      if (sessions.length === 1) return JSON.stringify(portable(sessions[0]), null, 2);
+      return JSON.stringify({
+        type: ARCHIVE_TYPE,
+        version: ARCHIVE_VERSION,
+        exported: Date.now(),
+        sessions: sessions.map(portable)
+      }, null, 2);
+    case 'onetab': return toOneTab(sessions);
+    case 'html': return toBookmarkHtml(sessions);
+    case 'markdown': return toMarkdown(sessions);
+    case 'urls': return toUrlList(sessions);
+    default: throw new Error(`Unknown format: ${format}`);
+  }
+}
+
+// ---- import ----
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+function blocks(text) {
+  return text.split(/\r?\n\s*\r?\n/).map((b) => b.split(/\r?\n/).map((l) => l.trim()).filter(Boolean)).filter((b) => b.length);
+}
+
+function fromOneTab(text, name) {
+  const windows = blocks(text).map((lines) => ({
+    tabs: lines.map((line) => {
+      const bar = line.indexOf(' | ');
+      return bar === -1 ? { url: line, title: '' } : { url: line.slice(0, bar).trim(), title: line.slice(bar + 3).trim() };
+    })
+  }));
+  return [{ name, windows }];
+}
+
+function fromUrlList(text, name) {
+  return [{ name, windows: blocks(text).map((lines) => ({ tabs: lines.map((url) => ({ url, title: '' })) })) }];
+}
+
+function fromMarkdown(text, name) {
+  const sessions = [];
+  let session = null;
+  let win = null;
+  const ensure = () => {
+    if (!session) {
+      session = { name, windows: [], tags: [] };
+      sessions.push(session);
+    }
+    if (!win) {
+      win = { tabs: [] };
+      session.windows.push(win);
+    }
+  };
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+    if (heading) {
+      if (heading[1].length <= 2) {
+        session = { name: heading[2].trim(), windows: [], tags: [] };
+        sessions.push(session);
+        win = null;
+      } else {
+        if (!session) ensure();
+        win = { tabs: [] };
+        session.windows.push(win);
+      }
+      continue;
+    }
+    const link = /\[((?:\\.|[^\]\\])*)\]\(([^)\s]+)\)/.exec(line);
+    const bare = /^(?:[-*+]\s+|\d+\.\s+)?(https?:\/\/\S+)$/.exec(line);
+    if (link || bare) {
+      ensure();
+      win.tabs.push(link
+        ? { url: link[2].replace(/%29/g, ')'), title: link[1].replace(/\\(.)/g, '$1') }
+        : { url: bare[1], title: '' });
+    } else if (session && /^#[^\s#]/.test(line)) {
+      session.tags.push(...line.split(/\s+/).filter((t) => t.startsWith('#')).map((t) => t.slice(1)));
+    }
+  }
+  return sessions;
+}
+
+/**
+ * Netscape bookmark HTML. Each top-level folder becomes a session and its sub-folders
+ * become windows; links outside any folder are collected into one session.
+ */
+function fromBookmarkHtml(text, name) {
+  const token = /<H3[^>]*>([\s\S]*?)<\/H3>|<A\s[^>]*HREF="([^"]*)"[^>]*>([\s\S]*?)<\/A>|<DL\b|<\/DL>/gi;
+  const sessions = [];
+  const loose = { name, windows: [{ tabs: [] }] };
+  const stack = []; // folder names, innermost last
+  let pendingFolder = null;
+  let session = null;
+  let win = null;
+  let m;
+  while ((m = token.exec(text))) {
+    const tag = m[0].slice(0, 4).toUpperCase();
+    if (m[1] !== undefined) {
+      pendingFolder = decodeEntities(m[1].replace(/<[^>]*>/g, '').trim());
+    } else if (m[2] !== undefined) {
+      const tab = { url: decodeEntities(m[2]), title: decodeEntities(m[3].replace(/<[^>]*>/g, '').trim()) };
+      if (!win) loose.windows[0].tabs.push(tab);
+      else win.tabs.push(tab);
+    } else if (tag === '<DL' || tag === '<DL>') {
+      stack.push(pendingFolder);
+      pendingFolder = null;
+      // stack[0] is the file's root list; depth 2 is a session, deeper folders are windows.
+      if (stack.length === 2 && stack[1] !== null) {
+        session = { name: stack[1], windows: [] };
+        sessions.push(session);
+        win = { tabs: [] };
+        session.windows.push(win);
+      } else if (stack.length > 2 && session) {
+        win = { tabs: [] };
+        session.windows.push(win);
+      }
+    } else if (tag === '</DL') {
+      stack.pop();
+      if (stack.length < 2) {
+        session = null;
+        win = null;
+      } else if (session) {
+        win = { tabs: [] };
+        session.windows.push(win);
+      }
+    }
+  }
+  if (loose.windows[0].tabs.length) sessions.push(loose);
+  return sessions;
+}
+
+function fromJson(text) {
+  const data = JSON.parse(text);
+  if (data && data.type === ARCHIVE_TYPE && Array.isArray(data.sessions)) return data.sessions;
+  if (Array.isArray(data)) return data;
+  return [data];
+}
+
+/** Best guess at the format of imported text; `filename` helps break ties. */
+export function detectFormat(text, filename = '') {
+  const head = text.trimStart().slice(0, 512);
+  if (/^[[{]/.test(head)) return 'json';
+  if (/NETSCAPE-Bookmark-file|<DL\b|<A\s[^>]*HREF=/i.test(head) || /\.html?$/i.test(filename)) return 'html';
+  if (/\.md$/i.test(filename) || /^#{1,6}\s|\[[^\]]*\]\(https?:/m.test(text)) return 'markdown';
+  if (/^\S+ \| /m.test(text)) return 'onetab';
+  return 'urls';
+}
+
+/**
+ * Parse imported text into sanitized sessions.
+ * Returns { sessions, dropped, format }; throws when the text cannot be read at all.
+ */
+export function importSessions(text, { format, filename, name } = {}) {
+  const fmt = format || detectFormat(text, filename);
+  const fallbackName = name || (filename ? filename.replace(/\.[^.]+$/, '') : '') || new Date().toLocaleString();
+  let raw;
+  switch (fmt) {
+    case 'json': raw = fromJson(text); break;
+    case 'onetab': raw = fromOneTab(text, fallbackName); break;
+    case 'html': raw = fromBookmarkHtml(text, fallbackName); break;
+    case 'markdown': raw = fromMarkdown(text, fallbackName); break;
+    case 'urls': raw = fromUrlList(text, fallbackName); break;
+    default: throw new Error(`Unknown format: ${fmt}`);
+  }
+  const sessions = [];
+  let dropped = 0;
+  for (const r of raw) {
+    const result = sanitizeSession(r);
+    dropped += result.dropped;
+    if (!result.session) continue;
+    if (!result.session.name.trim()) result.session.name = fallbackName;
+    sessions.push(result.session);
+  }
+  return { sessions, dropped, format: fmt };
+}
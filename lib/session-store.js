@@ -0,0 +1,190 @@
+/*
+ * Saved sessions in chrome.storage.local ("savedSessions").
+ *
+ * Manual saves, edits and automatic snapshots all rewrite the same array, so every
+ * change goes through one queue; otherwise a snapshot landing during an edit could
+ * silently undo it.
+ *
+ * With a passphrase set, the array is kept only as an encrypted envelope in
+ * "savedSessionsEncrypted" (see lib/session-crypto.js) and "savedSessions" is removed.
+ * The derived key lives in storage.session, so unlocking lasts until the browser closes;
+ * while locked every read or write fails with a LOCKED_MESSAGE error.
+ *
+ * Exported files go through sealExport(), so they are encrypted the same way.
+ */
+
+import {
+  decryptText,
+  deriveKey,
+  encryptText,
+  exportKey,
+  importKey,
+  newKdf
+} from './session-crypto.js';
+import { FORMATS, exportSessions } from './session-formats.js';
+
+export const SESSIONS_KEY = 'savedSessions';
+export const ENCRYPTED_KEY = 'savedSessionsEncrypted';
+export const LOCKED_MESSAGE = 'セッションはロックされています';
+export const UNLOCK_KEY = 'sessionKey'; // in storage.session
+
+let pending = Promise.resolve();
+
+function serial(fn) {
+  const run = pending.then(fn);
+  pending = run.catch(() => {});
+  return run;
+}
+
+async function unlockedKey() {
+  const { [UNLOCK_KEY]: raw } = await chrome.storage.session.get(UNLOCK_KEY);
+  return raw ? importKey(raw) : null;
+}
+
+async function readSessions() {
+  const data = await chrome.storage.local.get([SESSIONS_KEY, ENCRYPTED_KEY]);
+  const envelope = data[ENCRYPTED_KEY];
+  if (!envelope) return Array.isArray(data[SESSIONS_KEY]) ? data[SESSIONS_KEY] : [];
+  const key = await unlockedKey();
+  if (!key) throw new Error(LOCKED_MESSAGE);
+  const sessions = JSON.parse(await decryptText(key, envelope));
+  return Array.isArray(sessions) ? sessions : [];
+}
+
+async function writeSessions(sessions) {
+  const { [ENCRYPTED_KEY]: envelope } = await chrome.storage.local.get(ENCRYPTED_KEY);
+  if (!envelope) {
+    await chrome.storage.local.set({ [SESSIONS_KEY]: sessions });
+    return;
+  }
+  const key = await unlockedKey();
+  if (!key) throw new Error(LOCKED_MESSAGE);
+  await chrome.storage.local.set({ [ENCRYPTED_KEY]: await encryptText(key, envelope.kdf, JSON.stringify(sessions)) });
+}
+
+/**
+ * Serialized read-modify-write. fn(sessions) may mutate and return { sessions, value };
+ * the array is only written back when `sessions` is returned.
+ */
+export function withSessions(fn) {
+  return serial(async () => {
+    const sessions = await readSessions();
+    const result = await fn(sessions);
+    if (result && result.sessions) await writeSessions(result.sessions);
+    return result ? result.value : undefined;
+  });
+}
+
+export function getSessions() {
+  return readSessions();
+}
+
+export async function getSession(id) {
+  return (await getSessions()).find((s) => s.id === id) || null;
+}
+
+/** Store a new session, bumping its id past existing ones if needed. Returns it. */
+export function addSession(session) {
+  return withSessions((sessions) => {
+    const entry = { ...session, id: Math.max(session.id || Date.now(), ...sessions.map((s) => s.id + 1)) };
+    return { sessions: [...sessions, entry], value: entry };
+  });
+}
+
+export function deleteSession(id) {
+  return withSessions((sessions) => ({ sessions: sessions.filter((s) => s.id !== id), value: true }));
+}
+
+/**
+ * Replace session `id` with fn(session), stamping `modified` (sync uses it to pick the
+ * newer copy). Returns the new session, or null when not found.
+ */
+export function updateSession(id, fn) {
+  return withSessions((sessions) => {
+    const i = sessions.findIndex((s) => s.id === id);
+    if (i === -1) return { value: null };
+    const next = { ...fn(sessions[i]), id, created: sessions[i].created, modified: Date.now() };
+    const copy = sessions.slice();
+    copy[i] = next;
+    return { sessions: copy, value: next };
+  });
+}
+
+// ---- encryption ----
+
+/** { enabled, unlocked } */
+export async function encryptionState() {
+  const { [ENCRYPTED_KEY]: envelope } = await chrome.storage.local.get(ENCRYPTED_KEY);
+  if (!envelope) return { enabled: false, unlocked: true };
+  return { enabled: true, unlocked: !!(await unlockedKey()) };
+}
+
+/** Encrypt the stored sessions with a new passphrase (also used to change it while unlocked). */
+export function setPassphrase(passphrase) {
+  if (!passphrase) return Promise.reject(new Error('パスフレーズを入力してください'));
+  return serial(async () => {
+    const sessions = await readSessions();
+    const kdf = newKdf();
+    const key = await deriveKey(passphrase, kdf);
+    await chrome.storage.local.set({ [ENCRYPTED_KEY]: await encryptText(key, kdf, JSON.stringify(sessions)) });
+    // lastKnownLayout (lib/snapshots.js) is a plain copy of the open tabs.
+    await chrome.storage.local.remove([SESSIONS_KEY, 'lastKnownLayout']);
+    await chrome.storage.session.set({ [UNLOCK_KEY]: await exportKey(key) });
+  });
+}
+
+/** Store the sessions in plain form again. Must be unlocked. */
+export function removePassphrase() {
+  return serial(async () => {
+    const sessions = await readSessions();
+    await chrome.storage.local.set({ [SESSIONS_KEY]: sessions });
+    await chrome.storage.local.remove(ENCRYPTED_KEY);
+    await chrome.storage.session.remove(UNLOCK_KEY);
+  });
+}
+
+/** Check `passphrase` against the stored envelope and keep the key for this browser session. */
+export function unlock(passphrase) {
+  return serial(async () => {
+    const { [ENCRYPTED_KEY]: envelope } = await chrome.storage.local.get(ENCRYPTED_KEY);
+    if (!envelope) return;
+    const key = await deriveKey(passphrase, envelope.kdf);
+    await decryptText(key, envelope);
+    await chrome.storage.session.set({ [UNLOCK_KEY]: await exportKey(key) });
+  });
+}
+
+export function lock() {
+  return chrome.storage.session.remove(UNLOCK_KEY);
+}
+
+/**
+ * Text for an exported file: encrypted with the session key when a passphrase is set,
+ * so the file opens with the same passphrase. Returns { text, encrypted }.
+ */
+export async function sealExport(text, format) {
+  const { [ENCRYPTED_KEY]: envelope } = await chrome.storage.local.get(ENCRYPTED_KEY);
+  if (!envelope) return { text, encrypted: false };
+  const key = await unlockedKey();
+  if (!key) throw new Error(LOCKED_MESSAGE);
+  const sealed = await encryptText(key, envelope.kdf, text, { format });
+  return { text: JSON.stringify(sealed, null, 2), encrypted: true };
+}
+
+/** Save text through the downloads API; `basename` gets the format's extension. */
+async function downloadText(text, format, basename) {
+  const { extension, mime } = FORMATS[format];
+  const safeName = basename.replace(/[\\/:*?"<>|]+/g, '_').replace(/\s+/g, '_') || 'sessions';
+  await chrome.downloads.download({
+    url: `data:${mime};charset=utf-8,${encodeURIComponent(text)}`,
+    filename: `${safeName}.${extension}`,
+    saveAs: true
+  });
+}
+
+/** Export sessions as a download, encrypted (as a .json envelope) when a passphrase is set. */
+export async function downloadSessions(sessions, format, basename) {
+  const sealed = await sealExport(exportSessions(sessions, format), format);
+  if (sealed.encrypted) await downloadText(sealed.text, 'json', `${basename}.encrypted`);
+  else await downloadText(sealed.text, format, basename);
+}
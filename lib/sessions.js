@@ -0,0 +1,267 @@
+/*
+ * Session layout capture and restore.
+ *
+ * A session records every normal window with its tabs (index, pinned, group) and its
+ * tab groups (title, color, collapsed), so that restoring rebuilds the same layout.
+ * Sessions saved before v1.2 only have a flat `tabs` array; normalizeSession() turns
+ * those into a single-window layout.
+ *
+ * Sessions also carry `tags` (strings) and `notes`, and can be edited after saving with
+ * the pure helpers at the end of this module (they return a new session object).
+ */
+
+import { GROUP_COLORS } from './grouping.js';
+
+export const SESSION_VERSION = 2;
+
+const WINDOW_STATES = ['normal', 'minimized', 'maximized', 'fullscreen'];
+
+/**
+ * Snapshot normal windows into a session object.
+ * scope: { windowId } keeps one window, { tabIds } keeps only those tabs.
+ */
+export async function captureSession(name, scope = {}) {
+  let windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+  if (scope.windowId != null) windows = windows.filter((w) => w.id === scope.windowId);
+  const onlyTabs = Array.isArray(scope.tabIds) ? new Set(scope.tabIds) : null;
+  const captured = [];
+  for (const win of windows) {
+    const tabs = (win.tabs || []).filter((t) => t.url && (!onlyTabs || onlyTabs.has(t.id)));
+    if (tabs.length === 0) continue;
+    const groupIds = new Set(tabs.map((t) => t.groupId).filter((id) => id != null && id !== -1));
+    const groups = [];
+    for (const id of groupIds) {
+      try {
+        const g = await chrome.tabGroups.get(id);
+        groups.push({ id: g.id, title: g.title || '', color: g.color, collapsed: !!g.collapsed });
+      } catch (e) {}
+    }
+    captured.push({
+      focused: !!win.focused,
+      state: win.state,
+      left: win.left,
+      top: win.top,
+      width: win.width,
+      height: win.height,
+      groups,
+      tabs: tabs
+        .sort((a, b) => a.index - b.index)
+        .map((t) => ({
+          url: t.url,
+          title: t.title || '',
+          pinned: !!t.pinned,
+          index: t.index,
+          groupId: groupIds.has(t.groupId) ? t.groupId : -1
+        }))
+    });
+  }
+  const now = Date.now();
+  return {
+    id: now,
+    name: name && name.trim() ? name.trim() : new Date().toLocaleString(),
+    created: now,
+    version: SESSION_VERSION,
+    tags: [],
+    notes: '',
+    windows: captured
+  };
+}
+
+function normalizeTab(t, index) {
+  return {
+    url: t.url,
+    title: typeof t.title === 'string' ? t.title : '',
+    pinned: !!t.pinned,
+    index: Number.isInteger(t.index) ? t.index : index,
+    groupId: Number.isInteger(t.groupId) ? t.groupId : -1
+  };
+}
+
+function normalizeWindow(w) {
+  const groups = (Array.isArray(w.groups) ? w.groups : [])
+    .filter((g) => g && Number.isInteger(g.id))
+    .map((g) => ({
+      id: g.id,
+      title: typeof g.title === 'string' ? g.title : '',
+      color: GROUP_COLORS.includes(g.color) ? g.color : 'grey',
+      collapsed: !!g.collapsed
+    }));
+  const tabs = w.tabs
+    .filter((t) => t && typeof t.url === 'string' && t.url)
+    .map(normalizeTab)
+    .sort((a, b) => a.index - b.index);
+  const win = {
+    focused: !!w.focused,
+    state: WINDOW_STATES.includes(w.state) ? w.state : 'normal',
+    groups,
+    tabs
+  };
+  for (const key of ['left', 'top', 'width', 'height']) {
+    if (Number.isInteger(w[key])) win[key] = w[key];
+  }
+  return win;
+}
+
+/**
+ * Validate a stored or imported session and bring it to the current layout format.
+ * Accepts both the windowed format and the legacy flat `tabs` array.
+ * Returns null when the input is not a session.
+ */
+export function normalizeSession(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  let windows;
+  if (Array.isArray(raw.windows)) {
+    windows = raw.windows.filter((w) => w && Array.isArray(w.tabs)).map(normalizeWindow);
+  } else if (Array.isArray(raw.tabs)) {
+    windows = [normalizeWindow({ tabs: raw.tabs })];
+  } else {
+    return null;
+  }
+  windows = windows.filter((w) => w.tabs.length > 0);
+  return {
+    id: raw.id,
+    name: typeof raw.name === 'string' ? raw.name : '',
+    created: raw.created,
+    version: SESSION_VERSION,
+    tags: normalizeTags(raw.tags),
+    notes: typeof raw.notes === 'string' ? raw.notes : '',
+    windows
+  };
+}
+
+/** Unique, trimmed tags from an array or a comma-separated string. */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(',') : [];
+  const seen = new Set();
+  for (const tag of list) {
+    if (typeof tag !== 'string') continue;
+    const t = tag.trim();
+    if (t) seen.add(t);
+  }
+  return [...seen];
+}
+
+/** Flat list of every tab in a session, in window then tab order. */
+export function sessionTabs(session) {
+  const normalized = normalizeSession(session);
+  return normalized ? normalized.windows.flatMap((w) => w.tabs) : [];
+}
+
+async function restoreWindow(saved) {
+  const createData = { url: saved.tabs.map((t) => t.url), focused: saved.focused };
+  if (saved.state === 'normal') {
+    for (const key of ['left', 'top', 'width', 'height']) {
+      if (saved[key] != null) createData[key] = saved[key];
+    }
+  } else {
+    createData.state = saved.state;
+  }
+  let win;
+  try {
+    win = await chrome.windows.create(createData);
+  } catch (e) {
+    // Bounds from another display setup can be rejected; fall back to defaults.
+    win = await chrome.windows.create({ url: createData.url, focused: saved.focused });
+  }
+  const created = (win.tabs || []).slice().sort((a, b) => a.index - b.index);
+
+  // windows.create keeps the URL order, so saved tab i maps to created tab i.
+  const byGroup = {};
+  for (let i = 0; i < saved.tabs.length && i < created.length; i++) {
+    const t = saved.tabs[i];
+    if (t.pinned) {
+      try { await chrome.tabs.update(created[i].id, { pinned: true }); } catch (e) {}
+    }
+    if (t.groupId !== -1) {
+      if (!byGroup[t.groupId]) byGroup[t.groupId] = [];
+      byGroup[t.groupId].push(created[i].id);
+    }
+  }
+  for (const g of saved.groups) {
+    const tabIds = byGroup[g.id];
+    if (!tabIds || tabIds.length === 0) continue;
+    try {
+      const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId: win.id } });
+      await chrome.tabGroups.update(groupId, { title: g.title, color: g.color, collapsed: g.collapsed });
+    } catch (e) {}
+  }
+  return win;
+}
+
+/** Recreate every window of a session with its pinned tabs, groups and tab order. */
+export async function restoreSession(session) {
+  const normalized = normalizeSession(session);
+  if (!normalized || normalized.windows.length === 0) throw new Error('Session has no tabs');
+  // Restore the focused window last so it ends up in front.
+  const ordered = normalized.windows.slice().sort((a, b) => Number(a.focused) - Number(b.focused));
+  for (const w of ordered) {
+    await restoreWindow(w);
+  }
+}
+
+// Editing helpers. Each takes a stored session and returns an edited, normalized copy
+// (automatic-snapshot markers are dropped, so an edited snapshot becomes a normal session).
+
+function editable(session) {
+  const normalized = normalizeSession(session);
+  if (!normalized) throw new Error('Invalid session');
+  return normalized;
+}
+
+/** Renumber tab indexes and drop windows that became empty. */
+function tidy(session) {
+  session.windows = session.windows.filter((w) => w.tabs.length > 0);
+  for (const w of session.windows) {
+    w.tabs.forEach((t, i) => { t.index = i; });
+    const used = new Set(w.tabs.map((t) => t.groupId));
+    w.groups = w.groups.filter((g) => used.has(g.id));
+  }
+  return session;
+}
+
+/** Change name, tags and/or notes. */
+export function editSessionInfo(session, { name, tags, notes }) {
+  const next = editable(session);
+  if (typeof name === 'string' && name.trim()) next.name = name.trim();
+  if (tags !== undefined) next.tags = normalizeTags(tags);
+  if (typeof notes === 'string') next.notes = notes;
+  return next;
+}
+
+export function removeSessionTab(session, windowIndex, tabIndex) {
+  const next = editable(session);
+  const win = next.windows[windowIndex];
+  if (!win || !win.tabs[tabIndex]) throw new Error('Tab not found');
+  win.tabs.splice(tabIndex, 1);
+  return tidy(next);
+}
+
+/** Move a tab within its window. */
+export function moveSessionTab(session, windowIndex, from, to) {
+  const next = editable(session);
+  const win = next.windows[windowIndex];
+  if (!win || !win.tabs[from] || to < 0 || to >= win.tabs.length) throw new Error('Tab not found');
+  const [tab] = win.tabs.splice(from, 1);
+  win.tabs.splice(to, 0, tab);
+  return tidy(next);
+}
+
+/** Append a tab ({ url, title, pinned }) to a window, or to a new window when there is none. */
+export function addSessionTab(session, tab, windowIndex = 0) {
+  const next = editable(session);
+  if (next.windows.length === 0) next.windows.push({ focused: true, state: 'normal', groups: [], tabs: [] });
+  const win = next.windows[Math.min(Math.max(windowIndex, 0), next.windows.length - 1)];
+  win.tabs.push(normalizeTab({ url: tab.url, title: tab.title, pinned: tab.pinned }, win.tabs.length));
+  return tidy(next);
+}
+
+/** Windows of `source` appended to `target`; tags are combined and notes joined. */
+export function mergeSessions(target, source) {
+  const next = editable(target);
+  const other = editable(source);
+  other.windows.forEach((w) => { w.focused = false; });
+  next.windows.push(...other.windows);
+  next.tags = normalizeTags([...next.tags, ...other.tags]);
+  next.notes = [next.notes, other.notes].filter((n) => n.trim()).join('\n\n');
+  return tidy(next);
+}
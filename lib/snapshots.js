@@ -0,0 +1,136 @@
+/*
+ * Automatic session snapshots.
+ *
+ * Snapshots are ordinary entries in savedSessions with `auto: true` and a `trigger`
+ * ('interval' | 'startup' | 'shutdown'), so restore/export/delete work on them as on
+ * manual sessions. A snapshot is skipped when the layout is unchanged since the newest
+ * one, and old snapshots are thinned out by applyRetention().
+ *
+ * "shutdown" snapshots: the current layout is kept (debounced) in lastKnownLayout, and on
+ * the next startup that layout is stored as a snapshot. This also covers crashes, where
+ * no shutdown event fires at all. While sessions are encrypted the layout is not kept,
+ * since it would be a plain copy of every open URL.
+ */
+
+import { captureSession } from './sessions.js';
+import { ENCRYPTED_KEY, withSessions } from './session-store.js';
+
+export const SNAPSHOT_ALARM = 'auto-snapshot';
+export const LAST_LAYOUT_KEY = 'lastKnownLayout';
+
+export const DEFAULT_SNAPSHOT_SETTINGS = {
+  enabled: true,
+  intervalMinutes: 30,
+  keepRecent: 4, // newest snapshots always kept
+  keepHourlyHours: 24, // then one per hour for this many hours
+  keepDailyDays: 30 // then one per day for this many days
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export function resolveSnapshotSettings(settings) {
+  return { ...DEFAULT_SNAPSHOT_SETTINGS, ...(settings && typeof settings === 'object' ? settings : {}) };
+}
+
+/** String that changes whenever windows, tab URLs, pinning or groups change. */
+export function fingerprint(session) {
+  return JSON.stringify((session.windows || []).map((w) => [
+    w.tabs.map((t) => [t.url, t.pinned ? 1 : 0, t.groupId]),
+    w.groups.map((g) => [g.id, g.title, g.color])
+  ]));
+}
+
+/**
+ * Which auto snapshots to keep, newest first. Everything else should be deleted.
+ * Buckets are counted back from `now`, so a snapshot stays in its bucket as it ages.
+ */
+export function applyRetention(snapshots, settings, now = Date.now()) {
+  const s = resolveSnapshotSettings(settings);
+  const sorted = snapshots.slice().sort((a, b) => b.created - a.created);
+  const kept = [];
+  const hours = new Set();
+  const days = new Set();
+  sorted.forEach((snap, i) => {
+    const age = now - snap.created;
+    if (i < s.keepRecent) {
+      kept.push(snap);
+    } else if (age < s.keepHourlyHours * HOUR_MS) {
+      const bucket = Math.floor(age / HOUR_MS);
+      if (!hours.has(bucket)) { hours.add(bucket); kept.push(snap); }
+    } else if (age < s.keepDailyDays * DAY_MS) {
+      const bucket = Math.floor(age / DAY_MS);
+      if (!days.has(bucket)) { days.add(bucket); kept.push(snap); }
+    }
+  });
+  return kept;
+}
+
+function triggerLabel(trigger) {
+  if (trigger === 'startup') return '起動時';
+  if (trigger === 'shutdown') return '前回終了時';
+  return '定期';
+}
+
+/**
+ * Store a snapshot unless it matches the newest auto snapshot, then apply retention.
+ * Pass `session` to store a layout captured earlier. Returns the new snapshot or null.
+ */
+export async function takeSnapshot(trigger, settings, session) {
+  const snap = session || (await captureSession());
+  if (!snap.windows || snap.windows.length === 0) return null;
+  return withSessions((sessions) => {
+    const autos = sessions.filter((s) => s.auto);
+    const print = fingerprint(snap);
+    const newest = autos.reduce((a, b) => (!a || b.created > a.created ? b : a), null);
+    if (newest && newest.fingerprint === print) return { value: null };
+
+    const created = snap.created || Date.now();
+    const entry = {
+      ...snap,
+      id: Math.max(created, ...sessions.map((s) => s.id + 1)),
+      created,
+      name: `自動保存（${triggerLabel(trigger)}）${new Date(created).toLocaleString()}`,
+      auto: true,
+      trigger,
+      fingerprint: print
+    };
+    const keptAutos = new Set(applyRetention(autos.concat(entry), settings).map((s) => s.id));
+    const next = sessions.filter((s) => !s.auto || keptAutos.has(s.id));
+    if (keptAutos.has(entry.id)) next.push(entry);
+    return { sessions: next, value: entry };
+  });
+}
+
+/** Create or clear the periodic alarm to match the settings. */
+export async function scheduleSnapshots(settings) {
+  const s = resolveSnapshotSettings(settings);
+  await chrome.alarms.clear(SNAPSHOT_ALARM);
+  if (s.enabled && s.intervalMinutes > 0) {
+    await chrome.alarms.create(SNAPSHOT_ALARM, {
+      delayInMinutes: s.intervalMinutes,
+      periodInMinutes: s.intervalMinutes
+    });
+  }
+}
+
+/** Keep the current layout so it can be snapshotted on the next startup (not while encrypted). */
+export async function rememberLayout() {
+  const { [ENCRYPTED_KEY]: encrypted } = await chrome.storage.local.get(ENCRYPTED_KEY);
+  if (encrypted) {
+    await chrome.storage.local.remove(LAST_LAYOUT_KEY);
+    return;
+  }
+  const session = await captureSession();
+  if (session.windows.length === 0) return;
+  await chrome.storage.local.set({ [LAST_LAYOUT_KEY]: session });
+}
+
+/** On startup: store the layout the browser had when it last shut down (or crashed). */
+export async function snapshotLastLayout(settings) {
+  const data = await chrome.storage.local.get(LAST_LAYOUT_KEY);
+  const last = data[LAST_LAYOUT_KEY];
+  if (!last || !Array.isArray(last.windows)) return null;
+  await chrome.storage.local.remove(LAST_LAYOUT_KEY);
+  return takeSnapshot('shutdown', settings, last);
+}
@@ -0,0 +1,107 @@
+/*
+ * Browsing statistics bucketed per day.
+ *
+ * chrome.storage.local "domainDaily" maps a local date key ("YYYY-MM-DD") to
+ * { [domain]: ms }. The all-time "domainTimes" map is kept alongside it, since it also
+ * holds time recorded before daily buckets existed.
+ */
+
+export const DAILY_KEY = 'domainDaily';
+export const DAILY_RETENTION_DAYS = 400;
+export const RANGES = ['today', '7d', '30d', 'all', 'custom'];
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/** Local calendar day of a timestamp, e.g. "2024-05-31". */
+export function dayKey(ts = Date.now()) {
+  const d = new Date(ts);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function addDays(key, delta) {
+  const [y, m, d] = key.split('-').map(Number);
+  return dayKey(new Date(y, m - 1, d + delta).getTime());
+}
+
+/** Every day key from `from` to `to`, inclusive. */
+export function daysBetween(from, to) {
+  const days = [];
+  for (let key = from; key <= to && days.length <= DAILY_RETENTION_DAYS; key = addDays(key, 1)) {
+    days.push(key);
+  }
+  return days;
+}
+
+/**
+ * Turn a range argument into { from, to } day keys, or null for all time.
+ * range is 'today' | '7d' | '30d' | 'all' | { from, to }.
+ */
+export function resolveRange(range, now = Date.now()) {
+  const today = dayKey(now);
+  if (range && typeof range === 'object') {
+    const valid = (k) => typeof k === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(k);
+    if (!valid(range.from) || !valid(range.to)) return null;
+    return range.from <= range.to ? { from: range.from, to: range.to } : { from: range.to, to: range.from };
+  }
+  if (range === 'today') return { from: today, to: today };
+  if (range === '7d') return { from: addDays(today, -6), to: today };
+  if (range === '30d') return { from: addDays(today, -29), to: today };
+  return null;
+}
+
+/** Add { [day]: { [domain]: ms } } into the daily map, dropping expired days. */
+export function mergeDaily(daily, additions, now = Date.now()) {
+  const merged = { ...daily };
+  for (const [day, domains] of Object.entries(additions)) {
+    const bucket = { ...(merged[day] || {}) };
+    for (const [domain, ms] of Object.entries(domains)) {
+      bucket[domain] = (bucket[domain] || 0) + ms;
+    }
+    merged[day] = bucket;
+  }
+  const oldest = addDays(dayKey(now), -DAILY_RETENTION_DAYS);
+  for (const day of Object.keys(merged)) {
+    if (day < oldest) delete merged[day];
+  }
+  return merged;
+}
+
+/** Per-day rows for a range: [{ day, total, domains: { [domain]: ms } }]. */
+export function dailyRows(daily, from, to) {
+  return daysBetween(from, to).map((day) => {
+    const domains = { ...(daily[day] || {}) };
+    const total = Object.values(domains).reduce((sum, ms) => sum + ms, 0);
+    return { day, total, domains };
+  });
+}
+
+/** Totals per domain over the rows, sorted by time spent. */
+export function domainTotals(rows) {
+  const totals = {};
+  for (const row of rows) {
+    for (const [domain, ms] of Object.entries(row.domains)) {
+      totals[domain] = (totals[domain] || 0) + ms;
+    }
+  }
+  return Object.entries(totals)
+    .map(([domain, ms]) => ({ domain, ms }))
+    .sort((a, b) => b.ms - a.ms);
+}
+
+function csvField(value) {
+  const s = String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** CSV with one line per day and domain. */
+export function rowsToCsv(rows) {
+  const lines = ['date,domain,milliseconds,minutes'];
+  for (const row of rows) {
+    for (const [domain, ms] of Object.entries(row.domains).sort((a, b) => b[1] - a[1])) {
+      lines.push([row.day, csvField(domain), Math.round(ms), (ms / 60000).toFixed(1)].join(','));
+    }
+  }
+  return lines.join('\n') + '\n';
+}
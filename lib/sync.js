@@ -0,0 +1,354 @@
+/*
+ * Optional sync of settings and saved sessions through chrome.storage.sync.
+ *
+ * chrome.storage.local stays the working copy that everything else reads and writes;
+ * this module mirrors the categories a device opts into (syncSettings) to and from the
+ * sync area. background.js feeds it the onChanged events of both areas.
+ *
+ * Sync layout: every synced item (a settings key, or "savedSessions") is stored as
+ *   "<name>.meta"                 { n, z, c, h, t, d }
+ *   "<name>.0" … "<name>.<n-1>"   string chunks of the item's JSON
+ * n = chunk count, z = gzip+base64 encoded, c = hash of the joined chunks, h = hash of
+ * the JSON value, t = modification time, d = device id. Chunking keeps large rule lists
+ * and sessions under the 8 KB per-item quota. Chunks written by another device may
+ * arrive before their meta (or after), so an item is only read once `c` matches.
+ *
+ * Conflicts:
+ * - settings are last-writer-wins per key, by modification time. A device that turns a
+ *   category on for the first time has no local modification time and adopts what is
+ *   already synced.
+ * - sessions (manual ones only; automatic snapshots stay local) are merged by id: the
+ *   copy with the newer `modified` time wins, and deletions travel as tombstones.
+ * Every overwritten local change is recorded in syncStatus.conflicts.
+ *
+ * Passphrase-encrypted sessions (lib/session-store.js) are never synced.
+ */
+
+import { ENCRYPTED_KEY, withSessions } from './session-store.js';
+
+export const SYNC_CATEGORIES = {
+  limits: {
+    label: 'タブ上限と上限超過時の挙動',
+    keys: ['tabThreshold', 'tabPolicy', 'globalLimitEnabled', 'windowLimit', 'groupLimits', 'discardInstead']
+  },
+  whitelist: { label: 'ホワイトリスト', keys: ['whitelistRules'] },
+  grouping: { label: 'グループ化ルール', keys: ['groupingRules', 'autoGroup', 'groupFallback', 'groupScope'] },
+  dedup: { label: '重複タブの判定', keys: ['dedupRules', 'dedupKeep'] },
+  sessions: { label: '保存したセッション', keys: ['savedSessions'] }
+};
+
+export const DEFAULT_SYNC_SETTINGS = {
+  categories: Object.fromEntries(Object.keys(SYNC_CATEGORIES).map((c) => [c, false]))
+};
+
+export const STATE_KEY = 'syncState';
+export const STATUS_KEY = 'syncStatus';
+
+const SESSIONS = 'savedSessions';
+const CHUNK_SIZE = 7000; // characters; leaves room for the key and JSON quoting
+const COMPRESS_OVER = 1024;
+const PUSH_DELAY_MS = 2000;
+const TOMBSTONE_MS = 30 * 24 * 60 * 60 * 1000;
+const CONFLICT_LOG = 20;
+
+export function resolveSyncSettings(settings) {
+  const categories = { ...DEFAULT_SYNC_SETTINGS.categories };
+  const given = settings && settings.categories ? settings.categories : {};
+  for (const name of Object.keys(categories)) categories[name] = !!given[name];
+  return { categories };
+}
+
+/** Storage keys covered by the enabled categories. */
+export function syncedKeys(settings) {
+  const { categories } = resolveSyncSettings(settings);
+  return Object.entries(SYNC_CATEGORIES)
+    .filter(([name]) => categories[name])
+    .flatMap(([, category]) => category.keys);
+}
+
+/** syncedKeys() minus sessions while they are encrypted. */
+async function activeKeys(settings) {
+  const keys = syncedKeys(settings);
+  if (!keys.includes(SESSIONS)) return keys;
+  const { [ENCRYPTED_KEY]: envelope } = await chrome.storage.local.get(ENCRYPTED_KEY);
+  return envelope ? keys.filter((key) => key !== SESSIONS) : keys;
+}
+
+// ---- encoding ----
+
+/** FNV-1a hash as hex; only used to detect changes, not for security. */
+export function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h.toString(16).padStart(8, '0');
+}
+
+export function splitChunks(text, size = CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+  return chunks.length ? chunks : [''];
+}
+
+async function gzip(text) {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+async function gunzip(base64) {
+  const bytes = Uint8Array.from(atob(base64), (ch) => ch.charCodeAt(0));
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+}
+
+/** Sync items for one value: { "<name>.meta": …, "<name>.0": …, … }. */
+export async function encodeItem(name, value, t, d) {
+  const json = JSON.stringify(value);
+  const z = json.length > COMPRESS_OVER;
+  const stored = z ? await gzip(json) : json;
+  const chunks = splitChunks(stored);
+  const items = { [`${name}.meta`]: { n: chunks.length, z, c: hashString(stored), h: hashString(json), t, d } };
+  chunks.forEach((chunk, i) => { items[`${name}.${i}`] = chunk; });
+  return items;
+}
+
+/** Read an item back from all sync items; null when absent or not completely arrived. */
+export async function decodeItem(name, all) {
+  const meta = all[`${name}.meta`];
+  if (!meta || !Number.isInteger(meta.n)) return null;
+  const chunks = [];
+  for (let i = 0; i < meta.n; i++) {
+    const chunk = all[`${name}.${i}`];
+    if (typeof chunk !== 'string') return null;
+    chunks.push(chunk);
+  }
+  const stored = chunks.join('');
+  if (hashString(stored) !== meta.c) return null;
+  try {
+    const json = meta.z ? await gunzip(stored) : stored;
+    return { value: JSON.parse(json), t: meta.t || 0, d: meta.d, h: meta.h };
+  } catch (e) {
+    return null;
+  }
+}
+
+// ---- sessions ----
+
+/** Merge remote sessions into local ones. Pure; returns { sessions, tombstones }. */
+export function mergeSessionLists(local, remote, localTombstones, remoteTombstones, now = Date.now()) {
+  const stamp = (s) => s.modified || s.created || 0;
+  const tombstones = new Map();
+  for (const t of [...localTombstones, ...remoteTombstones]) {
+    if (now - t.t < TOMBSTONE_MS) tombstones.set(t.id, Math.max(tombstones.get(t.id) || 0, t.t));
+  }
+  const alive = (s) => !tombstones.has(s.id) || stamp(s) > tombstones.get(s.id);
+  const byId = new Map();
+  for (const s of local) {
+    if (s.auto || alive(s)) byId.set(s.id, s);
+  }
+  for (const s of remote) {
+    const mine = byId.get(s.id);
+    if (!alive(s)) continue;
+    if (!mine || (!mine.auto && stamp(s) > stamp(mine))) byId.set(s.id, s);
+  }
+  return {
+    sessions: [...byId.values()],
+    tombstones: [...tombstones].map(([id, t]) => ({ id, t }))
+  };
+}
+
+// ---- state ----
+
+// Every read-modify-write of syncState (and every push/pull) goes through one queue.
+let queue = Promise.resolve();
+function serial(fn) {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function loadState() {
+  const data = await chrome.storage.local.get(STATE_KEY);
+  const state = { deviceId: '', stamps: {}, hashes: {}, sessionIds: [], tombstones: [], ...(data[STATE_KEY] || {}) };
+  if (!state.deviceId) state.deviceId = crypto.randomUUID();
+  return state;
+}
+
+function saveState(state) {
+  return chrome.storage.local.set({ [STATE_KEY]: state });
+}
+
+async function updateStatus(patch, conflict) {
+  const data = await chrome.storage.local.get(STATUS_KEY);
+  const status = { lastSync: 0, lastError: '', conflicts: [], ...(data[STATUS_KEY] || {}), ...patch };
+  if (conflict) status.conflicts = [{ ...conflict, at: Date.now() }, ...status.conflicts].slice(0, CONFLICT_LOG);
+  await chrome.storage.local.set({ [STATUS_KEY]: status });
+}
+
+/** The value mirrored for a key; for sessions, manual sessions plus tombstones. */
+async function localValue(name, state) {
+  if (name === SESSIONS) {
+    const data = await chrome.storage.local.get(SESSIONS);
+    const sessions = (Array.isArray(data[SESSIONS]) ? data[SESSIONS] : []).filter((s) => !s.auto);
+    return { sessions, deleted: state.tombstones };
+  }
+  return (await chrome.storage.local.get(name))[name];
+}
+
+async function push(name, state) {
+  const value = await localValue(name, state);
+  if (value === undefined) return;
+  const h = hashString(JSON.stringify(value));
+  if (state.hashes[name] === h) return;
+  const old = (await chrome.storage.sync.get(`${name}.meta`))[`${name}.meta`];
+  const items = await encodeItem(name, value, state.stamps[name] || Date.now(), state.deviceId);
+  await chrome.storage.sync.set(items);
+  const n = items[`${name}.meta`].n;
+  if (old && old.n > n) {
+    await chrome.storage.sync.remove(Array.from({ length: old.n - n }, (_, i) => `${name}.${n + i}`));
+  }
+  state.hashes[name] = h;
+}
+
+async function pullSessions(remote, state) {
+  // Merged inside the session store's queue, so a snapshot or edit made meanwhile is
+  // neither overwritten nor lost.
+  const merged = await withSessions((local) => {
+    const result = mergeSessionLists(
+      local,
+      Array.isArray(remote.value.sessions) ? remote.value.sessions : [],
+      state.tombstones,
+      Array.isArray(remote.value.deleted) ? remote.value.deleted : []
+    );
+    const changed = JSON.stringify(result.sessions) !== JSON.stringify(local);
+    return { sessions: changed ? result.sessions : null, value: result };
+  });
+  state.tombstones = merged.tombstones;
+  state.sessionIds = merged.sessions.filter((s) => !s.auto).map((s) => s.id);
+  state.hashes[SESSIONS] = remote.h;
+  // Local sessions the other devices have not seen yet go back up.
+  await push(SESSIONS, state);
+}
+
+async function pull(name, all, state) {
+  const remote = await decodeItem(name, all);
+  if (!remote) return false;
+  if (remote.h === state.hashes[name]) return true;
+  if (name === SESSIONS) {
+    await pullSessions(remote, state);
+    return true;
+  }
+  const localT = state.stamps[name] || 0;
+  if (localT > remote.t) {
+    await push(name, state);
+    await updateStatus({}, { key: name, winner: 'local' });
+    return true;
+  }
+  const current = (await chrome.storage.local.get(name))[name];
+  // Record the hash first so the resulting local change is not pushed back as an edit.
+  state.hashes[name] = remote.h;
+  state.stamps[name] = remote.t;
+  if (JSON.stringify(current) !== JSON.stringify(remote.value)) {
+    await chrome.storage.local.set({ [name]: remote.value });
+    if (localT > 0) await updateStatus({}, { key: name, winner: 'remote' });
+  }
+  return true;
+}
+
+function quotaMessage(e) {
+  return /QUOTA/i.test(e.message)
+    ? '同期の容量を超えたため、一部のデータを同期できませんでした'
+    : `同期に失敗しました: ${e.message}`;
+}
+
+// ---- entry points used by background.js ----
+
+let pushTimer = null;
+const pendingPush = new Set();
+
+function schedulePush() {
+  clearTimeout(pushTimer);
+  pushTimer = setTimeout(() => {
+    const names = [...pendingPush];
+    pendingPush.clear();
+    serial(async () => {
+      const state = await loadState();
+      try {
+        for (const name of names) await push(name, state);
+        await updateStatus({ lastSync: Date.now(), lastError: '' });
+      } catch (e) {
+        await updateStatus({ lastError: quotaMessage(e) });
+      }
+      await saveState(state);
+    });
+  }, PUSH_DELAY_MS);
+}
+
+/** Reconcile every enabled key with the sync area; run at startup and when settings change. */
+export function startSync(settings) {
+  if (syncedKeys(settings).length === 0) return Promise.resolve();
+  return serial(async () => {
+    const keys = await activeKeys(settings);
+    const state = await loadState();
+    try {
+      const all = await chrome.storage.sync.get(null);
+      for (const name of keys) {
+        if (!(await pull(name, all, state))) await push(name, state);
+      }
+      await updateStatus({ lastSync: Date.now(), lastError: '' });
+    } catch (e) {
+      await updateStatus({ lastError: quotaMessage(e) });
+    }
+    await saveState(state);
+  });
+}
+
+/** chrome.storage.onChanged for the local area. */
+export function handleLocalChanges(changes, settings) {
+  if (!syncedKeys(settings).some((key) => key in changes)) return Promise.resolve();
+  return serial(async () => {
+    const keys = (await activeKeys(settings)).filter((key) => key in changes);
+    const state = await loadState();
+    for (const name of keys) {
+      if (name === SESSIONS) {
+        const now = Date.now();
+        const ids = (changes[SESSIONS].newValue || []).filter((s) => !s.auto).map((s) => s.id);
+        const gone = state.sessionIds.filter((id) => !ids.includes(id));
+        state.tombstones = [...state.tombstones, ...gone.map((id) => ({ id, t: now }))]
+          .filter((t) => now - t.t < TOMBSTONE_MS);
+        state.sessionIds = ids;
+      }
+      const value = await localValue(name, state);
+      if (hashString(JSON.stringify(value)) === state.hashes[name]) continue; // our own pull
+      state.stamps[name] = Date.now();
+      pendingPush.add(name);
+    }
+    await saveState(state);
+    if (pendingPush.size) schedulePush();
+  });
+}
+
+/** chrome.storage.onChanged for the sync area (changes made by other devices). */
+export function handleSyncChanges(changes, settings) {
+  const names = new Set(Object.keys(changes).map((key) => key.slice(0, key.lastIndexOf('.'))));
+  if (!syncedKeys(settings).some((key) => names.has(key))) return Promise.resolve();
+  return serial(async () => {
+    const keys = (await activeKeys(settings)).filter((key) => names.has(key));
+    const state = await loadState();
+    try {
+      const all = await chrome.storage.sync.get(null);
+      for (const name of keys) await pull(name, all, state);
+      await updateStatus({ lastSync: Date.now(), lastError: '' });
+    } catch (e) {
+      await updateStatus({ lastError: quotaMessage(e) });
+    }
+    await saveState(state);
+  });
+}
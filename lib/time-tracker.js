@@ -0,0 +1,213 @@
+/*
+ * Per-domain time tracking.
+ *
+ * The tracker follows one "active" tab: the active tab of the focused window. Time is
+ * counted only while the browser has focus and the user is active; when the system
+ * reports idle, time keeps counting only if the tab is playing audio (videos, calls),
+ * and a locked screen never counts.
+ *
+ * Tracking state lives in chrome.storage.session so it survives service-worker
+ * suspension. Counted time collects in state.pending ({ [day]: { [domain]: ms } }) and
+ * is merged into chrome.storage.local "domainTimes" (all time) and "domainDaily" (per
+ * day, see lib/stats.js) by flush(), which runs on a periodic alarm rather than on
+ * every tab switch.
+ */
+
+import { DAILY_KEY, dayKey, mergeDaily } from './stats.js';
+
+export const FLUSH_ALARM = 'time-flush';
+export const FLUSH_PERIOD_MINUTES = 1;
+export const DEFAULT_IDLE_SECONDS = 120;
+const STATE_KEY = 'timeTrackerState';
+
+function emptyState() {
+  return {
+    tabId: null,
+    domain: null,
+    since: null,
+    audible: false,
+    unfocused: false,
+    idleState: 'active',
+    pending: {}
+  };
+}
+
+/** Hostname of a web URL, or null for anything that should not be tracked. */
+export function trackedDomain(url) {
+  try {
+    const u = new URL(url);
+    return u.protocol === 'http:' || u.protocol === 'https:' ? u.hostname : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Set by the background script from the whitelist; excluded URLs are never counted.
+let excluded = () => false;
+
+export function setExclusion(fn) {
+  excluded = typeof fn === 'function' ? fn : () => false;
+}
+
+/** trackedDomain(), or null when the URL is excluded from tracking. */
+function countedDomain(url) {
+  return url && excluded(url) ? null : trackedDomain(url);
+}
+
+/** Whether time is currently being counted for state.domain. */
+export function isCounting(state) {
+  if (!state.domain || state.since == null || state.unfocused) return false;
+  if (state.idleState === 'locked') return false;
+  return state.idleState === 'active' || state.audible;
+}
+
+/**
+ * Move time elapsed since state.since into state.pending, under the day it ends on.
+ * Segments stay short (flush settles every minute), so midnight splits are negligible.
+ */
+export function settle(state, now) {
+  if (isCounting(state) && now > state.since) {
+    const day = dayKey(now);
+    const bucket = state.pending[day] || (state.pending[day] = {});
+    bucket[state.domain] = (bucket[state.domain] || 0) + (now - state.since);
+  }
+  state.since = now;
+  return state;
+}
+
+// All updates go through one queue so concurrent events cannot lose time.
+let queue = Promise.resolve();
+function update(fn) {
+  const run = queue.then(async () => {
+    const data = await chrome.storage.session.get(STATE_KEY);
+    const state = { ...emptyState(), ...(data[STATE_KEY] || {}) };
+    // State written before daily buckets held { [domain]: ms }; start over rather than misfile it.
+    if (Object.values(state.pending).some((v) => typeof v === 'number')) state.pending = {};
+    const result = await fn(state, Date.now());
+    await chrome.storage.session.set({ [STATE_KEY]: state });
+    return result;
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+async function follow(state, tab, now) {
+  settle(state, now);
+  state.tabId = tab ? tab.id : null;
+  state.domain = tab ? countedDomain(tab.url) : null;
+  state.audible = !!(tab && tab.audible);
+}
+
+/** A tab became active. */
+export function handleActivated(tabId) {
+  return update(async (state, now) => {
+    let tab = null;
+    try { tab = await chrome.tabs.get(tabId); } catch (e) {}
+    if (tab) {
+      try {
+        const win = await chrome.windows.get(tab.windowId);
+        if (!win.focused) return; // background window: keep following the focused one
+      } catch (e) {}
+    }
+    await follow(state, tab, now);
+    state.unfocused = false;
+  });
+}
+
+/** Tab URL or audible state changed (SPA navigation included). */
+export function handleUpdated(tabId, changeInfo, tab) {
+  if (!changeInfo.url && !('audible' in changeInfo)) return Promise.resolve();
+  return update(async (state, now) => {
+    if (tabId !== state.tabId) return;
+    settle(state, now);
+    if (changeInfo.url) state.domain = countedDomain(changeInfo.url);
+    if ('audible' in changeInfo) state.audible = !!changeInfo.audible;
+    else if (tab) state.audible = !!tab.audible;
+  });
+}
+
+export function handleRemoved(tabId) {
+  return update(async (state, now) => {
+    if (tabId !== state.tabId) return;
+    await follow(state, null, now);
+  });
+}
+
+/** Window focus moved; WINDOW_ID_NONE means the browser lost focus. */
+export function handleFocusChanged(windowId) {
+  return update(async (state, now) => {
+    settle(state, now);
+    if (windowId === chrome.windows.WINDOW_ID_NONE) {
+      state.unfocused = true;
+      return;
+    }
+    state.unfocused = false;
+    let tab = null;
+    try { [tab] = await chrome.tabs.query({ active: true, windowId }); } catch (e) {}
+    await follow(state, tab, now);
+  });
+}
+
+/** chrome.idle state: 'active' | 'idle' | 'locked'. */
+export function handleIdleChanged(idleState) {
+  return update(async (state, now) => {
+    settle(state, now);
+    state.idleState = idleState;
+  });
+}
+
+/**
+ * Apply the idle threshold, pick up the current tab, focus and idle state (no event
+ * reports them after a browser start) and make sure the flush alarm exists.
+ */
+export async function startTracking(idleSeconds = DEFAULT_IDLE_SECONDS) {
+  const interval = Math.max(15, idleSeconds);
+  chrome.idle.setDetectionInterval(interval);
+  await update(async (state, now) => {
+    settle(state, now);
+    try { state.idleState = await chrome.idle.queryState(interval); } catch (e) {}
+    let tab = null;
+    try { [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true }); } catch (e) {}
+    let focused = false;
+    if (tab) {
+      try { focused = (await chrome.windows.get(tab.windowId)).focused; } catch (e) {}
+    }
+    await follow(state, tab, now);
+    state.unfocused = !focused;
+  });
+  const alarm = await chrome.alarms.get(FLUSH_ALARM);
+  if (!alarm) {
+    await chrome.alarms.create(FLUSH_ALARM, { periodInMinutes: FLUSH_PERIOD_MINUTES });
+  }
+}
+
+/**
+ * Merge counted time into storage.local in a single write.
+ * Resolves to { domainTimes, domainDaily } after the merge.
+ */
+export function flush() {
+  return update(async (state, now) => {
+    settle(state, now);
+    const data = await chrome.storage.local.get(['domainTimes', DAILY_KEY]);
+    const totals = data.domainTimes && typeof data.domainTimes === 'object' ? { ...data.domainTimes } : {};
+    const daily = data[DAILY_KEY] && typeof data[DAILY_KEY] === 'object' ? data[DAILY_KEY] : {};
+    if (Object.keys(state.pending).length === 0) return { domainTimes: totals, domainDaily: daily };
+    for (const domains of Object.values(state.pending)) {
+      for (const [domain, ms] of Object.entries(domains)) {
+        totals[domain] = (totals[domain] || 0) + ms;
+      }
+    }
+    const merged = mergeDaily(daily, state.pending, now);
+    await chrome.storage.local.set({ domainTimes: totals, [DAILY_KEY]: merged });
+    state.pending = {};
+    return { domainTimes: totals, domainDaily: merged };
+  });
+}
+
+/** Drop pending time, e.g. after the statistics were reset. */
+export function discardPending() {
+  return update(async (state, now) => {
+    state.pending = {};
+    state.since = now;
+  });
+}
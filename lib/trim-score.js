@@ -0,0 +1,157 @@
+/*
+ * Scoring model for the "trim" policy.
+ *
+ * Every tab gets a keep-score: the weighted sum of scorer outputs, each in 0..1 where
+ * higher means "more worth keeping". Tabs are trimmed lowest score first. Scorers are
+ * looked up by name in SCORERS, and the weights come from settings (trimWeights), so a
+ * factor can be tuned or switched off (weight 0) without touching the ordering code.
+ *
+ * Domain protect levels (trimProtect: [{ domain, level }]) feed the "protect" scorer;
+ * level 'never' takes the tab out of trimming altogether.
+ */
+
+import { planTrim } from './limits.js';
+import { domainMatches } from './budgets.js';
+import { isExempt } from './whitelist.js';
+
+export const PROTECT_LEVELS = { low: 1 / 3, medium: 2 / 3, high: 1, never: Infinity };
+
+export const DEFAULT_TRIM_WEIGHTS = {
+  recency: 3,
+  audible: 5,
+  grouped: 1,
+  domainTime: 1,
+  protect: 3,
+  formInput: 5
+};
+
+export const SCORER_LABELS = {
+  recency: '最近使った',
+  audible: '音声を再生中',
+  grouped: 'グループ内',
+  domainTime: 'よく使うドメイン',
+  protect: '保護レベル',
+  formInput: '未送信の入力'
+};
+
+function hostnameOf(tab) {
+  try { return new URL(tab.url).hostname; } catch (e) { return ''; }
+}
+
+/** Protect level for a tab's domain, the most specific entry winning. */
+export function protectLevel(tab, protect) {
+  const host = hostnameOf(tab);
+  const entry = (protect || [])
+    .filter((p) => p && p.domain && PROTECT_LEVELS[p.level] != null && domainMatches(host, p.domain))
+    .sort((a, b) => b.domain.length - a.domain.length)[0];
+  return entry ? entry.level : null;
+}
+
+/**
+ * Which tabs the trim may close: not pinned, not exempted from trimming for now
+ * (exemptions: { [tabId]: until }, from the context menu), not whitelisted for 'trim',
+ * and when discarding instead of closing, not already discarded or active.
+ */
+export function trimClosable({ exemptions = {}, discardInstead = false, whitelistRules = [], now = Date.now() } = {}) {
+  return (t) => {
+    if (t.pinned) return false;
+    if ((exemptions[t.id] || 0) > now) return false;
+    if (discardInstead && (t.discarded || t.active)) return false;
+    return !isExempt(t.url, whitelistRules, 'trim');
+  };
+}
+
+/**
+ * Named scorers: (tab, ctx) => 0..1.
+ * ctx: { now, activity, domainTimes, maxDomainMs, protect, formInput }
+ */
+export const SCORERS = {
+  // Last access survives service-worker restarts via tab.lastAccessed.
+  recency(tab, ctx) {
+    const last = tab.lastAccessed || (ctx.activity && ctx.activity[tab.id]) || 0;
+    if (!last) return 0;
+    const hours = Math.max(0, ctx.now - last) / 3600000;
+    return 1 / (1 + hours);
+  },
+  audible(tab) {
+    return tab.audible ? 1 : 0;
+  },
+  grouped(tab) {
+    return tab.groupId != null && tab.groupId !== -1 ? 1 : 0;
+  },
+  domainTime(tab, ctx) {
+    const ms = (ctx.domainTimes || {})[hostnameOf(tab)] || 0;
+    return ctx.maxDomainMs > 0 ? Math.log1p(ms / 60000) / Math.log1p(ctx.maxDomainMs / 60000) : 0;
+  },
+  protect(tab, ctx) {
+    const level = protectLevel(tab, ctx.protect);
+    return level && level !== 'never' ? PROTECT_LEVELS[level] : 0;
+  },
+  formInput(tab, ctx) {
+    return ctx.formInput && ctx.formInput.has(tab.id) ? 1 : 0;
+  }
+};
+
+/** Keep-score and per-factor breakdown for one tab. */
+export function scoreTab(tab, weights, ctx) {
+  const w = { ...DEFAULT_TRIM_WEIGHTS, ...(weights || {}) };
+  const factors = {};
+  let score = 0;
+  for (const [name, scorer] of Object.entries(SCORERS)) {
+    const weight = Number(w[name]) || 0;
+    if (weight === 0) continue;
+    factors[name] = scorer(tab, ctx);
+    score += weight * factors[name];
+  }
+  return { score, factors };
+}
+
+/** Ids of tabs with form fields edited but not submitted. Discarded tabs are skipped. */
+export async function detectFormInput(tabs) {
+  const dirty = new Set();
+  for (const tab of tabs) {
+    if (tab.discarded || !/^https?:/.test(tab.url || '')) continue;
+    try {
+      const [result] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id },
+        func: () => Array.from(document.querySelectorAll('input, textarea, select')).some((el) => {
+          if (el.type === 'checkbox' || el.type === 'radio') return el.checked !== el.defaultChecked;
+          if (el.tagName === 'SELECT') return Array.from(el.options).some((o) => o.selected !== o.defaultSelected);
+          if (el.type === 'hidden' || el.type === 'password') return false;
+          return el.value !== el.defaultValue;
+        }) || !!document.querySelector('[contenteditable="true"]:focus')
+      });
+      if (result && result.result) dirty.add(tab.id);
+    } catch (e) {}
+  }
+  return dirty;
+}
+
+/**
+ * Plan a trim with scoring: returns [{ tab, score, factors }] in closing order.
+ * Form input is only checked on planned victims (checking every tab would mean a
+ * script injection per tab); the plan is refined until every victim has been checked.
+ *
+ * options: { limitSettings, groupTitles, isClosable, weights, ctx }
+ */
+export async function planScoredTrim(tabs, options) {
+  const { limitSettings, groupTitles, weights, ctx } = options;
+  const w = { ...DEFAULT_TRIM_WEIGHTS, ...(weights || {}) };
+  const maxDomainMs = Math.max(0, ...Object.values(ctx.domainTimes || {}));
+  const fullCtx = { now: Date.now(), maxDomainMs, formInput: new Set(), ...ctx };
+  const isClosable = (t) => options.isClosable(t) && protectLevel(t, fullCtx.protect) !== 'never';
+  const checked = new Set();
+
+  for (let round = 0; round < 4; round++) {
+    const scores = new Map(tabs.map((t) => [t.id, scoreTab(t, w, fullCtx)]));
+    const compare = (a, b) => scores.get(a.id).score - scores.get(b.id).score;
+    const victims = planTrim(tabs, limitSettings, groupTitles, isClosable, compare);
+    const unchecked = Number(w.formInput) > 0 ? victims.filter((t) => !checked.has(t.id)) : [];
+    if (unchecked.length === 0 || round === 3) {
+      return victims.map((tab) => ({ tab, ...scores.get(tab.id) }));
+    }
+    unchecked.forEach((t) => checked.add(t.id));
+    for (const id of await detectFormInput(unchecked)) fullCtx.formInput.add(id);
+  }
+  return [];
+}
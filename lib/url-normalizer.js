@@ -0,0 +1,128 @@
+/*
+ * URL normalization for duplicate detection.
+ *
+ * Two tabs are duplicates when normalizeUrl() returns the same key for both. Rules:
+ *   stripTracking        – drop query params listed in trackingParams ("utm_*" style wildcards)
+ *   ignoreFragment       – drop "#section"
+ *   ignoreTrailingSlash  – "/docs/" equals "/docs"
+ *   ignoreScheme         – http and https are the same page
+ *   ignoreWww            – www.example.com equals example.com
+ *   ignoreQueryDomains   – hosts (and their subdomains) whose whole query string is ignored
+ *   wholeHostDomains     – hosts where every URL counts as one page
+ */
+
+export const DEFAULT_TRACKING_PARAMS = [
+  'utm_*', 'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid',
+  'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'ref_src', 'spm'
+];
+
+export const DEFAULT_DEDUP_RULES = {
+  stripTracking: true,
+  trackingParams: DEFAULT_TRACKING_PARAMS,
+  ignoreFragment: true,
+  ignoreTrailingSlash: true,
+  ignoreScheme: false,
+  ignoreWww: false,
+  ignoreQueryDomains: [],
+  wholeHostDomains: []
+};
+
+// Which copy of a duplicate survives.
+export const KEEP_STRATEGIES = ['oldest', 'recent', 'pinned', 'currentWindow'];
+export const DEFAULT_KEEP = 'oldest';
+
+/** Fill in missing rule fields from the defaults. */
+export function resolveRules(rules) {
+  return { ...DEFAULT_DEDUP_RULES, ...(rules && typeof rules === 'object' ? rules : {}) };
+}
+
+function hostMatches(hostname, list) {
+  return list.some((d) => {
+    const domain = String(d).toLowerCase();
+    return domain && (hostname === domain || hostname.endsWith('.' + domain));
+  });
+}
+
+function paramMatches(name, patterns) {
+  const lower = name.toLowerCase();
+  return patterns.some((p) => {
+    const pattern = String(p).toLowerCase();
+    return pattern.endsWith('*') ? lower.startsWith(pattern.slice(0, -1)) : lower === pattern;
+  });
+}
+
+/**
+ * Comparison key for a URL. Non-web URLs are returned unchanged apart from the
+ * fragment rule; unparsable input is returned as-is.
+ */
+export function normalizeUrl(rawUrl, rules) {
+  const r = resolveRules(rules);
+  let url;
+  try { url = new URL(rawUrl); } catch (e) { return rawUrl || ''; }
+  if (r.ignoreFragment) url.hash = '';
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return url.href;
+
+  let host = url.hostname.toLowerCase();
+  if (r.ignoreWww && host.startsWith('www.')) host = host.slice(4);
+  const scheme = r.ignoreScheme ? '' : url.protocol + '//';
+  const port = url.port ? ':' + url.port : '';
+  if (hostMatches(host, r.wholeHostDomains)) return scheme + host + port;
+
+  let search = '';
+  if (!hostMatches(host, r.ignoreQueryDomains)) {
+    const params = new URLSearchParams(url.search);
+    if (r.stripTracking) {
+      for (const name of Array.from(params.keys())) {
+        if (paramMatches(name, r.trackingParams)) params.delete(name);
+      }
+    }
+    const rest = params.toString();
+    search = rest ? '?' + rest : '';
+  }
+  let path = url.pathname;
+  if (r.ignoreTrailingSlash && path.length > 1) path = path.replace(/\/+$/, '');
+  if (r.ignoreTrailingSlash && path === '/') path = '';
+  return scheme + host + port + path + search + url.hash;
+}
+
+/**
+ * Pick the tab that survives in a cluster.
+ * context: { activity: { [tabId]: ms }, currentWindowId }
+ */
+export function pickSurvivor(tabs, keep = DEFAULT_KEEP, context = {}) {
+  const oldest = (list) => list.reduce((a, b) => (b.id < a.id ? b : a));
+  const lastActive = (t) => (context.activity && context.activity[t.id]) || t.lastAccessed || 0;
+  let candidates = tabs;
+  if (keep === 'recent') {
+    return tabs.reduce((a, b) => (lastActive(b) > lastActive(a) ? b : a));
+  }
+  if (keep === 'pinned') {
+    const pinned = tabs.filter((t) => t.pinned);
+    if (pinned.length) candidates = pinned;
+  } else if (keep === 'currentWindow') {
+    const inWindow = tabs.filter((t) => t.windowId === context.currentWindowId);
+    if (inWindow.length) candidates = inWindow;
+  }
+  return oldest(candidates);
+}
+
+/**
+ * Group tabs by normalized URL.
+ * Returns clusters of two or more tabs: [{ key, tabs, keep }] where keep is the survivor.
+ */
+export function findDuplicateClusters(tabs, rules, keep = DEFAULT_KEEP, context = {}) {
+  const byKey = new Map();
+  for (const tab of tabs) {
+    const url = tab.url || tab.pendingUrl;
+    if (!url) continue;
+    const key = normalizeUrl(url, rules);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(tab);
+  }
+  const clusters = [];
+  for (const [key, list] of byKey) {
+    if (list.length < 2) continue;
+    clusters.push({ key, tabs: list, keep: pickSurvivor(list, keep, context) });
+  }
+  return clusters;
+}
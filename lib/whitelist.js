@@ -0,0 +1,120 @@
+/*
+ * Whitelist rules: URL patterns that exempt matching tabs from automatic actions.
+ *
+ * rule: { pattern, exempt: [...EXEMPTIONS] }
+ *
+ * Pattern syntax:
+ *   example.com             example.com and all of its subdomains
+ *   *.example.com           subdomains only
+ *   news-*.example.com      "*" matches any run of characters in the host
+ *   github.com/our-org/*    host plus path; the path (with query) must match as a whole
+ *   /^https:\/\/intra\./i   regular expression tested against the full URL
+ */
+
+import { globToRegExp } from './grouping.js';
+
+export const EXEMPTIONS = ['trim', 'block', 'discard', 'dedup', 'tracking'];
+
+export const EXEMPTION_LABELS = {
+  trim: '自動整理',
+  block: 'ブロック',
+  discard: '自動休止',
+  dedup: '重複の削除',
+  tracking: '時間の記録'
+};
+
+const REGEX_PATTERN = /^\/(.+)\/([a-z]*)$/;
+const HOST_PATTERN = /^[a-z0-9*.-]+$/i;
+
+/** Returns an error message for an unusable pattern, or null. */
+export function validatePattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern.trim()) return 'パターンを入力してください';
+  const regex = REGEX_PATTERN.exec(pattern.trim());
+  if (regex) {
+    try { new RegExp(regex[1], regex[2]); } catch (e) { return `正規表現が不正です: ${e.message}`; }
+    return null;
+  }
+  const [host] = stripScheme(pattern.trim()).split('/');
+  if (!host || !HOST_PATTERN.test(host)) return 'ホスト名が不正です';
+  if (!/[a-z0-9]/i.test(host)) return 'ホスト名が広すぎます';
+  return null;
+}
+
+export function validateWhitelistRule(rule) {
+  if (!rule) return 'ルールが不正です';
+  const problem = validatePattern(rule.pattern);
+  if (problem) return problem;
+  if (!Array.isArray(rule.exempt) || rule.exempt.length === 0) return '対象外にする処理を 1 つ以上選んでください';
+  if (rule.exempt.some((e) => !EXEMPTIONS.includes(e))) return '対象外にする処理が不正です';
+  return null;
+}
+
+function stripScheme(pattern) {
+  return pattern.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+}
+
+/** Compile a pattern into a (url: URL) => boolean test. Throws on an invalid regex. */
+function compile(pattern) {
+  const text = pattern.trim();
+  const regex = REGEX_PATTERN.exec(text);
+  if (regex) {
+    const re = new RegExp(regex[1], regex[2]);
+    return (url) => re.test(url.href);
+  }
+  const rest = stripScheme(text);
+  const slash = rest.indexOf('/');
+  const host = (slash === -1 ? rest : rest.slice(0, slash)).toLowerCase();
+  const path = slash === -1 ? null : globToRegExp(rest.slice(slash));
+  let hostTest;
+  if (host.startsWith('*.') && !host.slice(2).includes('*')) {
+    const base = host.slice(2);
+    hostTest = (h) => h.endsWith('.' + base);
+  } else if (host.includes('*')) {
+    const re = globToRegExp(host);
+    hostTest = (h) => re.test(h);
+  } else {
+    hostTest = (h) => h === host || h.endsWith('.' + host);
+  }
+  return (url) => hostTest(url.hostname) && (!path || path.test(url.pathname + url.search));
+}
+
+const compiled = new Map();
+
+/** Whether `url` (string) matches `pattern`. Invalid patterns and URLs never match. */
+export function matchesPattern(url, pattern) {
+  let test = compiled.get(pattern);
+  if (!test) {
+    if (validatePattern(pattern)) return false;
+    test = compile(pattern);
+    compiled.set(pattern, test);
+  }
+  let parsed;
+  try { parsed = new URL(url); } catch (e) { return false; }
+  return test(parsed);
+}
+
+/** Whether a tab at `url` is exempt from `action` (one of EXEMPTIONS). */
+export function isExempt(url, rules, action) {
+  if (!url || !Array.isArray(rules)) return false;
+  return rules.some((rule) =>
+    Array.isArray(rule.exempt) && rule.exempt.includes(action) && matchesPattern(url, rule.pattern));
+}
+
+/** One pattern per non-empty line of pasted text. */
+export function parsePatternList(text) {
+  return String(text || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0);
+}
+
+/**
+ * Rules equivalent to the old plain-domain whitelist, where every exemption applied.
+ * The old options page split on a literal "\\n", so one entry may hold several lines.
+ */
+export function fromDomainList(domains) {
+  return (Array.isArray(domains) ? domains : [])
+    .filter((d) => typeof d === 'string')
+    .flatMap((d) => parsePatternList(d.replace(/\\n/g, '\n')))
+    .map((d) => ({ pattern: d.toLowerCase(), exempt: [...EXEMPTIONS] }));
+}
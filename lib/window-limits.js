@@ -0,0 +1,89 @@
+/*
+ * Per-window limits that survive a browser restart.
+ *
+ * The overrides themselves stay in storage.session ("windowLimitOverrides", see
+ * lib/limits.js) because window ids change with every browser start. Next to them,
+ * storage.local "windowLimitRecords" keeps [{ windowId, limit, urls }] with the web URLs
+ * open in each window. A record whose window has no override (after a restart, or after
+ * the window was closed) is pending: matchRecords() hands it to the first open window
+ * whose URLs match closely enough, so a restored or reopened window gets its limit back.
+ */
+
+export const RECORDS_KEY = 'windowLimitRecords';
+export const MATCH_THRESHOLD = 0.5;
+const MAX_URLS = 200;
+const MAX_PENDING = 20;
+
+/** Sorted, distinct web URLs of a window's tabs (new-tab pages say nothing about a window). */
+export function windowFingerprint(tabs) {
+  const urls = tabs.map((t) => t.url || t.pendingUrl).filter((url) => /^https?:/.test(url || ''));
+  return [...new Set(urls)].sort().slice(0, MAX_URLS);
+}
+
+/** Share of URLs two fingerprints have in common (0..1). */
+export function similarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const set = new Set(a);
+  const shared = b.filter((url) => set.has(url)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+export function hasPendingRecords(records, overrides) {
+  return records.some((r) => !(r.windowId in overrides));
+}
+
+/**
+ * Hand pending records to open windows. tabs: every open tab; overrides: the current
+ * { [windowId]: limit }. Each record goes to its best window without an override, at or
+ * above MATCH_THRESHOLD. Returns { matched: { [windowId]: limit }, records } with the
+ * matched records moved to their new window.
+ */
+export function matchRecords(records, tabs, overrides) {
+  const byWindow = new Map();
+  for (const tab of tabs) {
+    if (!byWindow.has(tab.windowId)) byWindow.set(tab.windowId, []);
+    byWindow.get(tab.windowId).push(tab);
+  }
+  const fingerprints = [...byWindow].map(([id, list]) => ({ id, urls: windowFingerprint(list) }));
+  const claimed = new Set(Object.keys(overrides).map(Number));
+  const matched = {};
+  const next = records.map((record) => {
+    if (record.windowId in overrides) return record;
+    let best = null;
+    let bestScore = MATCH_THRESHOLD;
+    for (const win of fingerprints) {
+      if (claimed.has(win.id)) continue;
+      const score = similarity(record.urls, win.urls);
+      if (score >= bestScore) {
+        best = win;
+        bestScore = score;
+      }
+    }
+    if (!best) return record;
+    claimed.add(best.id);
+    matched[best.id] = record.limit;
+    return { ...record, windowId: best.id };
+  });
+  return { matched, records: next };
+}
+
+/**
+ * Records for the current overrides with the URLs their windows show now, followed by
+ * at most MAX_PENDING pending ones. `forget` drops the record of a window whose
+ * override was removed on purpose. Stored and returned.
+ */
+export async function rememberWindowLimits(overrides, { forget } = {}) {
+  const records = [];
+  for (const [id, limit] of Object.entries(overrides)) {
+    const windowId = Number(id);
+    try {
+      records.push({ windowId, limit, urls: windowFingerprint(await chrome.tabs.query({ windowId })) });
+    } catch (e) {}
+  }
+  const { [RECORDS_KEY]: stored } = await chrome.storage.local.get(RECORDS_KEY);
+  const pending = (Array.isArray(stored) ? stored : [])
+    .filter((r) => r.windowId !== forget && !(r.windowId in overrides));
+  const next = records.concat(pending.slice(0, MAX_PENDING));
+  await chrome.storage.local.set({ [RECORDS_KEY]: next });
+  return next;
+}
@@ -0,0 +1,174 @@
+/*
+ * Workspaces: named tab sets that replace each other in the browser.
+ *
+ * A workspace is an entry in savedSessions with `workspace: true`, so export, sync and
+ * encryption handle it like any other session. The id of the active workspace is kept in
+ * chrome.storage.local ("activeWorkspace").
+ *
+ * Switching stores the open tabs back into the active workspace, opens the target and
+ * then closes the previous windows, or with the "park" mode minimizes them and discards
+ * their tabs, so switching back only has to show them again. Parked windows are kept per
+ * workspace in storage.session ("parkedWorkspaces": { [workspaceId]: [windowId] }) and
+ * do not count toward the tab limits.
+ */
+
+import { captureSession, restoreSession } from './sessions.js';
+import { addSession, deleteSession, getSessions, updateSession } from './session-store.js';
+
+export const ACTIVE_KEY = 'activeWorkspace';
+export const PARKED_KEY = 'parkedWorkspaces';
+export const SWITCH_MODES = ['close', 'park'];
+export const DEFAULT_SWITCH_MODE = 'close';
+
+export function isWorkspace(session) {
+  return !!(session && session.workspace);
+}
+
+/** Workspaces in creation order. */
+export function listWorkspaces(sessions) {
+  return sessions.filter(isWorkspace).sort((a, b) => a.created - b.created);
+}
+
+/** The workspace after `activeId` (wrapping around), or the first one. */
+export function nextWorkspace(workspaces, activeId) {
+  if (workspaces.length === 0) return null;
+  const i = workspaces.findIndex((w) => w.id === activeId);
+  return workspaces[(i + 1) % workspaces.length];
+}
+
+/** Badge text for a workspace name: four ASCII characters or two others. */
+export function badgeLabel(name) {
+  const chars = [...(name || '').trim()];
+  return chars.slice(0, /^[\x20-\x7e]*$/.test(chars.join('')) ? 4 : 2).join('');
+}
+
+export async function getActiveWorkspaceId() {
+  const { [ACTIVE_KEY]: id } = await chrome.storage.local.get(ACTIVE_KEY);
+  return id != null ? id : null;
+}
+
+async function getParked() {
+  const { [PARKED_KEY]: parked } = await chrome.storage.session.get(PARKED_KEY);
+  return { ...(parked || {}) };
+}
+
+/** Ids of every parked window. */
+export async function parkedWindowIds() {
+  return new Set(Object.values(await getParked()).flat());
+}
+
+/**
+ * Create a workspace. With `fromCurrent` it starts with the open tabs and, when no
+ * workspace is active yet, becomes the active one; otherwise it starts empty.
+ */
+export async function createWorkspace(name, { fromCurrent = false } = {}) {
+  if (!name || !name.trim()) throw new Error('ワークスペース名を入力してください');
+  const captured = await captureSession(name, fromCurrent ? { tabIds: await openTabIds() } : { tabIds: [] });
+  const workspace = await addSession({ ...captured, workspace: true });
+  if (fromCurrent && (await getActiveWorkspaceId()) == null) {
+    await chrome.storage.local.set({ [ACTIVE_KEY]: workspace.id });
+  }
+  return workspace;
+}
+
+/** Delete a workspace; its tabs stay open when it is the active one. */
+export async function deleteWorkspace(id) {
+  await deleteSession(id);
+  if ((await getActiveWorkspaceId()) === id) await chrome.storage.local.remove(ACTIVE_KEY);
+  const parked = await getParked();
+  if (id in parked) {
+    delete parked[id];
+    await chrome.storage.session.set({ [PARKED_KEY]: parked });
+  }
+}
+
+/** Drop a closed window from the parked lists. */
+export async function forgetParkedWindow(windowId) {
+  const parked = await getParked();
+  for (const [id, windowIds] of Object.entries(parked)) {
+    const rest = windowIds.filter((w) => w !== windowId);
+    if (rest.length) parked[id] = rest;
+    else delete parked[id];
+  }
+  await chrome.storage.session.set({ [PARKED_KEY]: parked });
+}
+
+// Tabs of the windows that are not parked.
+async function openTabIds() {
+  const parked = await parkedWindowIds();
+  const tabs = await chrome.tabs.query({ windowType: 'normal' });
+  return tabs.filter((t) => !parked.has(t.windowId)).map((t) => t.id);
+}
+
+async function showParked(windowIds) {
+  let shown = 0;
+  for (const id of windowIds) {
+    try {
+      await chrome.windows.update(id, { state: 'normal', focused: true });
+      shown++;
+    } catch (e) {}
+  }
+  return shown > 0;
+}
+
+async function park(windowIds) {
+  for (const id of windowIds) {
+    try {
+      const tabs = await chrome.tabs.query({ windowId: id, active: false, discarded: false });
+      for (const t of tabs) {
+        try { await chrome.tabs.discard(t.id); } catch (e) {}
+      }
+      await chrome.windows.update(id, { state: 'minimized' });
+    } catch (e) {}
+  }
+}
+
+/**
+ * Switch to workspace `id`. mode: 'close' | 'park'. `open(fn)` wraps opening the target
+ * (background.js uses it to let the tabs through the block policy). Open tabs are saved
+ * as a normal session when no workspace is active, so nothing is lost.
+ * Returns the target workspace.
+ */
+export async function switchWorkspace(id, mode = DEFAULT_SWITCH_MODE, open = (fn) => fn()) {
+  const sessions = await getSessions();
+  const target = sessions.find((s) => isWorkspace(s) && s.id === id);
+  if (!target) throw new Error('ワークスペースが見つかりません');
+  const activeId = await getActiveWorkspaceId();
+  if (activeId === id) return target;
+  const active = sessions.find((s) => isWorkspace(s) && s.id === activeId) || null;
+
+  const parked = await getParked();
+  const parkedIds = new Set(Object.values(parked).flat());
+  const windows = (await chrome.windows.getAll({ windowTypes: ['normal'] })).filter((w) => !parkedIds.has(w.id));
+  const tabIds = await openTabIds();
+  if (tabIds.length > 0) {
+    const captured = await captureSession(active ? active.name : `切り替え前のタブ ${new Date().toLocaleString()}`, { tabIds });
+    if (active) {
+      await updateSession(active.id, (s) => ({ ...s, windows: captured.windows }));
+    } else if (captured.windows.length > 0) {
+      await addSession(captured);
+    }
+  }
+
+  await open(async () => {
+    if (parked[id] && (await showParked(parked[id]))) return;
+    if (target.windows.some((w) => w.tabs.length > 0)) {
+      await restoreSession(target);
+    } else {
+      await chrome.windows.create({ focused: true });
+    }
+  });
+  delete parked[id];
+
+  if (mode === 'park' && active) {
+    await park(windows.map((w) => w.id));
+    parked[active.id] = windows.map((w) => w.id);
+  } else {
+    for (const w of windows) {
+      try { await chrome.windows.remove(w.id); } catch (e) {}
+    }
+  }
+  await chrome.storage.session.set({ [PARKED_KEY]: parked });
+  await chrome.storage.local.set({ [ACTIVE_KEY]: id });
+  return target;
+}
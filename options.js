@@ -1,26 +1,606 @@
 // options.js
 // Handles reading and saving preferences from the options page.
 
+import { GROUP_COLORS, RULE_TYPES, validateRule } from './lib/grouping.js';
+import { DEFAULT_KEEP, resolveRules } from './lib/url-normalizer.js';
+import { resolveSnapshotSettings } from './lib/snapshots.js';
+import { DEFAULT_IDLE_SECONDS } from './lib/time-tracker.js';
+import { DEFAULT_WARN_MINUTES, validateBudget, validateSchedule } from './lib/budgets.js';
+import { validateGroupLimit } from './lib/limits.js';
+import { DEFAULT_TRIM_WEIGHTS, PROTECT_LEVELS, SCORER_LABELS } from './lib/trim-score.js';
+import { resolveAutoDiscard, validateOverride } from './lib/auto-discard.js';
+import { EXEMPTIONS, EXEMPTION_LABELS, parsePatternList, validateWhitelistRule } from './lib/whitelist.js';
+import { createBackup, parseBackup, restoreBackup } from './lib/backup.js';
+import { STATUS_KEY, SYNC_CATEGORIES, resolveSyncSettings } from './lib/sync.js';
+import { MENU_LABELS, resolveContextMenus } from './lib/context-menus.js';
+
+const PROTECT_LABELS = { low: '低', medium: '中', high: '高', never: '閉じない' };
+
+const DAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+const RULE_TYPE_LABELS = {
+  glob: 'URL (ワイルドカード)',
+  regex: 'URL (正規表現)',
+  domain: '登録ドメイン',
+  host: 'ホスト名',
+  title: 'タイトルのキーワード'
+};
+
+function makeSelect(values, labels, selected) {
+  const select = document.createElement('select');
+  for (const value of values) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = labels ? labels[value] : value;
+    select.appendChild(opt);
+  }
+  if (selected) select.value = selected;
+  return select;
+}
+
+/** Non-empty, trimmed lines of a textarea value. */
+function splitLines(text) {
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0);
+}
+
+/** Append an editable row for a grouping rule. */
+function addRuleRow(rule = {}) {
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+  row.dataset.id = rule.id || String(Date.now() + Math.random());
+
+  const enabled = document.createElement('input');
+  enabled.type = 'checkbox';
+  enabled.className = 'rule-enabled';
+  enabled.checked = rule.enabled !== false;
+  enabled.title = '有効';
+  const type = makeSelect(RULE_TYPES, RULE_TYPE_LABELS, rule.type || 'domain');
+  type.className = 'rule-type';
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.className = 'rule-pattern';
+  pattern.placeholder = 'google.com';
+  pattern.value = rule.pattern || '';
+  const title = document.createElement('input');
+  title.type = 'text';
+  title.className = 'rule-title';
+  title.placeholder = 'グループ名';
+  title.value = rule.title || '';
+  const color = makeSelect(['', ...GROUP_COLORS], null, rule.color || '');
+  color.className = 'rule-color';
+  color.options[0].textContent = '自動';
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.textContent = '削除';
+  remove.addEventListener('click', () => row.remove());
+
+  row.append(enabled, type, pattern, title, color, remove);
+  document.getElementById('ruleList').appendChild(row);
+}
+
+function makeRemoveButton(row) {
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.textContent = '削除';
+  remove.addEventListener('click', () => row.remove());
+  return remove;
+}
+
+function makeTextInput(className, value, placeholder) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = className;
+  input.value = value || '';
+  input.placeholder = placeholder;
+  return input;
+}
+
+/** Append an editable row for a daily time budget. */
+function addBudgetRow(budget = {}) {
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+  const domain = makeTextInput('budget-domain', budget.domain, 'youtube.com');
+  const minutes = document.createElement('input');
+  minutes.type = 'number';
+  minutes.min = '1';
+  minutes.className = 'budget-minutes';
+  minutes.value = budget.minutes || 30;
+  const unit = document.createElement('span');
+  unit.textContent = '分/日';
+  const action = makeSelect(['redirect', 'close'], { redirect: '専用ページへ', close: 'タブを閉じる' }, budget.action || 'redirect');
+  action.className = 'budget-action';
+  row.append(domain, minutes, unit, action, makeRemoveButton(row));
+  document.getElementById('budgetList').appendChild(row);
+}
+
+/** Append an editable row for a focus window. */
+function addFocusRow(schedule = {}) {
+  const row = document.createElement('div');
+  row.className = 'rule-row focus-row';
+  const days = document.createElement('div');
+  days.className = 'focus-days';
+  const selectedDays = Array.isArray(schedule.days) ? schedule.days : [1, 2, 3, 4, 5];
+  DAY_LABELS.forEach((label, day) => {
+    const wrap = document.createElement('label');
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.value = day;
+    check.checked = selectedDays.includes(day);
+    wrap.append(check, label);
+    days.appendChild(wrap);
+  });
+  const start = document.createElement('input');
+  start.type = 'time';
+  start.className = 'focus-start';
+  start.value = schedule.start || '09:00';
+  const end = document.createElement('input');
+  end.type = 'time';
+  end.className = 'focus-end';
+  end.value = schedule.end || '12:00';
+  const domains = makeTextInput('focus-domains', (schedule.domains || []).join(', '), 'youtube.com, x.com');
+  row.append(days, start, end, domains, makeRemoveButton(row));
+  document.getElementById('focusList').appendChild(row);
+}
+
+/** Append an editable row for a per-group tab limit. */
+function addGroupLimitRow(entry = {}) {
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+  const title = makeTextInput('group-limit-title', entry.title, 'グループ名');
+  const limit = document.createElement('input');
+  limit.type = 'number';
+  limit.min = '1';
+  limit.className = 'group-limit-value';
+  limit.value = entry.limit || 10;
+  row.append(title, limit, makeRemoveButton(row));
+  document.getElementById('groupLimitList').appendChild(row);
+}
+
+/** Append an editable row for a domain protect level. */
+function addProtectRow(entry = {}) {
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+  const domain = makeTextInput('protect-domain', entry.domain, 'docs.google.com');
+  const level = makeSelect(Object.keys(PROTECT_LEVELS), PROTECT_LABELS, entry.level || 'medium');
+  level.className = 'protect-level';
+  row.append(domain, level, makeRemoveButton(row));
+  document.getElementById('protectList').appendChild(row);
+}
+
+/** Append an editable row for a whitelist pattern and the actions it exempts from. */
+function addWhitelistRow(rule = {}) {
+  const row = document.createElement('div');
+  row.className = 'rule-row whitelist-row';
+  const pattern = makeTextInput('whitelist-pattern', rule.pattern, 'github.com/our-org/*');
+  const exempt = document.createElement('div');
+  exempt.className = 'whitelist-exempt';
+  const selected = Array.isArray(rule.exempt) ? rule.exempt : EXEMPTIONS;
+  EXEMPTIONS.forEach((action) => {
+    const wrap = document.createElement('label');
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.value = action;
+    check.checked = selected.includes(action);
+    wrap.append(check, EXEMPTION_LABELS[action]);
+    exempt.appendChild(wrap);
+  });
+  row.append(pattern, exempt, makeRemoveButton(row));
+  document.getElementById('whitelistList').appendChild(row);
+}
+
+function readWhitelist() {
+  return readRows('#whitelistList .rule-row', (row) => ({
+    pattern: row.querySelector('.whitelist-pattern').value.trim(),
+    exempt: Array.from(row.querySelectorAll('.whitelist-exempt input:checked')).map((el) => el.value)
+  }), validateWhitelistRule, 'ホワイトリスト');
+}
+
+/** Append an editable row for a per-domain auto-discard delay. */
+function addDiscardOverrideRow(entry = {}) {
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+  const domain = makeTextInput('discard-domain', entry.domain, 'mail.google.com');
+  const minutes = document.createElement('input');
+  minutes.type = 'number';
+  minutes.min = '0';
+  minutes.className = 'discard-minutes';
+  minutes.value = entry.minutes != null ? entry.minutes : 0;
+  const unit = document.createElement('span');
+  unit.textContent = '分';
+  row.append(domain, minutes, unit, makeRemoveButton(row));
+  document.getElementById('discardOverrideList').appendChild(row);
+}
+
+function readDiscardOverrides() {
+  return readRows('#discardOverrideList .rule-row', (row) => ({
+    domain: row.querySelector('.discard-domain').value.trim().toLowerCase(),
+    minutes: parseInt(row.querySelector('.discard-minutes').value, 10)
+  }), validateOverride, '自動休止のドメイン');
+}
+
+function validateProtect(entry) {
+  if (!entry.domain || !/^[a-z0-9.*-]+$/i.test(entry.domain)) return 'ドメインが不正です';
+  return PROTECT_LEVELS[entry.level] != null ? null : '保護レベルが不正です';
+}
+
+function readProtect() {
+  return readRows('#protectList .rule-row', (row) => ({
+    domain: row.querySelector('.protect-domain').value.trim().toLowerCase(),
+    level: row.querySelector('.protect-level').value
+  }), validateProtect, '保護ドメイン');
+}
+
+/** Render the dry-run list of tabs the next trim would close. */
+async function showTrimPreview() {
+  const list = document.getElementById('trimPreview');
+  list.innerHTML = '';
+  const res = await new Promise((resolve) => {
+    chrome.runtime.sendMessage({ command: 'previewTrim' }, resolve);
+  });
+  const tabs = (res && Array.isArray(res.tabs)) ? res.tabs : [];
+  if (tabs.length === 0) {
+    const li = document.createElement('li');
+    li.textContent = '上限を超えていないため、閉じるタブはありません。';
+    list.appendChild(li);
+    return;
+  }
+  tabs.forEach((tab) => {
+    const li = document.createElement('li');
+    li.textContent = tab.title || tab.url;
+    li.title = tab.url;
+    const score = document.createElement('div');
+    score.className = 'score';
+    const parts = Object.entries(tab.factors)
+      .filter(([, v]) => v > 0)
+      .map(([name, v]) => `${SCORER_LABELS[name] || name} ${v.toFixed(2)}`);
+    score.textContent = `スコア ${tab.score.toFixed(2)}${parts.length ? `（${parts.join('、')}）` : ''}${res.discard ? '・休止' : ''}`;
+    li.appendChild(score);
+    list.appendChild(li);
+  });
+}
+
+/** Download a backup of everything in storage as a JSON file. */
+async function downloadBackup() {
+  const backup = await createBackup();
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `tab-manager-backup-${new Date().toISOString().slice(0, 10)}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+async function restoreFromFile(statusEl) {
+  const file = document.getElementById('backupFile').files[0];
+  const mode = document.querySelector('input[name="restoreMode"]:checked').value;
+  if (!file) {
+    statusEl.textContent = 'バックアップファイルを選んでください。';
+    statusEl.style.color = '#dc3545';
+    return;
+  }
+  if (mode === 'replace' && !confirm('今の設定・セッション・統計はすべてバックアップの内容で置き換えられます。続けますか？')) return;
+  try {
+    await restoreBackup(parseBackup(await file.text()), mode);
+  } catch (e) {
+    statusEl.textContent = e.message;
+    statusEl.style.color = '#dc3545';
+    return;
+  }
+  // Every field on this page may have changed.
+  location.reload();
+}
+
+/** Last sync time, error and recent conflicts. */
+async function showSyncStatus() {
+  const { [STATUS_KEY]: status } = await chrome.storage.local.get(STATUS_KEY);
+  const info = document.getElementById('syncInfo');
+  const list = document.getElementById('syncConflicts');
+  list.innerHTML = '';
+  if (!status) {
+    info.textContent = 'まだ同期していません。';
+    return;
+  }
+  info.textContent = status.lastError
+    || (status.lastSync ? `最終同期: ${new Date(status.lastSync).toLocaleString()}` : 'まだ同期していません。');
+  info.style.color = status.lastError ? '#dc3545' : '';
+  const labels = {};
+  Object.values(SYNC_CATEGORIES).forEach((c) => c.keys.forEach((key) => { labels[key] = c.label; }));
+  (status.conflicts || []).slice(0, 5).forEach((c) => {
+    const li = document.createElement('li');
+    li.textContent = `${new Date(c.at).toLocaleString()} ${labels[c.key] || c.key}: `
+      + (c.winner === 'local' ? 'この端末の変更の方が新しいため、他の端末の変更を上書きしました' : '他の端末の変更の方が新しいため、この端末の変更を上書きしました');
+    list.appendChild(li);
+  });
+}
+
+function sendCommand(command, data = {}) {
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({ ...data, command }, resolve);
+  });
+}
+
+/** Show whether sessions are encrypted and which encryption buttons apply. */
+async function showEncryptionState() {
+  const state = await sendCommand('getSessionLock');
+  const enabled = !!(state && state.enabled);
+  document.getElementById('cryptoState').textContent = !enabled
+    ? 'セッションは暗号化されていません。'
+    : (state.unlocked ? 'セッションは暗号化されています（ロック解除中）。' : 'セッションは暗号化されています（ロック中）。');
+  document.getElementById('cryptoSet').textContent = enabled ? 'パスフレーズを変更' : 'パスフレーズを設定';
+  document.getElementById('cryptoRemove').hidden = !enabled;
+  document.getElementById('cryptoConfirm').placeholder = enabled ? '新しいパスフレーズ（確認）' : 'パスフレーズ（確認）';
+  return state;
+}
+
+/**
+ * Set or change the passphrase, or remove it. While locked, the passphrase field holds the
+ * current passphrase and unlocks first.
+ */
+async function updateEncryption(remove) {
+  const statusEl = document.getElementById('cryptoStatus');
+  const passphrase = document.getElementById('cryptoPassphrase').value;
+  const confirmation = document.getElementById('cryptoConfirm').value;
+  const fail = (message) => {
+    statusEl.textContent = message;
+    statusEl.style.color = '#dc3545';
+  };
+  const state = await sendCommand('getSessionLock');
+  if (state && state.enabled && !state.unlocked) {
+    if (!remove) return fail('パスフレーズを変更するには、先にポップアップでロックを解除してください。');
+    const unlocked = await sendCommand('unlockSessions', { passphrase });
+    if (!unlocked || !unlocked.ok) return fail(unlocked && unlocked.error ? unlocked.error : 'ロックを解除できませんでした。');
+  }
+  if (!remove) {
+    if (!passphrase) return fail('パスフレーズを入力してください。');
+    if (passphrase !== confirmation) return fail('確認用のパスフレーズが一致しません。');
+  } else if (!confirm('セッションを暗号化せずに保存し直します。よろしいですか？')) {
+    return;
+  }
+  const res = await sendCommand(remove ? 'removeSessionPassphrase' : 'setSessionPassphrase', { passphrase });
+  if (!res || !res.ok) return fail(res && res.error ? res.error : '失敗しました。');
+  document.getElementById('cryptoPassphrase').value = '';
+  document.getElementById('cryptoConfirm').value = '';
+  statusEl.textContent = remove ? '暗号化を解除しました。' : 'パスフレーズを設定しました。';
+  statusEl.style.color = '#555';
+  showEncryptionState();
+}
+
+/** Read rows of an editor, validating each. Returns { items, error }. */
+function readRows(selector, read, validate, label) {
+  const items = [];
+  let error = null;
+  document.querySelectorAll(selector).forEach((row, i) => {
+    const item = read(row);
+    const problem = validate(item);
+    row.classList.toggle('invalid', !!problem);
+    if (problem && !error) error = `${label} ${i + 1}: ${problem}`;
+    items.push(item);
+  });
+  return { items, error };
+}
+
+function readGroupLimits() {
+  return readRows('#groupLimitList .rule-row', (row) => ({
+    title: row.querySelector('.group-limit-title').value.trim(),
+    limit: parseInt(row.querySelector('.group-limit-value').value, 10)
+  }), validateGroupLimit, 'グループの上限');
+}
+
+function readBudgets() {
+  return readRows('#budgetList .rule-row', (row) => ({
+    domain: row.querySelector('.budget-domain').value.trim().toLowerCase(),
+    minutes: parseInt(row.querySelector('.budget-minutes').value, 10),
+    action: row.querySelector('.budget-action').value
+  }), validateBudget, '利用時間の上限');
+}
+
+function readFocusSchedules() {
+  return readRows('#focusList .rule-row', (row) => ({
+    days: Array.from(row.querySelectorAll('.focus-days input:checked')).map((el) => Number(el.value)),
+    start: row.querySelector('.focus-start').value,
+    end: row.querySelector('.focus-end').value,
+    domains: row.querySelector('.focus-domains').value
+      .split(/[\s,]+/)
+      .map((d) => d.trim().toLowerCase())
+      .filter((d) => d.length > 0)
+  }), validateSchedule, '集中時間');
+}
+
+/** Read rules from the editor. Returns { rules, error }. */
+function readRules() {
+  const rules = [];
+  let error = null;
+  document.querySelectorAll('#ruleList .rule-row').forEach((row, i) => {
+    const rule = {
+      id: row.dataset.id,
+      type: row.querySelector('.rule-type').value,
+      pattern: row.querySelector('.rule-pattern').value.trim(),
+      title: row.querySelector('.rule-title').value.trim(),
+      color: row.querySelector('.rule-color').value,
+      enabled: row.querySelector('.rule-enabled').checked
+    };
+    const problem = validateRule(rule);
+    row.classList.toggle('invalid', !!problem);
+    if (problem && !error) error = `ルール ${i + 1}: ${problem}`;
+    rules.push(rule);
+  });
+  return { rules, error };
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
-  const data = await chrome.storage.local.get(['tabThreshold', 'discardInstead', 'domainWhitelist', 'tabPolicy']);
+  const data = await chrome.storage.local.get([
+    'tabThreshold',
+    'discardInstead',
+    'whitelistRules',
+    'tabPolicy',
+    'globalLimitEnabled',
+    'windowLimit',
+    'groupLimits',
+    'trimWeights',
+    'trimProtect',
+    'autoDiscard',
+    'groupingRules',
+    'autoGroup',
+    'groupFallback',
+    'groupScope',
+    'dedupRules',
+    'dedupKeep',
+    'snapshotSettings',
+    'idleThresholdSeconds',
+    'timeBudgets',
+    'focusSchedules',
+    'budgetWarnMinutes',
+    'syncSettings',
+    'contextMenus',
+    'workspaceSwitchMode',
+    'externalAllowlist'
+  ]);
   const thresholdInput = document.getElementById('optThreshold');
   const discardCheckbox = document.getElementById('optDiscard');
-  const whitelistArea = document.getElementById('optWhitelist');
   const statusEl = document.getElementById('optStatus');
+  const autoGroupCheckbox = document.getElementById('optAutoGroup');
+  const fallbackSelect = document.getElementById('optGroupFallback');
+  const scopeSelect = document.getElementById('optGroupScope');
 
   // Policy radios
   const policyRadios = Array.from(document.querySelectorAll('input[name="policy"]'));
 
   thresholdInput.value = data.tabThreshold || 20;
+  const globalLimitCheckbox = document.getElementById('optGlobalLimit');
+  const windowLimitInput = document.getElementById('optWindowLimit');
+  globalLimitCheckbox.checked = data.globalLimitEnabled !== false;
+  windowLimitInput.value = data.windowLimit || 0;
+  (Array.isArray(data.groupLimits) ? data.groupLimits : []).forEach((g) => addGroupLimitRow(g));
+  document.getElementById('addGroupLimit').addEventListener('click', () => addGroupLimitRow());
+
+  const weights = { ...DEFAULT_TRIM_WEIGHTS, ...(data.trimWeights || {}) };
+  const weightInputs = {};
+  Object.keys(DEFAULT_TRIM_WEIGHTS).forEach((name) => {
+    const label = document.createElement('label');
+    label.textContent = SCORER_LABELS[name];
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = '0.5';
+    input.value = weights[name];
+    label.appendChild(input);
+    document.getElementById('trimWeights').appendChild(label);
+    weightInputs[name] = input;
+  });
+  (Array.isArray(data.trimProtect) ? data.trimProtect : []).forEach((p) => addProtectRow(p));
+  document.getElementById('addProtect').addEventListener('click', () => addProtectRow());
+  document.getElementById('previewTrim').addEventListener('click', showTrimPreview);
   discardCheckbox.checked = !!data.discardInstead;
+
+  const autoDiscard = resolveAutoDiscard(data.autoDiscard);
+  const autoDiscardCheckbox = document.getElementById('optAutoDiscard');
+  const autoDiscardMinutes = document.getElementById('optAutoDiscardMinutes');
+  const discardGroupsArea = document.getElementById('optDiscardGroups');
+  autoDiscardCheckbox.checked = !!autoDiscard.enabled;
+  autoDiscardMinutes.value = autoDiscard.idleMinutes;
+  discardGroupsArea.value = autoDiscard.protectedGroups.join('\n');
+  autoDiscard.domainOverrides.forEach((o) => addDiscardOverrideRow(o));
+  document.getElementById('addDiscardOverride').addEventListener('click', () => addDiscardOverrideRow());
   const policy = data.tabPolicy || 'block';
   policyRadios.forEach(r => { r.checked = (r.value === policy); });
 
-  if (Array.isArray(data.domainWhitelist) && data.domainWhitelist.length > 0) {
-    whitelistArea.value = data.domainWhitelist.join('\\n');
-  } else {
-    whitelistArea.value = '';
-  }
+  (Array.isArray(data.whitelistRules) ? data.whitelistRules : []).forEach((rule) => addWhitelistRow(rule));
+  document.getElementById('addWhitelist').addEventListener('click', () => addWhitelistRow());
+  document.getElementById('addWhitelistBulk').addEventListener('click', () => {
+    const bulk = document.getElementById('optWhitelistBulk');
+    parsePatternList(bulk.value).forEach((pattern) => addWhitelistRow({ pattern }));
+    bulk.value = '';
+  });
+
+  (Array.isArray(data.groupingRules) ? data.groupingRules : []).forEach((rule) => addRuleRow(rule));
+  autoGroupCheckbox.checked = !!data.autoGroup;
+  fallbackSelect.value = data.groupFallback || 'host';
+  scopeSelect.value = data.groupScope || 'current';
+  const workspaceModeSelect = document.getElementById('optWorkspaceMode');
+  workspaceModeSelect.value = data.workspaceSwitchMode || 'close';
+  const externalIdsArea = document.getElementById('optExternalIds');
+  externalIdsArea.value = (Array.isArray(data.externalAllowlist) ? data.externalAllowlist : []).join('\n');
+  document.getElementById('addRule').addEventListener('click', () => addRuleRow());
+
+  const dedup = resolveRules(data.dedupRules);
+  const dedupChecks = {
+    stripTracking: document.getElementById('optStripTracking'),
+    ignoreFragment: document.getElementById('optIgnoreFragment'),
+    ignoreTrailingSlash: document.getElementById('optIgnoreTrailingSlash'),
+    ignoreScheme: document.getElementById('optIgnoreScheme'),
+    ignoreWww: document.getElementById('optIgnoreWww')
+  };
+  const dedupLists = {
+    trackingParams: document.getElementById('optTrackingParams'),
+    ignoreQueryDomains: document.getElementById('optIgnoreQueryDomains'),
+    wholeHostDomains: document.getElementById('optWholeHostDomains')
+  };
+  const keepSelect = document.getElementById('optDedupKeep');
+  Object.entries(dedupChecks).forEach(([key, el]) => { el.checked = !!dedup[key]; });
+  Object.entries(dedupLists).forEach(([key, el]) => { el.value = dedup[key].join('\n'); });
+  keepSelect.value = data.dedupKeep || DEFAULT_KEEP;
+
+  const idleInput = document.getElementById('optIdleSeconds');
+  idleInput.value = data.idleThresholdSeconds || DEFAULT_IDLE_SECONDS;
+
+  (Array.isArray(data.timeBudgets) ? data.timeBudgets : []).forEach((b) => addBudgetRow(b));
+  (Array.isArray(data.focusSchedules) ? data.focusSchedules : []).forEach((f) => addFocusRow(f));
+  document.getElementById('addBudget').addEventListener('click', () => addBudgetRow());
+  document.getElementById('addFocus').addEventListener('click', () => addFocusRow());
+  const warnInput = document.getElementById('optBudgetWarn');
+  warnInput.value = data.budgetWarnMinutes != null ? data.budgetWarnMinutes : DEFAULT_WARN_MINUTES;
+
+  const snapshot = resolveSnapshotSettings(data.snapshotSettings);
+  const snapshotEnabled = document.getElementById('optSnapshotEnabled');
+  const snapshotNumbers = {
+    intervalMinutes: { el: document.getElementById('optSnapshotInterval'), min: 1 },
+    keepRecent: { el: document.getElementById('optSnapshotRecent'), min: 1 },
+    keepHourlyHours: { el: document.getElementById('optSnapshotHourly'), min: 0 },
+    keepDailyDays: { el: document.getElementById('optSnapshotDaily'), min: 0 }
+  };
+  snapshotEnabled.checked = !!snapshot.enabled;
+  Object.entries(snapshotNumbers).forEach(([key, { el }]) => { el.value = snapshot[key]; });
+
+  const menus = resolveContextMenus(data.contextMenus);
+  const menuChecks = {};
+  Object.entries(MENU_LABELS).forEach(([key, text]) => {
+    const label = document.createElement('label');
+    label.className = 'block';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = !!menus[key];
+    label.append(input, ` ${text}`);
+    document.getElementById('contextMenuOptions').appendChild(label);
+    menuChecks[key] = input;
+  });
+
+  const sync = resolveSyncSettings(data.syncSettings);
+  const syncChecks = {};
+  Object.entries(SYNC_CATEGORIES).forEach(([name, category]) => {
+    const label = document.createElement('label');
+    label.className = 'block';
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = sync.categories[name];
+    label.append(input, ` ${category.label}`);
+    document.getElementById('syncCategories').appendChild(label);
+    syncChecks[name] = input;
+  });
+  showSyncStatus();
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes[STATUS_KEY]) showSyncStatus();
+  });
+
+  showEncryptionState();
+  document.getElementById('cryptoSet').addEventListener('click', () => updateEncryption(false));
+  document.getElementById('cryptoRemove').addEventListener('click', () => updateEncryption(true));
+
+  const backupStatus = document.getElementById('backupStatus');
+  document.getElementById('backupDownload').addEventListener('click', downloadBackup);
+  document.getElementById('backupRestore').addEventListener('click', () => restoreFromFile(backupStatus));
 
   document.getElementById('optSave').addEventListener('click', async () => {
     const thresholdVal = parseInt(thresholdInput.value, 10);
@@ -29,20 +609,140 @@ document.addEventListener('DOMContentLoaded', async () => {
       statusEl.style.color = '#dc3545';
       return;
     }
+    const trimWeights = {};
+    for (const [name, input] of Object.entries(weightInputs)) {
+      const value = parseFloat(input.value);
+      if (isNaN(value) || value < 0) {
+        statusEl.textContent = '重みには 0 以上の数値を入力してください。';
+        statusEl.style.color = '#dc3545';
+        return;
+      }
+      trimWeights[name] = value;
+    }
+    const protectRows = readProtect();
+    if (protectRows.error) {
+      statusEl.textContent = protectRows.error;
+      statusEl.style.color = '#dc3545';
+      return;
+    }
+
+    const autoDiscardVal = parseInt(autoDiscardMinutes.value, 10);
+    const overrides = readDiscardOverrides();
+    const discardError = overrides.error
+      || (isNaN(autoDiscardVal) || autoDiscardVal < 1 ? '休止するまでの時間には 1 以上の数値を入力してください。' : null);
+    if (discardError) {
+      statusEl.textContent = discardError;
+      statusEl.style.color = '#dc3545';
+      return;
+    }
+
+    const windowLimitVal = parseInt(windowLimitInput.value, 10);
+    const groupLimitRows = readGroupLimits();
+    const limitError = groupLimitRows.error
+      || (isNaN(windowLimitVal) || windowLimitVal < 0 ? 'ウィンドウごとの上限には 0 以上の数値を入力してください。' : null);
+    if (limitError) {
+      statusEl.textContent = limitError;
+      statusEl.style.color = '#dc3545';
+      return;
+    }
+
+    const { rules, error } = readRules();
+    if (error) {
+      statusEl.textContent = error;
+      statusEl.style.color = '#dc3545';
+      return;
+    }
     const discardVal = discardCheckbox.checked;
-    const whitelistLines = whitelistArea.value
-      .split(/\\n/)
-      .map((line) => line.trim())
-      .filter((line) => line.length > 0);
-    const domains = whitelistLines.map((d) => d.toLowerCase());
+    const whitelist = readWhitelist();
+    if (whitelist.error) {
+      statusEl.textContent = whitelist.error;
+      statusEl.style.color = '#dc3545';
+      return;
+    }
+
+    const idleVal = parseInt(idleInput.value, 10);
+    if (isNaN(idleVal) || idleVal < 15) {
+      statusEl.textContent = '操作なしとみなすまでの時間には 15 以上の数値を入力してください。';
+      statusEl.style.color = '#dc3545';
+      return;
+    }
+
+    const budgets = readBudgets();
+    const focus = readFocusSchedules();
+    const warnVal = parseInt(warnInput.value, 10);
+    const budgetError = budgets.error || focus.error
+      || (isNaN(warnVal) || warnVal < 0 ? '通知のタイミングには 0 以上の数値を入力してください。' : null);
+    if (budgetError) {
+      statusEl.textContent = budgetError;
+      statusEl.style.color = '#dc3545';
+      return;
+    }
+
+    const snapshotSettings = { enabled: snapshotEnabled.checked };
+    for (const [key, { el, min }] of Object.entries(snapshotNumbers)) {
+      const value = parseInt(el.value, 10);
+      if (isNaN(value) || value < min) {
+        statusEl.textContent = `自動保存の設定には ${min} 以上の数値を入力してください。`;
+        statusEl.style.color = '#dc3545';
+        return;
+      }
+      snapshotSettings[key] = value;
+    }
+
+    const externalAllowlist = splitLines(externalIdsArea.value);
+    const badId = externalAllowlist.find((id) => !/^[a-p]{32}$/.test(id));
+    if (badId) {
+      statusEl.textContent = `拡張機能の ID が正しくありません: ${badId}`;
+      statusEl.style.color = '#dc3545';
+      return;
+    }
+
+    const dedupRules = {};
+    Object.entries(dedupChecks).forEach(([key, el]) => { dedupRules[key] = el.checked; });
+    Object.entries(dedupLists).forEach(([key, el]) => {
+      const lines = splitLines(el.value);
+      dedupRules[key] = key === 'trackingParams' ? lines : lines.map((d) => d.toLowerCase());
+    });
 
     const selectedPolicy = (policyRadios.find(r => r.checked) || {value:'block'}).value;
 
+    const contextMenus = {};
+    Object.entries(menuChecks).forEach(([key, el]) => { contextMenus[key] = el.checked; });
+
+    const syncSettings = { categories: {} };
+    Object.entries(syncChecks).forEach(([name, el]) => { syncSettings.categories[name] = el.checked; });
+
     await chrome.storage.local.set({
       tabThreshold: thresholdVal,
       discardInstead: discardVal,
-      domainWhitelist: domains,
-      tabPolicy: selectedPolicy
+      whitelistRules: whitelist.items,
+      tabPolicy: selectedPolicy,
+      globalLimitEnabled: globalLimitCheckbox.checked,
+      windowLimit: windowLimitVal,
+      groupLimits: groupLimitRows.items,
+      trimWeights,
+      trimProtect: protectRows.items,
+      autoDiscard: {
+        enabled: autoDiscardCheckbox.checked,
+        idleMinutes: autoDiscardVal,
+        protectedGroups: splitLines(discardGroupsArea.value),
+        domainOverrides: overrides.items
+      },
+      groupingRules: rules,
+      autoGroup: autoGroupCheckbox.checked,
+      groupFallback: fallbackSelect.value,
+      groupScope: scopeSelect.value,
+      dedupRules,
+      dedupKeep: keepSelect.value,
+      snapshotSettings,
+      idleThresholdSeconds: idleVal,
+      timeBudgets: budgets.items,
+      focusSchedules: focus.items,
+      budgetWarnMinutes: warnVal,
+      syncSettings,
+      contextMenus,
+      workspaceSwitchMode: workspaceModeSelect.value,
+      externalAllowlist
     });
     statusEl.textContent = '保存しました。';
     statusEl.style.color = '#555';
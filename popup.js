@@ -1,6 +1,8 @@
 // popup.js
 // Handles UI interactions for the Tab Manager extension popup.
 
+import { rankItems } from './lib/fuzzy.js';
+
 function sendCommand(command, data = {}) {
   return new Promise((resolve) => {
     chrome.runtime.sendMessage({ ...data, command }, (response) => {
@@ -9,10 +11,20 @@ function sendCommand(command, data = {}) {
   });
 }
 
+const SCOPE_LABELS = { global: '全体', window: 'このウィンドウ', group: 'グループ' };
+const POLICY_LABELS = { block: 'ブロック', trim: '古いタブを閉じる', queue: '後で読むリストに追加' };
+
+/** Id of the window this popup belongs to. */
+function currentWindowId() {
+  return new Promise((resolve) => {
+    chrome.windows.getCurrent((win) => resolve(win ? win.id : undefined));
+  });
+}
+
 async function updateSummaryAndProgress() {
-  const [summary, thresholdRes, policyRes] = await Promise.all([
-    sendCommand('getSummary'),
-    sendCommand('getThreshold'),
+  const windowId = await currentWindowId();
+  const [summary, policyRes] = await Promise.all([
+    sendCommand('getSummary', { windowId }),
     sendCommand('getPolicy')
   ]);
   const total = document.getElementById('totalTabs');
@@ -23,14 +35,26 @@ async function updateSummaryAndProgress() {
 
   const totalTabs = summary && summary.totalTabs != null ? summary.totalTabs : 0;
   const duplicates = summary && summary.duplicates != null ? summary.duplicates : 0;
-  const threshold = (thresholdRes && thresholdRes.threshold) || 20;
+  const limit = summary && summary.limit;
 
   total.textContent = totalTabs;
   dup.textContent = duplicates;
+  const discarded = (summary && summary.discarded) || 0;
+  const discardedEl = document.getElementById('discardedTabs');
+  discardedEl.textContent = discarded > 0 ? `${discarded}（約 ${summary.savedMb} MB 節約）` : '0';
+  discardedEl.title = '1 タブあたりのおおよそのメモリ使用量から見積もった値です';
+  document.getElementById('windowLimitInput').value = (summary && summary.windowLimit) || '';
 
-  const ratio = Math.min(1, totalTabs / threshold);
-  progressFill.style.width = `${Math.round(ratio * 100)}%`;
-  usageHint.textContent = `現在 ${totalTabs} / 上限 ${threshold}  (${policy === 'block' ? 'ブロック' : '古いタブを閉じる'})`;
+  // The bar follows whichever limit (global, window or group) is closest to being hit here.
+  const policyLabel = POLICY_LABELS[policy] || policy;
+  if (limit) {
+    const ratio = Math.min(1, limit.count / limit.limit);
+    progressFill.style.width = `${Math.round(ratio * 100)}%`;
+    usageHint.textContent = `${SCOPE_LABELS[limit.scope]}: ${limit.count} / 上限 ${limit.limit}  (${policyLabel})`;
+  } else {
+    progressFill.style.width = '0%';
+    usageHint.textContent = `上限なし  (${policyLabel})`;
+  }
 
   // reflect policy radios
   const radios = document.querySelectorAll('input[name="policy"]');
@@ -50,24 +74,29 @@ async function loadPolicy() {
   radios.forEach(r => r.checked = (r.value === policy));
 }
 
-/** Fetch saved sessions and render them into the session list. */
-async function loadSessions() {
-  const res = await sendCommand('getSessions');
-  const list = document.getElementById('sessionList');
+/** Render sessions into a list element, or a placeholder when there are none. */
+function renderSessionList(list, sessions) {
   list.innerHTML = '';
-  if (!res || !Array.isArray(res.sessions) || res.sessions.length === 0) {
+  if (sessions.length === 0) {
     const li = document.createElement('li');
     li.textContent = 'セッションはありません';
     li.style.fontStyle = 'italic';
     list.appendChild(li);
     return;
   }
-  res.sessions.forEach((session) => {
+  sessions.forEach((session) => {
     const li = document.createElement('li');
     li.dataset.id = session.id;
     const nameSpan = document.createElement('span');
     nameSpan.className = 'session-name';
     nameSpan.textContent = session.name;
+    nameSpan.title = session.notes ? `${session.name}\n${session.notes}` : session.name;
+    (session.tags || []).forEach((tag) => {
+      const chip = document.createElement('span');
+      chip.className = 'session-tag';
+      chip.textContent = tag;
+      nameSpan.appendChild(chip);
+    });
     li.appendChild(nameSpan);
     const restoreBtn = document.createElement('button');
     restoreBtn.className = 'restore';
@@ -85,6 +114,195 @@ async function loadSessions() {
   });
 }
 
+let savedSessions = [];
+
+function sessionTabList(session) {
+  if (Array.isArray(session.windows)) return session.windows.flatMap((w) => w.tabs || []);
+  return Array.isArray(session.tabs) ? session.tabs : [];
+}
+
+const SESSION_SORTS = {
+  newest: (a, b) => b.created - a.created,
+  oldest: (a, b) => a.created - b.created,
+  name: (a, b) => a.name.localeCompare(b.name, 'ja'),
+  tabs: (a, b) => sessionTabList(b).length - sessionTabList(a).length
+};
+
+/** Sessions matching the list's search box (every word must appear), in the chosen order. */
+function filterSessions(sessions) {
+  const words = document.getElementById('sessionSearch').value.toLowerCase().split(/\s+/).filter(Boolean);
+  const sort = SESSION_SORTS[document.getElementById('sessionSort').value] || SESSION_SORTS.newest;
+  return sessions
+    .filter((session) => {
+      if (words.length === 0) return true;
+      const haystack = [session.name, session.notes || '', ...(session.tags || [])]
+        .concat(sessionTabList(session).flatMap((t) => [t.title || '', t.url]))
+        .join('\n')
+        .toLowerCase();
+      return words.every((w) => haystack.includes(w));
+    })
+    .sort(sort);
+}
+
+function renderSessions() {
+  const autos = filterSessions(savedSessions.filter((s) => s.auto));
+  renderSessionList(document.getElementById('sessionList'), filterSessions(savedSessions.filter((s) => !s.auto)));
+  renderSessionList(document.getElementById('autoSessionList'), autos);
+  document.getElementById('autoSessionCount').textContent = autos.length;
+}
+
+/** Fetch saved sessions and render manual sessions and auto snapshots separately. */
+async function loadSessions() {
+  const res = await sendCommand('getSessions');
+  // Workspaces are sessions too, but they are managed in their own section.
+  savedSessions = (res && Array.isArray(res.sessions)) ? res.sessions.filter((s) => !s.workspace) : [];
+  const locked = !!(res && res.locked);
+  document.getElementById('sessionListContainer').classList.toggle('locked', locked);
+  document.getElementById('sessionLocked').hidden = !locked;
+  const lockState = await sendCommand('getSessionLock');
+  document.getElementById('lockBtn').hidden = !(lockState && lockState.enabled && lockState.unlocked);
+  renderSessions();
+}
+
+let passphraseResolve = null;
+
+/** Ask for a passphrase in #passphrasePanel. Resolves to the text, or null when cancelled. */
+function askPassphrase(title) {
+  if (passphraseResolve) passphraseResolve(null);
+  const input = document.getElementById('passphraseInput');
+  document.getElementById('passphraseTitle').textContent = title;
+  input.value = '';
+  document.getElementById('passphrasePanel').hidden = false;
+  input.focus();
+  return new Promise((resolve) => { passphraseResolve = resolve; });
+}
+
+function finishPassphrase(value) {
+  document.getElementById('passphrasePanel').hidden = true;
+  const resolve = passphraseResolve;
+  passphraseResolve = null;
+  if (resolve) resolve(value);
+}
+
+async function unlockSessions() {
+  const passphrase = await askPassphrase('パスフレーズを入力してロックを解除');
+  if (passphrase == null) return;
+  const res = await sendCommand('unlockSessions', { passphrase });
+  if (res && res.ok) {
+    showStatus('ロックを解除しました');
+    loadSessions();
+    loadWorkspaces();
+    loadSearchItems().then(renderSearch);
+  } else {
+    showStatus(res && res.error ? res.error : 'ロックを解除できませんでした', true);
+  }
+}
+
+/** Session name (opens the editor) and restore / delete / export buttons of a list item. */
+async function handleSessionClick(event) {
+  const li = event.target.closest('li');
+  if (!li || !li.dataset.id) return;
+  const id = Number(li.dataset.id);
+  if (event.target.closest('.session-name')) {
+    openSessionDetail(id);
+    return;
+  }
+  const button = event.target.closest('button');
+  if (!button) return;
+  if (button.classList.contains('restore')) {
+    const res = await sendCommand('restoreSession', { id });
+    if (res && res.ok) showStatus('セッションを復元しました');
+    else showStatus('セッションの復元に失敗しました', true);
+  } else if (button.classList.contains('delete')) {
+    if (!confirm('このセッションを削除しますか？')) return;
+    await sendCommand('deleteSession', { id });
+    showStatus('セッションを削除しました');
+    if (detailSessionId === id) closeSessionDetail();
+    loadSessions();
+  } else if (button.classList.contains('export')) {
+    const res = await sendCommand('exportSession', { id, format: document.getElementById('exportFormat').value });
+    if (!res || !res.ok) showStatus('エクスポートに失敗しました', true);
+  }
+}
+
+// Session editor
+let detailSessionId = null;
+
+function closeSessionDetail() {
+  detailSessionId = null;
+  document.getElementById('sessionDetail').hidden = true;
+}
+
+async function openSessionDetail(id) {
+  const res = await sendCommand('getSession', { id });
+  if (!res || !res.ok) {
+    showStatus('セッションが見つかりません', true);
+    return;
+  }
+  detailSessionId = id;
+  document.getElementById('sessionDetail').hidden = false;
+  renderSessionDetail(res.session);
+}
+
+/** Send one edit for the open session and re-render it from the stored result. */
+async function editDetailSession(edit, data = {}) {
+  const res = await sendCommand('editSession', { id: detailSessionId, edit, ...data });
+  if (!res || !res.ok) {
+    showStatus(`セッションの編集に失敗しました${res && res.error ? `: ${res.error}` : ''}`, true);
+    return false;
+  }
+  renderSessionDetail(res.session);
+  loadSessions();
+  return true;
+}
+
+function renderSessionDetail(session) {
+  document.getElementById('detailName').value = session.name;
+  document.getElementById('detailTags').value = (session.tags || []).join(', ');
+  document.getElementById('detailNotes').value = session.notes || '';
+
+  const container = document.getElementById('detailWindows');
+  container.innerHTML = '';
+  session.windows.forEach((win, w) => {
+    const heading = document.createElement('div');
+    heading.className = 'detail-window-title';
+    heading.textContent = `ウィンドウ ${w + 1}（${win.tabs.length} タブ）`;
+    container.appendChild(heading);
+    win.tabs.forEach((tab, i) => {
+      const row = document.createElement('div');
+      row.className = 'detail-tab';
+      const title = document.createElement('span');
+      title.className = 'detail-title';
+      title.textContent = (tab.pinned ? '📌 ' : '') + (tab.title || tab.url);
+      title.title = `${tab.url}\nクリックで新しいタブに開きます`;
+      title.addEventListener('click', () => chrome.tabs.create({ url: tab.url, active: false }));
+      const up = document.createElement('button');
+      up.textContent = '↑';
+      up.title = '上へ';
+      up.disabled = i === 0;
+      up.addEventListener('click', () => editDetailSession('moveTab', { window: w, from: i, to: i - 1 }));
+      const down = document.createElement('button');
+      down.textContent = '↓';
+      down.title = '下へ';
+      down.disabled = i === win.tabs.length - 1;
+      down.addEventListener('click', () => editDetailSession('moveTab', { window: w, from: i, to: i + 1 }));
+      const remove = document.createElement('button');
+      remove.className = 'secondary';
+      remove.textContent = '削除';
+      remove.addEventListener('click', () => editDetailSession('removeTab', { window: w, index: i }));
+      row.append(title, up, down, remove);
+      container.appendChild(row);
+    });
+  });
+
+  const merge = document.getElementById('detailMergeSource');
+  merge.innerHTML = '';
+  merge.append(new Option('統合するセッションを選択…', ''));
+  savedSessions
+    .filter((s) => s.id !== session.id)
+    .forEach((s) => merge.append(new Option(s.name, s.id)));
+}
+
 async function updateDomainStats() {
   const res = await sendCommand('getDomainStats');
   const list = document.getElementById('domainStats');
@@ -110,6 +328,375 @@ async function updateDomainStats() {
   });
 }
 
+/** Rough "time ago" label for a timestamp. */
+function formatAgo(ts) {
+  if (!ts) return '不明';
+  const minutes = Math.floor((Date.now() - ts) / 60000);
+  if (minutes < 1) return 'たった今';
+  if (minutes < 60) return `${minutes} 分前`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} 時間前`;
+  return `${Math.floor(hours / 24)} 日前`;
+}
+
+/** Status line for a removeDuplicates result; discard mode only discards the tabs. */
+function duplicatesResult(res) {
+  if (res && res.discarded) return `${res.discarded} 個の重複タブを休止しました`;
+  return `${(res && res.closed) || 0} 個の重複タブを閉じました`;
+}
+
+/** Fetch duplicate clusters and render them with a checkbox per tab. */
+async function loadDuplicates() {
+  const res = await sendCommand('listDuplicates');
+  const container = document.getElementById('dupClusters');
+  container.innerHTML = '';
+  const clusters = (res && Array.isArray(res.clusters)) ? res.clusters : [];
+  if (clusters.length === 0) {
+    const p = document.createElement('p');
+    p.textContent = '重複タブはありません';
+    p.style.fontStyle = 'italic';
+    container.appendChild(p);
+    document.getElementById('dupCloseSelected').disabled = true;
+    return;
+  }
+  document.getElementById('dupCloseSelected').disabled = false;
+
+  // Number windows in order of appearance so the labels stay short.
+  const windowNumbers = {};
+  clusters.forEach((c) => c.tabs.forEach((t) => {
+    if (!(t.windowId in windowNumbers)) windowNumbers[t.windowId] = Object.keys(windowNumbers).length + 1;
+  }));
+
+  clusters.forEach((cluster) => {
+    const box = document.createElement('div');
+    box.className = 'dup-cluster';
+    const head = document.createElement('div');
+    head.className = 'dup-cluster-head';
+    const key = document.createElement('span');
+    key.className = 'dup-key';
+    key.textContent = cluster.key;
+    key.title = cluster.key;
+    const keepOne = document.createElement('button');
+    keepOne.textContent = '1 つを残して閉じる';
+    keepOne.addEventListener('click', async () => {
+      const tabIds = cluster.tabs.filter((t) => t.id !== cluster.keepId && !t.pinned).map((t) => t.id);
+      const res = await sendCommand('removeDuplicates', { tabIds });
+      showStatus(duplicatesResult(res));
+      loadDuplicates();
+      updateSummaryAndProgress();
+      loadClosedTabs();
+    });
+    head.append(key, keepOne);
+    box.appendChild(head);
+
+    cluster.tabs.forEach((tab) => {
+      const row = document.createElement('label');
+      row.className = 'dup-tab';
+      const check = document.createElement('input');
+      check.type = 'checkbox';
+      check.value = tab.id;
+      // Pinned copies are never closed.
+      check.checked = tab.id !== cluster.keepId && !tab.pinned;
+      check.disabled = tab.pinned;
+      const title = document.createElement('span');
+      title.className = 'dup-title';
+      title.textContent = (tab.pinned ? '📌 ' : '') + (tab.title || tab.url);
+      title.title = tab.url;
+      const meta = document.createElement('span');
+      meta.className = 'dup-meta';
+      meta.textContent = `ウィンドウ ${windowNumbers[tab.windowId]}・${tab.active ? '表示中' : formatAgo(tab.lastActive)}`;
+      const jump = document.createElement('button');
+      jump.textContent = '移動';
+      jump.addEventListener('click', (e) => {
+        e.preventDefault();
+        sendCommand('focusTab', { id: tab.id });
+      });
+      row.append(check, title, meta, jump);
+      box.appendChild(row);
+    });
+    container.appendChild(box);
+  });
+}
+
+const CLOSE_REASON_LABELS = { trim: '上限超過', block: 'ブロック', duplicate: '重複', domain: 'ドメイン', cleanup: '整理', budget: '利用時間' };
+
+/** Render the journal of tabs the extension closed. */
+async function loadClosedTabs() {
+  const res = await sendCommand('getClosedTabs');
+  const list = document.getElementById('closedList');
+  const entries = (res && Array.isArray(res.entries)) ? res.entries : [];
+  list.innerHTML = '';
+  document.getElementById('undoLastBtn').disabled = entries.length === 0;
+  if (entries.length === 0) {
+    const li = document.createElement('li');
+    li.textContent = '履歴はありません';
+    li.style.fontStyle = 'italic';
+    list.appendChild(li);
+    return;
+  }
+  entries.slice(0, 30).forEach((entry) => {
+    const li = document.createElement('li');
+    const title = document.createElement('span');
+    title.className = 'closed-title';
+    title.textContent = entry.title || entry.url;
+    title.title = entry.url;
+    const meta = document.createElement('span');
+    meta.className = 'closed-meta';
+    meta.textContent = `${CLOSE_REASON_LABELS[entry.reason] || entry.reason}・${formatAgo(entry.closedAt)}`;
+    const restore = document.createElement('button');
+    restore.textContent = '復元';
+    restore.addEventListener('click', async () => {
+      const res = await sendCommand('restoreClosedTabs', { ids: [entry.id] });
+      if (res && res.restored) showStatus('タブを復元しました');
+      else showStatus('タブの復元に失敗しました', true);
+      loadClosedTabs();
+      updateSummaryAndProgress();
+    });
+    li.append(title, meta, restore);
+    list.appendChild(li);
+  });
+}
+
+/** Fill the workspace selector and show the active workspace in the header. */
+async function loadWorkspaces() {
+  const res = await sendCommand('getWorkspaces');
+  const workspaces = (res && Array.isArray(res.workspaces)) ? res.workspaces : [];
+  const select = document.getElementById('workspaceSelect');
+  select.innerHTML = '';
+  if (workspaces.length === 0) {
+    select.append(new Option(res && res.ok ? 'ワークスペースはありません' : '読み込めません（ロック中）', ''));
+  }
+  workspaces.forEach((w) => {
+    const option = new Option(`${w.name}（${w.tabCount}）`, w.id);
+    option.selected = w.id === res.activeId;
+    select.append(option);
+  });
+  const active = workspaces.find((w) => w.id === (res && res.activeId));
+  const label = document.getElementById('headerWorkspace');
+  label.textContent = active ? active.name : '';
+  label.hidden = !active;
+}
+
+async function createWorkspace(fromCurrent) {
+  const input = document.getElementById('workspaceNewName');
+  const res = await sendCommand('createWorkspace', { name: input.value, fromCurrent });
+  if (res && res.ok) {
+    input.value = '';
+    showStatus(`ワークスペース「${res.workspace.name}」を作成しました`);
+    loadWorkspaces();
+  } else {
+    showStatus(res && res.error ? res.error : 'ワークスペースを作成できませんでした', true);
+  }
+}
+
+/** Render the read-later queue ("queue" policy); hidden while it is empty. */
+async function loadQueue() {
+  const res = await sendCommand('getReadLater');
+  const queue = (res && Array.isArray(res.queue)) ? res.queue : [];
+  const list = document.getElementById('queueList');
+  list.innerHTML = '';
+  document.getElementById('queueContainer').hidden = queue.length === 0;
+  document.getElementById('queueCount').textContent = queue.length;
+  queue.forEach((entry, i) => {
+    const li = document.createElement('li');
+    const title = document.createElement('span');
+    title.className = 'closed-title';
+    title.textContent = entry.title || entry.url;
+    title.title = entry.url;
+    const meta = document.createElement('span');
+    meta.className = 'closed-meta';
+    meta.textContent = formatAgo(entry.queuedAt);
+    const button = (text, secondary, onClick) => {
+      const b = document.createElement('button');
+      b.textContent = text;
+      if (secondary) b.className = 'secondary';
+      b.addEventListener('click', async () => {
+        await onClick();
+        loadQueue();
+      });
+      return b;
+    };
+    const up = button('↑', true, () => sendCommand('moveReadLater', { id: entry.id, to: i - 1 }));
+    const down = button('↓', true, () => sendCommand('moveReadLater', { id: entry.id, to: i + 1 }));
+    up.disabled = i === 0;
+    down.disabled = i === queue.length - 1;
+    const open = button('開く', false, async () => {
+      const res = await sendCommand('openReadLater', { id: entry.id, windowId: await currentWindowId() });
+      if (!res || !res.ok) showStatus('タブを開けませんでした', true);
+    });
+    const remove = button('削除', true, () => sendCommand('deleteReadLater', { ids: [entry.id] }));
+    li.append(title, meta, up, down, open, remove);
+    list.appendChild(li);
+  });
+}
+
+// Tab search: items come from the background once per change, ranking happens here.
+let searchData = { items: [], windows: [], groups: [] };
+let searchResults = [];
+let searchIndex = 0;
+
+const SEARCH_OPEN_LABELS = { tab: '切り替え', closed: '復元', session: '開く' };
+
+async function loadSearchItems() {
+  const res = await sendCommand('getSearchItems');
+  searchData = (res && Array.isArray(res.items)) ? res : { items: [], windows: [], groups: [] };
+}
+
+function windowNumber(windowId) {
+  const win = searchData.windows.find((w) => w.id === windowId);
+  return win ? win.number : '?';
+}
+
+function searchMeta(item) {
+  let host = item.url;
+  try { host = new URL(item.url).host || item.url; } catch (e) {}
+  if (item.kind === 'closed') return `閉じたタブ・${formatAgo(item.closedAt)}・${host}`;
+  if (item.kind === 'session') return `セッション「${item.sessionName}」・${host}`;
+  const group = searchData.groups.find((g) => g.id === item.groupId);
+  const parts = [`ウィンドウ ${windowNumber(item.windowId)}`];
+  if (group) parts.push(`グループ「${group.title || '名前なし'}」`);
+  parts.push(host);
+  return parts.join('・');
+}
+
+function renderSearch() {
+  const query = document.getElementById('tabSearch').value;
+  const list = document.getElementById('searchResults');
+  const searching = query.trim().length > 0;
+  document.getElementById('container').classList.toggle('searching', searching);
+  document.getElementById('searchHint').hidden = !searching;
+  list.hidden = !searching;
+  list.innerHTML = '';
+  searchResults = searching ? rankItems(query, searchData.items) : [];
+  searchIndex = Math.min(searchIndex, Math.max(0, searchResults.length - 1));
+  if (searching && searchResults.length === 0) {
+    const li = document.createElement('li');
+    li.textContent = '一致するタブはありません';
+    li.style.fontStyle = 'italic';
+    list.appendChild(li);
+  }
+  searchResults.forEach((item, i) => {
+    const li = document.createElement('li');
+    li.setAttribute('role', 'option');
+    li.dataset.index = i;
+    const title = document.createElement('span');
+    title.className = 'search-title';
+    title.textContent = (item.pinned ? '📌 ' : '') + (item.title || item.url);
+    title.title = item.url;
+    const meta = document.createElement('span');
+    meta.className = 'search-meta';
+    meta.textContent = searchMeta(item);
+    li.append(title, meta);
+    list.appendChild(li);
+  });
+  selectResult(searchIndex);
+}
+
+/** Highlight result i and fit the action bar to its kind. */
+function selectResult(i) {
+  searchIndex = i;
+  const items = document.querySelectorAll('#searchResults li[role="option"]');
+  items.forEach((li, n) => li.setAttribute('aria-selected', String(n === i)));
+  if (items[i]) items[i].scrollIntoView({ block: 'nearest' });
+
+  const item = searchResults[i];
+  const actions = document.getElementById('searchActions');
+  actions.hidden = !item;
+  if (!item) return;
+  const isTab = item.kind === 'tab';
+  document.getElementById('searchOpen').textContent = SEARCH_OPEN_LABELS[item.kind];
+  document.getElementById('searchPin').textContent = item.pinned ? 'ピン留めを外す' : 'ピン留め';
+  ['searchPin', 'searchClose', 'searchMove', 'searchGroup'].forEach((id) => {
+    document.getElementById(id).hidden = !isTab;
+  });
+  if (!isTab) return;
+
+  const move = document.getElementById('searchMove');
+  move.innerHTML = '';
+  move.append(new Option('ウィンドウへ移動…', ''));
+  searchData.windows
+    .filter((w) => w.id !== item.windowId)
+    .forEach((w) => move.append(new Option(`ウィンドウ ${w.number}（${w.tabCount} タブ）${w.title}`, w.id)));
+  move.append(new Option('新しいウィンドウ', 'new'));
+
+  const group = document.getElementById('searchGroup');
+  group.innerHTML = '';
+  group.append(new Option('グループに追加…', ''));
+  searchData.groups
+    .filter((g) => g.id !== item.groupId)
+    .forEach((g) => group.append(new Option(`${g.title || '名前なし'}（ウィンドウ ${windowNumber(g.windowId)}）`, g.id)));
+  group.append(new Option('新しいグループ…', 'new'));
+}
+
+/** Run an action on the selected result, then refresh the results in place. */
+async function runSearchAction(action, value) {
+  const item = searchResults[searchIndex];
+  if (!item) return;
+  let res;
+  if (action === 'open') {
+    if (item.kind === 'tab') {
+      await sendCommand('focusTab', { id: item.id });
+      window.close();
+      return;
+    }
+    if (item.kind === 'closed') {
+      res = await sendCommand('restoreClosedTabs', { ids: [item.id] });
+      if (!res || !res.restored) showStatus('タブの復元に失敗しました', true);
+      loadClosedTabs();
+    } else {
+      await chrome.tabs.create({ url: item.url });
+    }
+  } else if (item.kind !== 'tab') {
+    return;
+  } else if (action === 'close') {
+    res = await sendCommand('closeTab', { id: item.id });
+  } else if (action === 'pin') {
+    res = await sendCommand('pinTab', { id: item.id, pinned: !item.pinned });
+  } else if (action === 'move') {
+    res = await sendCommand('moveTab', { id: item.id, windowId: value === 'new' ? 'new' : Number(value) });
+  } else if (action === 'group') {
+    if (value === 'new') {
+      const title = prompt('グループ名を入力してください', '');
+      if (title === null) return;
+      res = await sendCommand('addTabToGroup', { id: item.id, title });
+    } else {
+      res = await sendCommand('addTabToGroup', { id: item.id, groupId: Number(value) });
+    }
+  }
+  if (res && res.ok === false) showStatus(`操作に失敗しました: ${res.error}`, true);
+  await loadSearchItems();
+  renderSearch();
+  updateSummaryAndProgress();
+}
+
+function handleSearchKey(event) {
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    if (searchResults.length === 0) return;
+    const step = event.key === 'ArrowDown' ? 1 : -1;
+    selectResult((searchIndex + step + searchResults.length) % searchResults.length);
+  } else if (event.key === 'Enter') {
+    event.preventDefault();
+    runSearchAction('open');
+  } else if (event.key === 'Escape' && event.target.value) {
+    // Keep the popup open: the first Escape only clears the query.
+    event.preventDefault();
+    event.target.value = '';
+    renderSearch();
+  } else if (event.altKey) {
+    const shortcuts = { w: 'close', p: 'pin' };
+    const key = event.key.toLowerCase();
+    if (shortcuts[key]) {
+      event.preventDefault();
+      runSearchAction(shortcuts[key]);
+    } else if (key === 'm' || key === 'g') {
+      event.preventDefault();
+      const select = document.getElementById(key === 'm' ? 'searchMove' : 'searchGroup');
+      if (!select.hidden) select.focus();
+    }
+  }
+}
+
 function showStatus(msg, isError = false) {
   const statusEl = document.getElementById('status');
   statusEl.textContent = msg;
@@ -123,27 +710,112 @@ document.addEventListener('DOMContentLoaded', () => {
   loadPolicy();
   loadSessions();
   updateDomainStats();
+  loadClosedTabs();
+  loadQueue();
+  loadWorkspaces();
+  loadSearchItems().then(renderSearch);
+
+  const searchInput = document.getElementById('tabSearch');
+  searchInput.addEventListener('input', () => {
+    searchIndex = 0;
+    renderSearch();
+  });
+  searchInput.addEventListener('keydown', handleSearchKey);
+  document.getElementById('searchResults').addEventListener('click', (e) => {
+    const li = e.target.closest('li[role="option"]');
+    if (!li) return;
+    selectResult(Number(li.dataset.index));
+    runSearchAction('open');
+  });
+  document.getElementById('searchOpen').addEventListener('click', () => runSearchAction('open'));
+  document.getElementById('searchPin').addEventListener('click', () => runSearchAction('pin'));
+  document.getElementById('searchClose').addEventListener('click', () => runSearchAction('close'));
+  ['searchMove', 'searchGroup'].forEach((id) => {
+    const select = document.getElementById(id);
+    select.addEventListener('change', async () => {
+      if (!select.value) return;
+      await runSearchAction(id === 'searchMove' ? 'move' : 'group', select.value);
+      searchInput.focus();
+    });
+  });
+
+  document.getElementById('sessionList').addEventListener('click', handleSessionClick);
+  document.getElementById('autoSessionList').addEventListener('click', handleSessionClick);
 
   document.getElementById('groupBtn').addEventListener('click', async () => {
     const res = await sendCommand('groupByDomain');
-    if (res && res.ok) showStatus('ドメイン別にグループ化しました');
+    if (res && res.ok) showStatus(`${res.grouped || 0} 個のタブをグループ化しました`);
     else showStatus('グループ化に失敗しました', true);
   });
 
+  // Duplicates are previewed first; nothing is closed until the user confirms.
   document.getElementById('removeDupBtn').addEventListener('click', async () => {
-    const res = await sendCommand('removeDuplicates');
-    showStatus(`${res.closed || 0} 個の重複タブを閉じました`);
+    document.getElementById('dupPanel').hidden = false;
+    await loadDuplicates();
+  });
+
+  document.getElementById('dupCloseSelected').addEventListener('click', async () => {
+    const tabIds = Array.from(document.querySelectorAll('#dupClusters input[type="checkbox"]:checked'))
+      .map((el) => Number(el.value));
+    if (tabIds.length === 0) {
+      showStatus('閉じるタブが選択されていません', true);
+      return;
+    }
+    const res = await sendCommand('removeDuplicates', { tabIds });
+    showStatus(duplicatesResult(res));
+    document.getElementById('dupPanel').hidden = true;
     updateSummaryAndProgress();
     updateDomainStats();
+    loadClosedTabs();
   });
 
-  document.getElementById('saveSessionBtn').addEventListener('click', async () => {
-    const defaultName = new Date().toLocaleString();
-    const name = prompt('セッション名を入力してください', defaultName);
-    if (name === null) return;
-    const res = await sendCommand('saveSession', { name });
+  document.getElementById('undoLastBtn').addEventListener('click', async () => {
+    const res = await sendCommand('undoLastClose');
+    showStatus(`${(res && res.restored) || 0} 個のタブを復元しました`);
+    loadClosedTabs();
+    updateSummaryAndProgress();
+  });
+
+  document.getElementById('queueClearBtn').addEventListener('click', async () => {
+    const res = await sendCommand('getReadLater');
+    const ids = ((res && res.queue) || []).map((e) => e.id);
+    if (ids.length && confirm(`後で読むリストの ${ids.length} 件をすべて削除しますか？`)) {
+      await sendCommand('deleteReadLater', { ids });
+      loadQueue();
+    }
+  });
+
+  document.getElementById('dupCancel').addEventListener('click', () => {
+    document.getElementById('dupPanel').hidden = true;
+  });
+
+  document.getElementById('saveSessionBtn').addEventListener('click', () => {
+    document.getElementById('saveName').value = new Date().toLocaleString();
+    document.getElementById('saveTags').value = '';
+    document.getElementById('savePanel').hidden = false;
+    document.getElementById('saveName').select();
+  });
+
+  document.getElementById('saveCancel').addEventListener('click', () => {
+    document.getElementById('savePanel').hidden = true;
+  });
+
+  // Scope: everything, this popup's window, or the tabs highlighted in it.
+  document.getElementById('saveConfirm').addEventListener('click', async () => {
+    const scope = document.querySelector('input[name="saveScope"]:checked').value;
+    const data = {
+      name: document.getElementById('saveName').value,
+      tags: document.getElementById('saveTags').value
+    };
+    if (scope === 'window') data.windowId = await currentWindowId();
+    if (scope === 'selected') {
+      const selected = await chrome.tabs.query({ windowId: await currentWindowId(), highlighted: true });
+      data.tabIds = selected.map((t) => t.id);
+    }
+    const res = await sendCommand('saveSession', data);
     if (res && res.session) {
       showStatus('セッションを保存しました');
+      document.getElementById('savePanel').hidden = true;
       loadSessions();
       updateDomainStats();
     } else {
@@ -151,6 +823,61 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  document.getElementById('sessionSearch').addEventListener('input', renderSessions);
+  document.getElementById('sessionSort').addEventListener('change', renderSessions);
+
+  document.getElementById('detailClose').addEventListener('click', closeSessionDetail);
+  document.getElementById('detailSaveInfo').addEventListener('click', async () => {
+    const ok = await editDetailSession('info', {
+      name: document.getElementById('detailName').value,
+      tags: document.getElementById('detailTags').value,
+      notes: document.getElementById('detailNotes').value
+    });
+    if (ok) showStatus('セッションを更新しました');
+  });
+  document.getElementById('detailAddTab').addEventListener('click', async () => {
+    const [tab] = await chrome.tabs.query({ windowId: await currentWindowId(), active: true });
+    if (!tab) return;
+    if (await editDetailSession('addTab', { tabId: tab.id })) showStatus('タブを追加しました');
+  });
+  document.getElementById('detailRestore').addEventListener('click', async () => {
+    const res = await sendCommand('restoreSession', { id: detailSessionId });
+    if (res && res.ok) showStatus('セッションを復元しました');
+    else showStatus('セッションの復元に失敗しました', true);
+  });
+  // Copy in the chosen export format, e.g. Markdown to paste into chat.
+  document.getElementById('detailCopy').addEventListener('click', async () => {
+    const format = document.getElementById('exportFormat').value;
+    const res = await sendCommand('formatSessions', { ids: [detailSessionId], format });
+    try {
+      await navigator.clipboard.writeText(res.text);
+      showStatus('クリップボードにコピーしました');
+    } catch (e) {
+      showStatus('コピーに失敗しました', true);
+    }
+  });
+  document.getElementById('exportAllBtn').addEventListener('click', async () => {
+    const res = await sendCommand('exportAllSessions', { format: document.getElementById('exportFormat').value });
+    if (!res || !res.ok) showStatus('エクスポートに失敗しました', true);
+  });
+  document.getElementById('detailMerge').addEventListener('click', async () => {
+    const select = document.getElementById('detailMergeSource');
+    if (!select.value) {
+      showStatus('統合するセッションを選んでください', true);
+      return;
+    }
+    const source = select.options[select.selectedIndex].text;
+    if (!confirm(`「${source}」のタブをこのセッションに追加し、「${source}」を削除しますか？`)) return;
+    const res = await sendCommand('mergeSessions', { targetId: detailSessionId, sourceId: Number(select.value) });
+    if (res && res.ok) {
+      showStatus('セッションを統合しました');
+      await loadSessions();
+      renderSessionDetail(res.session);
+    } else {
+      showStatus('セッションの統合に失敗しました', true);
+    }
+  });
+
   document.getElementById('updateThresholdBtn').addEventListener('click', async () => {
     const input = document.getElementById('thresholdInput');
     const value = parseInt(input.value, 10);
@@ -167,13 +894,29 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
 
+  document.getElementById('updateWindowLimitBtn').addEventListener('click', async () => {
+    const input = document.getElementById('windowLimitInput');
+    const value = input.value.trim() === '' ? 0 : parseInt(input.value, 10);
+    if (isNaN(value) || value < 0) {
+      showStatus('正しい数値を入力してください', true);
+      return;
+    }
+    const res = await sendCommand('setWindowLimit', { windowId: await currentWindowId(), value });
+    if (res && res.ok) {
+      showStatus(value ? `このウィンドウの上限を ${value} にしました` : 'このウィンドウの上限を解除しました');
+      updateSummaryAndProgress();
+    } else {
+      showStatus('上限の更新に失敗しました', true);
+    }
+  });
+
   // Policy toggle
   document.getElementById('updatePolicyBtn').addEventListener('click', async () => {
     const selected = document.querySelector('input[name="policy"]:checked');
     const val = selected ? selected.value : 'block';
     const res = await sendCommand('updatePolicy', { value: val });
     if (res && res.ok) {
-      showStatus(`挙動を「${val === 'block' ? 'ブロック' : '古いタブを閉じる'}」に変更しました`);
+      showStatus(`挙動を「${POLICY_LABELS[val]}」に変更しました`);
       updateSummaryAndProgress();
     } else {
       showStatus('挙動の変更に失敗しました', true);
@@ -189,22 +932,83 @@ document.addEventListener('DOMContentLoaded', () => {
   document.getElementById('importFile').addEventListener('change', async (event) => {
     const file = event.target.files[0];
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = async function () {
-      try {
-        const session = JSON.parse(reader.result);
-        const res = await sendCommand('importSession', { session });
-        if (res && res.ok) {
-          showStatus('インポートしました');
-          loadSessions();
-        } else {
-          showStatus('インポートに失敗しました', true);
-        }
-      } catch (e) {
-        showStatus('JSON の解析に失敗しました', true);
-      }
-    };
-    reader.readAsText(file);
+    // The format (JSON, OneTab, bookmarks, Markdown, URL list) is detected in the background.
+    const request = { text: await file.text(), filename: file.name };
+    let res = await sendCommand('importSession', request);
+    if (res && res.needsPassphrase) {
+      const passphrase = await askPassphrase('暗号化されたファイルのパスフレーズ');
+      if (passphrase == null) return;
+      res = await sendCommand('importSession', { ...request, passphrase });
+    }
+    const dropped = res && res.dropped ? `（開けない URL ${res.dropped} 件を除外）` : '';
+    if (res && res.ok) {
+      showStatus(`${res.imported} 件のセッションをインポートしました${dropped}`);
+      loadSessions();
+    } else {
+      const reason = res && res.error ? `: ${res.error}` : '';
+      showStatus(`インポートに失敗しました${reason}${dropped}`, true);
+    }
+  });
+
+  // Passphrase prompt (unlock, encrypted imports) and session lock
+  document.getElementById('passphraseConfirm').addEventListener('click', () => {
+    finishPassphrase(document.getElementById('passphraseInput').value);
+  });
+  document.getElementById('passphraseCancel').addEventListener('click', () => finishPassphrase(null));
+  document.getElementById('passphraseInput').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') finishPassphrase(e.target.value);
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      finishPassphrase(null);
+    }
+  });
+  document.getElementById('unlockBtn').addEventListener('click', unlockSessions);
+  document.getElementById('lockBtn').addEventListener('click', async () => {
+    await sendCommand('lockSessions');
+    closeSessionDetail();
+    loadSessions();
+    loadWorkspaces();
+    loadSearchItems().then(renderSearch);
+  });
+
+  document.getElementById('openDashboard').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('dashboard.html') });
+  });
+
+  document.getElementById('workspaceSwitchBtn').addEventListener('click', async () => {
+    const id = Number(document.getElementById('workspaceSelect').value);
+    if (!id) return;
+    showStatus('ワークスペースを切り替えています…');
+    const res = await sendCommand('switchWorkspace', { id });
+    // The popup usually closes with its window; this only shows when it survives.
+    if (res && res.ok) {
+      showStatus(`ワークスペース「${res.workspace.name}」に切り替えました`);
+      loadWorkspaces();
+    } else {
+      showStatus(res && res.error ? res.error : '切り替えに失敗しました', true);
+    }
+  });
+  document.getElementById('workspaceDeleteBtn').addEventListener('click', async () => {
+    const select = document.getElementById('workspaceSelect');
+    const id = Number(select.value);
+    if (!id) return;
+    const name = select.selectedOptions[0].textContent;
+    if (!confirm(`ワークスペース ${name} を削除しますか？開いているタブはそのまま残ります。`)) return;
+    const res = await sendCommand('deleteWorkspace', { id });
+    if (res && res.ok) {
+      showStatus('ワークスペースを削除しました');
+      loadWorkspaces();
+    } else {
+      showStatus(res && res.error ? res.error : '削除に失敗しました', true);
+    }
+  });
+  document.getElementById('workspaceCreateBtn').addEventListener('click', () => createWorkspace(true));
+  document.getElementById('workspaceCreateEmptyBtn').addEventListener('click', () => createWorkspace(false));
+
+  document.getElementById('openCleanup').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: chrome.runtime.getURL('cleanup.html') });
   });
 
   document.getElementById('openOptions').addEventListener('click', (e) => {
@@ -0,0 +1,74 @@
+import { after, before, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome-fake.js';
+import { JOURNAL_KEY } from '../lib/closed-journal.js';
+import { QUEUE_KEY } from '../lib/read-later.js';
+
+// background.js registers its listeners once per process, so every test shares one fake
+// and opens its own window with a per-window limit of 3. setTimeout is mocked so the
+// debounced layout save and similar timers never keep the process alive.
+const URLS = ['https://a.example/', 'https://b.example/', 'https://c.example/'];
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('new tabs over the limit', () => {
+  let fake;
+
+  before(async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    fake = installChrome();
+    await chrome.storage.local.set({ tabPolicy: 'block', globalLimitEnabled: false, windowLimit: 3 });
+    await import('../background.js');
+    await settle();
+  });
+
+  after(() => {
+    mock.timers.reset();
+  });
+
+  /** Open a tab in `win` and run the onCreated listeners to completion. */
+  async function openTab(win, url) {
+    const tab = fake.addTab({ windowId: win.id, url, title: url, active: false });
+    await Promise.all(chrome.tabs.onCreated.dispatch(structuredClone(tab)));
+    await settle();
+    return tab;
+  }
+
+  async function urlsIn(win) {
+    return (await chrome.tabs.query({ windowId: win.id })).map((t) => t.url);
+  }
+
+  async function journal() {
+    return (await chrome.storage.local.get(JOURNAL_KEY))[JOURNAL_KEY] || [];
+  }
+
+  test('"block" closes the new tab, journals it and says why', async () => {
+    const win = fake.addWindow(URLS);
+    await openTab(win, 'https://blocked.example/');
+    assert.deepEqual(await urlsIn(win), URLS);
+    assert.ok((await journal()).some((e) => e.url === 'https://blocked.example/' && e.reason === 'block'));
+    assert.equal(fake.notifications.at(-1).title, 'タブ上限に達しました');
+  });
+
+  test('"queue" keeps the page in the read-later list and closes the tab', async () => {
+    await chrome.storage.local.set({ tabPolicy: 'queue' });
+    const win = fake.addWindow(URLS);
+    await openTab(win, 'https://later.example/');
+    assert.deepEqual(await urlsIn(win), URLS);
+    const { [QUEUE_KEY]: queue } = await chrome.storage.local.get(QUEUE_KEY);
+    assert.deepEqual(queue.map((e) => e.url), ['https://later.example/']);
+  });
+
+  test('"trim" keeps the new tab and closes an older one', async () => {
+    await chrome.storage.local.set({ tabPolicy: 'trim' });
+    const win = fake.addWindow(URLS);
+    const tab = await openTab(win, 'https://new.example/');
+    const urls = await urlsIn(win);
+    assert.equal(urls.length, 3);
+    assert.ok(urls.includes(tab.url));
+    const trimmed = (await journal()).filter((e) => e.reason === 'trim');
+    assert.equal(trimmed.length, 1);
+    assert.ok(URLS.includes(trimmed[0].url));
+  });
+});
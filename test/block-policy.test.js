@@ -0,0 +1,87 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BLOCK_NOTICE_COOLDOWN_MS, createNoticeThrottle, newTabAction } from '../lib/block-policy.js';
+
+function tabs(count, windowId = 1) {
+  return Array.from({ length: count }, (_, i) => ({ id: i + 1, windowId, groupId: -1, url: `https://t${i}.example/` }));
+}
+
+describe('newTabAction', () => {
+  const ctx = { policy: 'block', limitSettings: { windowLimit: 3 }, groupTitles: {}, whitelistRules: [] };
+
+  test('keeps tabs within the limit', () => {
+    const open = tabs(3);
+    assert.equal(newTabAction(open[2], open, ctx), null);
+  });
+
+  test('blocks a tab over the limit and reports the limit it hit', () => {
+    const open = tabs(4);
+    const result = newTabAction(open[3], open, ctx);
+    assert.equal(result.action, 'block');
+    assert.deepEqual(result.hit, { scope: 'window', key: 'window:1', limit: 3, count: 4 });
+  });
+
+  test('reports the narrowest exceeded limit', () => {
+    const open = tabs(4).map((t) => ({ ...t, groupId: 5 }));
+    const settings = { globalLimit: 3, groupLimits: [{ title: 'Work', limit: 2 }] };
+    const result = newTabAction(open[3], open, { ...ctx, limitSettings: settings, groupTitles: { 5: 'Work' } });
+    assert.equal(result.hit.scope, 'group');
+  });
+
+  test('only counts the tab\'s own window against a window limit', () => {
+    const open = [...tabs(3, 1), ...tabs(1, 2)];
+    assert.equal(newTabAction(open[3], open, ctx), null);
+  });
+
+  test('keeps pinned tabs', () => {
+    const open = tabs(4);
+    open[3].pinned = true;
+    assert.equal(newTabAction(open[3], open, ctx), null);
+  });
+
+  test('keeps tabs whitelisted for "block", also by pending URL', () => {
+    const open = tabs(4);
+    open[3] = { ...open[3], url: '', pendingUrl: 'https://music.example/' };
+    const whitelistRules = [{ pattern: 'music.example', exempt: ['block'] }];
+    assert.equal(newTabAction(open[3], open, { ...ctx, whitelistRules }), null);
+    const trimOnly = [{ pattern: 'music.example', exempt: ['trim'] }];
+    assert.equal(newTabAction(open[3], open, { ...ctx, whitelistRules: trimOnly }).action, 'block');
+  });
+
+  test('queues instead of blocking under the "queue" policy', () => {
+    const open = tabs(4);
+    assert.equal(newTabAction(open[3], open, { ...ctx, policy: 'queue' }).action, 'queue');
+  });
+
+  test('does nothing under the other policies', () => {
+    const open = tabs(10);
+    assert.equal(newTabAction(open[9], open, { ...ctx, policy: 'trim' }), null);
+    assert.equal(newTabAction(open[9], open, { ...ctx, policy: 'none' }), null);
+  });
+});
+
+describe('createNoticeThrottle', () => {
+  test('allows one notice per cooldown and counts the skipped ones', () => {
+    const throttle = createNoticeThrottle(1000);
+    assert.equal(throttle.take(0), 0);
+    assert.equal(throttle.take(500), null);
+    assert.equal(throttle.take(1000), null);
+    assert.equal(throttle.take(1001), 2);
+    assert.equal(throttle.take(2002), 0);
+  });
+
+  test('skips are measured from the last notice shown, not the last attempt', () => {
+    const throttle = createNoticeThrottle(1000);
+    throttle.take(0);
+    for (let t = 100; t <= 1000; t += 100) assert.equal(throttle.take(t), null);
+    assert.equal(throttle.take(1050), 10);
+  });
+
+  test('defaults to the block notice cooldown', () => {
+    const throttle = createNoticeThrottle();
+    assert.equal(throttle.take(0), 0);
+    assert.equal(throttle.take(BLOCK_NOTICE_COOLDOWN_MS), null);
+    assert.equal(throttle.take(BLOCK_NOTICE_COOLDOWN_MS + 1), 1);
+  });
+});
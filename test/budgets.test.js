@@ -0,0 +1,39 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { activeFocusSchedule, parseTime, validateSchedule } from '../lib/budgets.js';
+
+describe('parseTime', () => {
+  test('reads "HH:MM" as minutes after midnight', () => {
+    assert.equal(parseTime('0:00'), 0);
+    assert.equal(parseTime('09:30'), 570);
+    assert.equal(parseTime('23:59'), 1439);
+  });
+
+  test('rejects hours past 23 and malformed times', () => {
+    for (const value of ['24:30', '25:00', '12:60', '9', '', undefined]) assert.equal(parseTime(value), null, value);
+    assert.equal(parseTime('24:00'), null);
+  });
+
+  test('accepts "24:00" only as an end time', () => {
+    assert.equal(parseTime('24:00', { end: true }), 1440);
+    assert.equal(parseTime('24:30', { end: true }), null);
+  });
+});
+
+describe('focus schedules', () => {
+  const evening = { days: [1], start: '18:00', end: '24:00', domains: ['video.example'] };
+
+  test('a window may end at midnight but not start there', () => {
+    assert.equal(validateSchedule(evening), null);
+    assert.ok(validateSchedule({ ...evening, start: '24:00', end: '06:00' }));
+    assert.ok(validateSchedule({ ...evening, end: '24:30' }));
+  });
+
+  test('a window ending at "24:00" lasts until midnight', () => {
+    const monday = (h, m) => new Date(2026, 4, 4, h, m).getTime();
+    assert.equal(activeFocusSchedule([evening], 'video.example', monday(23, 59)), evening);
+    assert.equal(activeFocusSchedule([evening], 'video.example', monday(17, 59)), null);
+    assert.equal(activeFocusSchedule([evening], 'video.example', monday(24, 0)), null);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findDuplicateClusters, normalizeUrl } from '../lib/url-normalizer.js';
+
+describe('normalizeUrl', () => {
+  test('drops tracking params, fragments and trailing slashes by default', () => {
+    assert.equal(normalizeUrl('https://example.com/docs/?utm_source=x&id=2#top'), 'https://example.com/docs?id=2');
+  });
+
+  test('scheme and www only count when the rules say so', () => {
+    const rules = { ignoreScheme: true, ignoreWww: true };
+    assert.equal(normalizeUrl('http://www.example.com/a', rules), normalizeUrl('https://example.com/a', rules));
+    assert.notEqual(normalizeUrl('http://www.example.com/a'), normalizeUrl('https://example.com/a'));
+  });
+});
+
+describe('findDuplicateClusters', () => {
+  const tabs = [
+    { id: 3, windowId: 1, url: 'https://example.com/a?utm_medium=mail', lastAccessed: 30 },
+    { id: 1, windowId: 2, url: 'https://example.com/a', lastAccessed: 10 },
+    { id: 2, windowId: 1, url: 'https://example.com/a#intro', lastAccessed: 20, pinned: true },
+    { id: 4, windowId: 1, url: 'https://example.com/b' },
+    { id: 5, windowId: 1, url: '', pendingUrl: 'https://example.com/b/' }
+  ];
+
+  test('clusters tabs by normalized URL, pending URLs included', () => {
+    const clusters = findDuplicateClusters(tabs);
+    assert.deepEqual(clusters.map((c) => c.tabs.map((t) => t.id)), [[3, 1, 2], [4, 5]]);
+  });
+
+  test('keeps the copy the strategy picks', () => {
+    const survivor = (keep, context) => findDuplicateClusters(tabs, undefined, keep, context)[0].keep.id;
+    assert.equal(survivor('oldest'), 1);
+    assert.equal(survivor('recent'), 3);
+    assert.equal(survivor('pinned'), 2);
+    assert.equal(survivor('currentWindow', { currentWindowId: 1 }), 2);
+  });
+});
@@ -0,0 +1,438 @@
+/*
+ * In-memory fake of the chrome.* APIs the extension's modules use, for Node tests.
+ *
+ * Covers tabs, tabGroups, windows, storage (local, session, sync), notifications and
+ * downloads, plus the few runtime, scripting, idle and alarms calls the modules make, and
+ * no-op action, contextMenus, commands and webRequest stubs so background.js loads. Every method
+ * returns a promise like the MV3 APIs; values going in and out of storage are cloned.
+ * Events can be fired from tests with `chrome.<api>.<event>.dispatch(...args)`.
+ *
+ *   const fake = installChrome();          // sets globalThis.chrome
+ *   const win = fake.addWindow(['https://a.example/', 'https://b.example/']);
+ *   await chrome.tabs.query({ windowId: win.id });
+ *   fake.notifications / fake.downloads    // what the code under test created
+ *   fake.blur() / fake.setIdleState('idle') // the browser loses focus / the user goes idle
+ */
+
+function createEvent() {
+  const listeners = new Set();
+  return {
+    addListener: (fn) => listeners.add(fn),
+    removeListener: (fn) => listeners.delete(fn),
+    hasListener: (fn) => listeners.has(fn),
+    dispatch: (...args) => [...listeners].map((fn) => fn(...args))
+  };
+}
+
+const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+function createStorageArea(name, onChanged) {
+  const data = new Map();
+  return {
+    async get(keys) {
+      if (keys == null) return Object.fromEntries([...data].map(([k, v]) => [k, clone(v)]));
+      const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+      const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      const result = {};
+      for (const key of names) {
+        if (data.has(key)) result[key] = clone(data.get(key));
+        else if (key in defaults) result[key] = clone(defaults[key]);
+      }
+      return result;
+    },
+    async set(items) {
+      const changes = {};
+      for (const [key, value] of Object.entries(items)) {
+        changes[key] = { oldValue: clone(data.get(key)), newValue: clone(value) };
+        data.set(key, clone(value));
+      }
+      onChanged.dispatch(changes, name);
+    },
+    async remove(keys) {
+      const changes = {};
+      for (const key of [].concat(keys)) {
+        if (!data.has(key)) continue;
+        changes[key] = { oldValue: clone(data.get(key)) };
+        data.delete(key);
+      }
+      if (Object.keys(changes).length) onChanged.dispatch(changes, name);
+    },
+    async clear() {
+      await this.remove([...data.keys()]);
+    },
+    async getBytesInUse() {
+      return JSON.stringify(Object.fromEntries(data)).length;
+    }
+  };
+}
+
+export function createChromeFake() {
+  let nextId = 1;
+  const windows = new Map(); // id -> { id, focused, state, type }
+  const tabs = new Map(); // id -> tab
+  const groups = new Map(); // id -> { id, windowId, title, color, collapsed }
+  const notifications = [];
+  const downloads = [];
+  const alarms = new Map();
+  let lastFocusedId = null;
+  let browserFocused = true;
+  let idleState = 'active';
+
+  const find = (map, id, what) => {
+    if (!map.has(id)) throw new Error(`No ${what} with id: ${id}.`);
+    return map.get(id);
+  };
+  const tabsOf = (windowId) => [...tabs.values()].filter((t) => t.windowId === windowId).sort((a, b) => a.index - b.index);
+  const reindex = (windowId) => tabsOf(windowId).forEach((t, i) => { t.index = i; });
+  const windowView = (win, populate) => ({ ...win, focused: browserFocused && win.id === lastFocusedId, tabs: populate ? tabsOf(win.id).map(clone) : undefined });
+
+  const onChanged = createEvent();
+  const tabEvents = {
+    onCreated: createEvent(),
+    onRemoved: createEvent(),
+    onUpdated: createEvent(),
+    onActivated: createEvent(),
+    onMoved: createEvent(),
+    onAttached: createEvent()
+  };
+  const windowEvents = { onCreated: createEvent(), onRemoved: createEvent(), onFocusChanged: createEvent() };
+
+  function addTab(props = {}) {
+    const windowId = props.windowId != null ? props.windowId : lastFocusedId;
+    find(windows, windowId, 'window');
+    const siblings = tabsOf(windowId);
+    const tab = {
+      id: nextId++,
+      windowId,
+      index: siblings.length,
+      url: '',
+      title: '',
+      active: siblings.length === 0,
+      pinned: false,
+      discarded: false,
+      audible: false,
+      highlighted: false,
+      groupId: -1,
+      status: 'complete',
+      lastAccessed: Date.now(),
+      ...props
+    };
+    tab.windowId = windowId;
+    if (props.index != null) {
+      siblings.filter((t) => t.index >= props.index).forEach((t) => { t.index++; });
+    } else {
+      tab.index = siblings.length;
+    }
+    if (tab.active) siblings.forEach((t) => { t.active = false; });
+    tabs.set(tab.id, tab);
+    reindex(windowId);
+    return tab;
+  }
+
+  function addWindow(urls = [], props = {}) {
+    const win = { id: nextId++, state: 'normal', type: 'normal', incognito: false, ...props };
+    windows.set(win.id, win);
+    if (props.focused !== false || lastFocusedId == null) lastFocusedId = win.id;
+    urls.forEach((entry, i) => {
+      const tabProps = typeof entry === 'string' ? { url: entry, title: entry } : entry;
+      addTab({ active: i === 0, ...tabProps, windowId: win.id });
+    });
+    return win;
+  }
+
+  function removeTab(id) {
+    const tab = find(tabs, id, 'tab');
+    tabs.delete(id);
+    const rest = tabsOf(tab.windowId);
+    if (tab.active && rest.length) rest[Math.min(tab.index, rest.length - 1)].active = true;
+    reindex(tab.windowId);
+    for (const groupId of [...groups.keys()]) {
+      if (![...tabs.values()].some((t) => t.groupId === groupId)) groups.delete(groupId);
+    }
+    const isWindowClosing = rest.length === 0;
+    tabEvents.onRemoved.dispatch(id, { windowId: tab.windowId, isWindowClosing });
+    if (isWindowClosing) {
+      windows.delete(tab.windowId);
+      if (lastFocusedId === tab.windowId) lastFocusedId = windows.size ? [...windows.keys()].pop() : null;
+      windowEvents.onRemoved.dispatch(tab.windowId);
+    }
+  }
+
+  function matchesQuery(tab, q) {
+    const win = windows.get(tab.windowId);
+    if (q.windowId != null && q.windowId !== -2 && tab.windowId !== q.windowId) return false;
+    if ((q.currentWindow || q.lastFocusedWindow || q.windowId === -2) && tab.windowId !== lastFocusedId) return false;
+    if (q.windowType && (!win || win.type !== q.windowType)) return false;
+    for (const key of ['active', 'pinned', 'discarded', 'audible', 'highlighted', 'status', 'groupId', 'index']) {
+      if (q[key] != null && tab[key] !== q[key]) return false;
+    }
+    if (q.url != null && ![].concat(q.url).includes(tab.url)) return false;
+    return true;
+  }
+
+  const chrome = {
+    runtime: {
+      id: 'fakeextensionid',
+      lastError: undefined,
+      getURL: (path) => `chrome-extension://fakeextensionid/${path.replace(/^\//, '')}`,
+      getManifest: () => ({ manifest_version: 3, version: '0.0.0' }),
+      onMessage: createEvent(),
+      onMessageExternal: createEvent(),
+      onInstalled: createEvent(),
+      onStartup: createEvent()
+    },
+
+    storage: {
+      onChanged,
+      local: createStorageArea('local', onChanged),
+      session: createStorageArea('session', onChanged),
+      sync: createStorageArea('sync', onChanged)
+    },
+
+    windows: {
+      WINDOW_ID_NONE: -1,
+      WINDOW_ID_CURRENT: -2,
+      ...windowEvents,
+      async get(id, { populate = false } = {}) {
+        return windowView(find(windows, id, 'window'), populate);
+      },
+      async getAll({ populate = false, windowTypes } = {}) {
+        return [...windows.values()]
+          .filter((w) => !windowTypes || windowTypes.includes(w.type))
+          .map((w) => windowView(w, populate));
+      },
+      async getLastFocused({ populate = false } = {}) {
+        return windowView(find(windows, lastFocusedId, 'window'), populate);
+      },
+      async getCurrent(options) {
+        return this.getLastFocused(options);
+      },
+      async create(data = {}) {
+        const win = addWindow([], { state: data.state || 'normal', type: data.type || 'normal', focused: data.focused !== false });
+        if (data.tabId != null) {
+          const tab = find(tabs, data.tabId, 'tab');
+          const from = tab.windowId;
+          tab.windowId = win.id;
+          tab.index = 0;
+          tab.active = true;
+          reindex(from);
+        } else {
+          const urls = data.url == null ? ['chrome://newtab/'] : [].concat(data.url);
+          urls.forEach((url, i) => {
+            const tab = addTab({ windowId: win.id, url, title: url, active: i === 0 });
+            tabEvents.onCreated.dispatch(clone(tab));
+          });
+        }
+        windowEvents.onCreated.dispatch(windowView(win, false));
+        return windowView(win, true);
+      },
+      async update(id, props) {
+        const win = find(windows, id, 'window');
+        const { focused, ...rest } = props;
+        Object.assign(win, rest);
+        if (focused) {
+          lastFocusedId = id;
+          browserFocused = true;
+          windowEvents.onFocusChanged.dispatch(id);
+        }
+        return windowView(win, false);
+      },
+      async remove(id) {
+        find(windows, id, 'window');
+        for (const tab of tabsOf(id)) removeTab(tab.id);
+        if (windows.has(id)) {
+          windows.delete(id);
+          windowEvents.onRemoved.dispatch(id);
+        }
+      }
+    },
+
+    tabs: {
+      TAB_ID_NONE: -1,
+      ...tabEvents,
+      async get(id) {
+        return clone(find(tabs, id, 'tab'));
+      },
+      async query(q = {}) {
+        return [...tabs.values()]
+          .sort((a, b) => a.windowId - b.windowId || a.index - b.index)
+          .filter((t) => matchesQuery(t, q))
+          .map(clone);
+      },
+      async create(props = {}) {
+        const tab = addTab({
+          windowId: props.windowId,
+          url: props.url || 'chrome://newtab/',
+          title: props.url || '',
+          active: props.active !== false,
+          pinned: !!props.pinned,
+          index: props.index
+        });
+        tabEvents.onCreated.dispatch(clone(tab));
+        return clone(tab);
+      },
+      async update(id, props) {
+        const tab = find(tabs, id, 'tab');
+        const changeInfo = {};
+        if (props.active) tabsOf(tab.windowId).forEach((t) => { t.active = t.id === id; });
+        for (const key of ['url', 'pinned', 'muted', 'highlighted']) {
+          if (key in props && tab[key] !== props[key]) changeInfo[key] = tab[key] = props[key];
+        }
+        if (Object.keys(changeInfo).length) tabEvents.onUpdated.dispatch(id, changeInfo, clone(tab));
+        return clone(tab);
+      },
+      async remove(ids) {
+        for (const id of [].concat(ids)) removeTab(id);
+      },
+      async discard(id) {
+        const tab = find(tabs, id, 'tab');
+        if (tab.active) throw new Error('Cannot discard the active tab.');
+        tab.discarded = true;
+        return clone(tab);
+      },
+      async move(ids, { windowId, index }) {
+        const moved = [];
+        for (const id of [].concat(ids)) {
+          const tab = find(tabs, id, 'tab');
+          const from = tab.windowId;
+          if (windowId != null) {
+            find(windows, windowId, 'window');
+            tab.windowId = windowId;
+          }
+          tab.index = index === -1 || index == null ? Infinity : index - 0.5;
+          reindex(from);
+          reindex(tab.windowId);
+          moved.push(clone(tab));
+        }
+        return Array.isArray(ids) ? moved : moved[0];
+      },
+      async group({ tabIds, groupId, createProperties = {} }) {
+        const ids = [].concat(tabIds);
+        let group = groupId != null ? find(groups, groupId, 'group') : null;
+        if (!group) {
+          const windowId = createProperties.windowId != null ? createProperties.windowId : find(tabs, ids[0], 'tab').windowId;
+          group = { id: nextId++, windowId, title: '', color: 'grey', collapsed: false };
+          groups.set(group.id, group);
+        }
+        for (const id of ids) {
+          const tab = find(tabs, id, 'tab');
+          if (tab.windowId !== group.windowId) throw new Error('Tabs must be in the same window as the group.');
+          tab.groupId = group.id;
+        }
+        return group.id;
+      },
+      async ungroup(ids) {
+        for (const id of [].concat(ids)) find(tabs, id, 'tab').groupId = -1;
+      }
+    },
+
+    tabGroups: {
+      TAB_GROUP_ID_NONE: -1,
+      onUpdated: createEvent(),
+      async get(id) {
+        return clone(find(groups, id, 'group'));
+      },
+      async query(q = {}) {
+        return [...groups.values()]
+          .filter((g) => (q.windowId == null || g.windowId === q.windowId) && (q.title == null || g.title === q.title))
+          .map(clone);
+      },
+      async update(id, props) {
+        Object.assign(find(groups, id, 'group'), props);
+        return clone(groups.get(id));
+      }
+    },
+
+    notifications: {
+      onClicked: createEvent(),
+      onButtonClicked: createEvent(),
+      onClosed: createEvent(),
+      async create(id, options) {
+        if (typeof id === 'object') [id, options] = ['', id];
+        const notificationId = id || `notification-${nextId++}`;
+        notifications.push({ id: notificationId, ...clone(options) });
+        return notificationId;
+      },
+      async clear(id) {
+        const i = notifications.findIndex((n) => n.id === id);
+        if (i !== -1) notifications.splice(i, 1);
+        return i !== -1;
+      }
+    },
+
+    downloads: {
+      async download(options) {
+        const id = nextId++;
+        downloads.push({ id, ...clone(options) });
+        return id;
+      }
+    },
+
+    // Form-input detection in lib/trim-score.js; pages never have unsent input here.
+    scripting: {
+      async executeScript() {
+        return [{ result: false }];
+      }
+    },
+
+    idle: {
+      onStateChanged: createEvent(),
+      setDetectionInterval() {},
+      async queryState() {
+        return idleState;
+      }
+    },
+
+    action: {
+      async setBadgeText() {},
+      async setTitle() {},
+      async openPopup() {}
+    },
+
+    contextMenus: {
+      onClicked: createEvent(),
+      create(properties, callback) {
+        if (callback) callback();
+        return properties.id;
+      },
+      async removeAll() {}
+    },
+
+    commands: { onCommand: createEvent() },
+
+    webRequest: { onCompleted: createEvent(), onErrorOccurred: createEvent() },
+
+    alarms: {
+      onAlarm: createEvent(),
+      async create(name, info) {
+        alarms.set(name, { name, ...clone(info) });
+      },
+      async get(name) {
+        return clone(alarms.get(name));
+      },
+      async getAll() {
+        return [...alarms.values()].map(clone);
+      },
+      async clear(name) {
+        return alarms.delete(name);
+      }
+    }
+  };
+
+  const blur = () => { browserFocused = false; };
+  const setIdleState = (state) => { idleState = state; };
+
+  return { chrome, addWindow, addTab, notifications, downloads, blur, setIdleState };
+}
+
+/** Create a fake and install it as globalThis.chrome. */
+export function installChrome() {
+  const fake = createChromeFake();
+  globalThis.chrome = fake.chrome;
+  return fake;
+}
+
+/** Text of a data: URL as written by downloadText() in lib/session-store.js. */
+export function dataUrlText(url) {
+  return decodeURIComponent(url.slice(url.indexOf(',') + 1));
+}
@@ -0,0 +1,33 @@
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome-fake.js';
+import { QUEUE_KEY, QUEUE_LIMIT, enqueue, getQueue, moveEntry, takeEntry } from '../lib/read-later.js';
+
+describe('read-later queue', () => {
+  beforeEach(() => {
+    installChrome();
+  });
+
+  test('keeps pages in order and a queued URL in its place', async () => {
+    const a = await enqueue({ url: 'https://a.example/', title: 'A', windowId: 1 });
+    await enqueue({ url: 'https://b.example/', windowId: 1 });
+    assert.equal((await enqueue({ url: 'https://a.example/', windowId: 2 })).id, a.id);
+    assert.deepEqual((await getQueue()).map((e) => e.url), ['https://a.example/', 'https://b.example/']);
+
+    assert.equal(await moveEntry(a.id, 5), true);
+    assert.equal((await takeEntry()).url, 'https://b.example/');
+    assert.equal((await takeEntry()).url, 'https://a.example/');
+    assert.equal(await takeEntry(), null);
+  });
+
+  test('a full queue refuses new pages instead of dropping them', async () => {
+    const full = Array.from({ length: QUEUE_LIMIT }, (_, i) => ({ id: i + 1, url: `https://t${i}.example/`, title: '', queuedAt: 0 }));
+    await chrome.storage.local.set({ [QUEUE_KEY]: full });
+    assert.equal(await enqueue({ url: 'https://new.example/', windowId: 1 }), null);
+    assert.equal((await enqueue({ url: 'https://t0.example/', windowId: 1 })).id, 1, 'an already queued URL is still found');
+    const queue = await getQueue();
+    assert.equal(queue.length, QUEUE_LIMIT);
+    assert.equal(queue[0].url, 'https://t0.example/');
+  });
+});
@@ -0,0 +1,159 @@
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dataUrlText, installChrome } from './helpers/chrome-fake.js';
+import { FORMATS, exportSessions, importSessions } from '../lib/session-formats.js';
+import { captureSession, restoreSession } from '../lib/sessions.js';
+import {
+  addSession,
+  deleteSession,
+  downloadSessions,
+  getSession,
+  getSessions,
+  lock,
+  setPassphrase,
+  unlock,
+  updateSession
+} from '../lib/session-store.js';
+import { parseEnvelope } from '../lib/session-crypto.js';
+import { rememberLayout } from '../lib/snapshots.js';
+
+function session(id, name, windows) {
+  return {
+    id,
+    name,
+    created: id,
+    version: 2,
+    tags: [],
+    notes: '',
+    windows: windows.map((tabs) => ({
+      focused: false,
+      state: 'normal',
+      groups: [],
+      tabs: tabs.map(([url, title], index) => ({ url, title, pinned: false, index, groupId: -1 }))
+    }))
+  };
+}
+
+const WORK = session(1000, 'Work', [
+  [['https://mail.example.com/', 'Mail'], ['https://docs.example.com/a?b=1', 'Docs & Notes']],
+  [['https://tracker.example.com/issues/1', 'Issue | 1']]
+]);
+const READING = session(2000, 'Reading', [[['https://news.example.org/', 'News']]]);
+
+// What survives a format: URLs per window, and titles where the format has them.
+function shape(sessions, { titles = true } = {}) {
+  return sessions.map((s) => s.windows.map((w) => w.tabs.map((t) => (titles ? [t.url, t.title] : t.url))));
+}
+
+describe('session formats', () => {
+  for (const format of Object.keys(FORMATS)) {
+    test(`${format} round-trips windows, URLs and titles`, () => {
+      const text = exportSessions([WORK, READING], format);
+      const { sessions, dropped, format: detected } = importSessions(text, { filename: `x.${FORMATS[format].extension}` });
+      assert.equal(detected, format);
+      assert.equal(dropped, 0);
+      const titles = format !== 'urls';
+      // OneTab and URL lists have no session boundaries, so everything comes back as one session.
+      assert.deepEqual(shape(sessions, { titles }).flat(), shape([WORK, READING], { titles }).flat());
+      if (format !== 'urls' && format !== 'onetab') assert.deepEqual(sessions.map((s) => s.name), ['Work', 'Reading']);
+    });
+  }
+
+  test('a single JSON session keeps its name, tags and notes', () => {
+    const tagged = { ...WORK, tags: ['a', 'b'], notes: 'memo', auto: true };
+    const text = exportSessions([tagged], 'json');
+    assert.equal(JSON.parse(text).auto, undefined, 'internal markers are not exported');
+    const [back] = importSessions(text, { format: 'json' }).sessions;
+    assert.deepEqual([back.name, back.tags, back.notes], ['Work', ['a', 'b'], 'memo']);
+  });
+
+  test('imports drop privileged and script URLs', () => {
+    const text = 'https://ok.example/\nchrome://settings/\njavascript:alert(1)\n';
+    const { sessions, dropped } = importSessions(text, { format: 'urls', name: 'Mixed' });
+    assert.equal(dropped, 2);
+    assert.deepEqual(shape(sessions, { titles: false }), [[['https://ok.example/']]]);
+    assert.equal(sessions[0].name, 'Mixed');
+  });
+});
+
+describe('session store', () => {
+  let fake;
+  beforeEach(() => {
+    fake = installChrome();
+  });
+
+  test('adds, updates and deletes sessions', async () => {
+    const a = await addSession(WORK);
+    const b = await addSession({ ...READING, id: a.id });
+    assert.ok(b.id > a.id, 'a clashing id is bumped');
+    assert.deepEqual((await getSessions()).map((s) => s.name), ['Work', 'Reading']);
+
+    const renamed = await updateSession(a.id, (s) => ({ ...s, name: 'Job', created: 1 }));
+    assert.equal(renamed.name, 'Job');
+    assert.equal(renamed.created, WORK.created, 'created cannot be changed');
+    assert.ok(renamed.modified > 0);
+    assert.equal(await updateSession(12345, (s) => s), null);
+
+    await deleteSession(a.id);
+    assert.equal(await getSession(a.id), null);
+    assert.deepEqual((await getSessions()).map((s) => s.id), [b.id]);
+  });
+
+  test('concurrent writes are not lost', async () => {
+    await Promise.all([1, 2, 3, 4].map((n) => addSession({ ...READING, id: n, name: `S${n}` })));
+    assert.deepEqual((await getSessions()).map((s) => s.name).sort(), ['S1', 'S2', 'S3', 'S4']);
+  });
+
+  test('captures open windows and restores them', async () => {
+    fake.addWindow([{ url: 'https://a.example/', title: 'A', pinned: true }, 'https://b.example/']);
+    fake.addWindow(['https://c.example/']);
+    const captured = await captureSession('Now');
+    assert.deepEqual(shape([captured], { titles: false }), [[['https://a.example/', 'https://b.example/'], ['https://c.example/']]]);
+    assert.equal(captured.windows[0].tabs[0].pinned, true);
+
+    for (const w of await chrome.windows.getAll()) await chrome.windows.remove(w.id);
+    await restoreSession(captured);
+    const urls = (await chrome.tabs.query({})).map((t) => t.url).sort();
+    assert.deepEqual(urls, ['https://a.example/', 'https://b.example/', 'https://c.example/']);
+  });
+
+  test('downloads an export that imports back', async () => {
+    await downloadSessions([WORK], 'markdown', 'my/work');
+    const [download] = fake.downloads;
+    assert.equal(download.filename, 'my_work.md');
+    assert.equal(download.saveAs, true);
+    const { sessions } = importSessions(dataUrlText(download.url), { filename: download.filename });
+    assert.deepEqual(shape(sessions), shape([WORK]));
+  });
+
+  test('encrypts stored sessions and exports with a passphrase', async () => {
+    await addSession(WORK);
+    await setPassphrase('correct horse');
+    const stored = await chrome.storage.local.get(null);
+    assert.equal(stored.savedSessions, undefined);
+    assert.ok(stored.savedSessionsEncrypted);
+
+    await downloadSessions([WORK], 'onetab', 'work');
+    const [download] = fake.downloads;
+    assert.equal(download.filename, 'work.encrypted.json');
+    assert.ok(parseEnvelope(dataUrlText(download.url)));
+
+    await lock();
+    await assert.rejects(getSessions(), /ロック/);
+    await unlock('correct horse');
+    assert.deepEqual((await getSessions()).map((s) => s.name), ['Work']);
+  });
+
+  test('leaves no plain URLs in local storage while encrypted', async () => {
+    fake.addWindow(['https://private.example/inbox']);
+    await addSession(WORK);
+    await rememberLayout();
+    await setPassphrase('correct horse');
+    await rememberLayout();
+    const stored = JSON.stringify(await chrome.storage.local.get(null));
+    for (const url of ['https://private.example/inbox', 'https://mail.example.com/']) {
+      assert.ok(!stored.includes(url), `${url} is not stored in plain text`);
+    }
+  });
+});
@@ -0,0 +1,39 @@
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome-fake.js';
+import { encodeItem, startSync } from '../lib/sync.js';
+import { addSession, getSessions } from '../lib/session-store.js';
+
+const SETTINGS = { categories: { sessions: true } };
+
+function session(id, name) {
+  return { id, name, created: id, version: 2, tags: [], notes: '', windows: [] };
+}
+
+async function setup() {
+  installChrome();
+  await chrome.storage.local.set({ savedSessions: [session(1000, 'Local')] });
+  const remote = { sessions: [session(2000, 'Remote')], deleted: [] };
+  await chrome.storage.sync.set(await encodeItem('savedSessions', remote, 1, 'other-device'));
+}
+
+describe('session sync', () => {
+  beforeEach(setup);
+
+  test('merges remote sessions into local ones', async () => {
+    await startSync(SETTINGS);
+    assert.deepEqual((await getSessions()).map((s) => s.name).sort(), ['Local', 'Remote']);
+  });
+
+  test('a pull racing addSession loses neither the merge nor the new session', async () => {
+    // Start addSession at different points of the pull's read-merge-write.
+    for (let ticks = 0; ticks < 12; ticks++) {
+      await setup();
+      const pulled = startSync(SETTINGS);
+      for (let i = 0; i < ticks; i++) await null;
+      await Promise.all([pulled, addSession(session(3000, 'New'))]);
+      assert.deepEqual((await getSessions()).map((s) => s.name).sort(), ['Local', 'New', 'Remote'], `${ticks} ticks`);
+    }
+  });
+});
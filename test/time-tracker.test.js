@@ -0,0 +1,141 @@
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome-fake.js';
+import { dayKey } from '../lib/stats.js';
+import {
+  flush,
+  handleActivated,
+  handleFocusChanged,
+  handleIdleChanged,
+  handleRemoved,
+  handleUpdated,
+  setExclusion,
+  startTracking
+} from '../lib/time-tracker.js';
+
+const START = new Date(2026, 4, 1, 10, 0, 0).getTime();
+const MINUTE = 60000;
+
+describe('domain time accounting', () => {
+  let fake;
+  let now;
+  let win;
+
+  beforeEach(() => {
+    fake = installChrome();
+    now = START;
+    mock.method(Date, 'now', () => now);
+    setExclusion(null);
+    win = fake.addWindow(['https://mail.example.com/', 'https://news.example.org/']);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  async function activate(index) {
+    const [tab] = await chrome.tabs.query({ windowId: win.id, index });
+    await chrome.tabs.update(tab.id, { active: true });
+    await handleActivated(tab.id);
+    return tab;
+  }
+
+  test('counts time per domain for the active tab', async () => {
+    await activate(0);
+    now += 5 * MINUTE;
+    await activate(1);
+    now += 2 * MINUTE;
+    const { domainTimes, domainDaily } = await flush();
+    assert.deepEqual(domainTimes, { 'mail.example.com': 5 * MINUTE, 'news.example.org': 2 * MINUTE });
+    assert.deepEqual(domainDaily[dayKey(START)], domainTimes);
+    assert.deepEqual((await chrome.storage.local.get('domainTimes')).domainTimes, domainTimes);
+  });
+
+  test('adds to earlier totals and does not count time twice', async () => {
+    await chrome.storage.local.set({ domainTimes: { 'mail.example.com': MINUTE } });
+    await activate(0);
+    now += MINUTE;
+    await flush();
+    now += MINUTE;
+    const { domainTimes } = await flush();
+    assert.deepEqual(domainTimes, { 'mail.example.com': 3 * MINUTE });
+  });
+
+  test('stops while the browser is unfocused, idle or locked', async () => {
+    await activate(0);
+    now += MINUTE;
+    await handleFocusChanged(chrome.windows.WINDOW_ID_NONE);
+    now += 10 * MINUTE;
+    await handleFocusChanged(win.id);
+    now += MINUTE;
+    await handleIdleChanged('idle');
+    now += 10 * MINUTE;
+    await handleIdleChanged('active');
+    now += MINUTE;
+    await handleIdleChanged('locked');
+    now += 10 * MINUTE;
+    const { domainTimes } = await flush();
+    assert.deepEqual(domainTimes, { 'mail.example.com': 3 * MINUTE });
+  });
+
+  test('keeps counting while idle when the tab plays audio, but not when locked', async () => {
+    const tab = await activate(0);
+    await handleUpdated(tab.id, { audible: true }, { ...tab, audible: true });
+    await handleIdleChanged('idle');
+    now += 4 * MINUTE;
+    await handleIdleChanged('locked');
+    now += 4 * MINUTE;
+    const { domainTimes } = await flush();
+    assert.deepEqual(domainTimes, { 'mail.example.com': 4 * MINUTE });
+  });
+
+  test('follows navigation and stops when the tab closes', async () => {
+    const tab = await activate(0);
+    now += MINUTE;
+    await handleUpdated(tab.id, { url: 'https://video.example.net/watch' }, tab);
+    now += 2 * MINUTE;
+    await handleRemoved(tab.id);
+    now += 5 * MINUTE;
+    const { domainTimes } = await flush();
+    assert.deepEqual(domainTimes, { 'mail.example.com': MINUTE, 'video.example.net': 2 * MINUTE });
+  });
+
+  test('counts the tab that is already open when tracking starts', async () => {
+    await startTracking();
+    now += 3 * MINUTE;
+    const { domainTimes } = await flush();
+    assert.deepEqual(domainTimes, { 'mail.example.com': 3 * MINUTE });
+    assert.ok(await chrome.alarms.get('time-flush'));
+  });
+
+  test('starts idle or unfocused when the browser is', async () => {
+    fake.setIdleState('idle');
+    await startTracking();
+    now += MINUTE;
+    await handleIdleChanged('active');
+    now += MINUTE;
+    fake.blur();
+    await startTracking();
+    now += 5 * MINUTE;
+    const { domainTimes } = await flush();
+    assert.deepEqual(domainTimes, { 'mail.example.com': MINUTE });
+  });
+
+  test('ignores background windows, non-web pages and excluded URLs', async () => {
+    await activate(0);
+    const other = fake.addWindow(['chrome://settings/'], { focused: false });
+    const [settings] = await chrome.tabs.query({ windowId: other.id });
+    await handleActivated(settings.id);
+    now += MINUTE;
+    await chrome.windows.update(other.id, { focused: true });
+    await handleFocusChanged(other.id);
+    now += MINUTE;
+    setExclusion((url) => url.includes('news.example.org'));
+    await chrome.windows.update(win.id, { focused: true });
+    await activate(1);
+    now += MINUTE;
+    const { domainTimes } = await flush();
+    assert.deepEqual(domainTimes, { 'mail.example.com': MINUTE });
+  });
+});
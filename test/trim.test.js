@@ -0,0 +1,105 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome-fake.js';
+import { planScoredTrim, trimClosable } from '../lib/trim-score.js';
+import { planTrim } from '../lib/limits.js';
+
+const HOUR = 3600000;
+const NOW = 1700000000000;
+
+function tab(id, props = {}) {
+  return { id, windowId: 1, groupId: -1, url: `https://site${id}.example/`, lastAccessed: NOW - id * HOUR, ...props };
+}
+
+// Recency only, so the expected order is easy to read.
+const RECENCY = { recency: 1, audible: 0, grouped: 0, domainTime: 0, protect: 0, formInput: 0 };
+
+async function victims(tabs, options = {}) {
+  const plan = await planScoredTrim(tabs, {
+    limitSettings: { windowLimit: 3, ...options.limitSettings },
+    groupTitles: options.groupTitles || {},
+    isClosable: options.isClosable || trimClosable({ now: NOW }),
+    weights: options.weights || RECENCY,
+    ctx: { now: NOW, ...options.ctx }
+  });
+  return plan.map((p) => p.tab.id);
+}
+
+describe('trimClosable', () => {
+  const closable = trimClosable({
+    exemptions: { 2: NOW + 1000, 3: NOW - 1000 },
+    whitelistRules: [{ pattern: 'keep.example', exempt: ['trim'] }, { pattern: 'other.example', exempt: ['block'] }],
+    now: NOW
+  });
+
+  test('keeps pinned, exempted and whitelisted tabs', () => {
+    assert.ok(!closable(tab(1, { pinned: true })));
+    assert.ok(!closable(tab(2)));
+    assert.ok(closable(tab(3)), 'an expired exemption no longer applies');
+    assert.ok(!closable(tab(4, { url: 'https://www.keep.example/' })));
+    assert.ok(closable(tab(5, { url: 'https://other.example/' })), 'only "trim" rules count');
+  });
+
+  test('skips discarded and active tabs when discarding instead of closing', () => {
+    const discarding = trimClosable({ discardInstead: true, now: NOW });
+    assert.ok(!discarding(tab(1, { discarded: true })));
+    assert.ok(!discarding(tab(2, { active: true })));
+    assert.ok(discarding(tab(3)));
+    assert.ok(trimClosable({ now: NOW })(tab(4, { active: true })));
+  });
+});
+
+describe('planScoredTrim', () => {
+  test('closes the least recently used tabs first', async () => {
+    const tabs = [1, 2, 3, 4, 5].map((id) => tab(id));
+    assert.deepEqual(await victims(tabs), [5, 4]);
+  });
+
+  test('weights change the order', async () => {
+    const tabs = [tab(1), tab(2), tab(3, { audible: true }), tab(4), tab(5)];
+    assert.deepEqual(await victims(tabs, { weights: { ...RECENCY, audible: 5 } }), [5, 4]);
+    const grouped = [tab(1), tab(2), tab(3), tab(4, { groupId: 9 }), tab(5)];
+    assert.deepEqual(await victims(grouped, { weights: { ...RECENCY, grouped: 1 } }), [5, 3]);
+  });
+
+  test('never closes pinned, whitelisted or "never" protected tabs', async () => {
+    const tabs = [
+      tab(1),
+      tab(2),
+      tab(3, { pinned: true }),
+      tab(4, { url: 'https://keep.example/' }),
+      tab(5, { url: 'https://safe.example/' }),
+      tab(6)
+    ];
+    const isClosable = trimClosable({ whitelistRules: [{ pattern: 'keep.example', exempt: ['trim'] }], now: NOW });
+    const ctx = { protect: [{ domain: 'safe.example', level: 'never' }] };
+    assert.deepEqual(await victims(tabs, { isClosable, ctx }), [6, 2, 1]);
+  });
+
+  test('trims a group before its window and the global cap', async () => {
+    const tabs = [
+      tab(1, { groupId: 7 }),
+      tab(2, { groupId: 7 }),
+      tab(3, { groupId: 7 }),
+      tab(4),
+      tab(5, { windowId: 2 })
+    ];
+    const limitSettings = { windowLimit: 0, globalLimit: 3, groupLimits: [{ title: 'Docs', limit: 2 }] };
+    assert.deepEqual(await victims(tabs, { limitSettings, groupTitles: { 7: 'Docs' } }), [3, 5]);
+  });
+
+  test('keeps tabs with unsent form input when it has a weight', async () => {
+    const fake = installChrome();
+    fake.chrome.scripting.executeScript = async ({ target }) => [{ result: target.tabId === 5 }];
+    const tabs = [1, 2, 3, 4, 5].map((id) => tab(id));
+    assert.deepEqual(await victims(tabs, { weights: { ...RECENCY, formInput: 5 } }), [4, 3]);
+  });
+});
+
+describe('planTrim', () => {
+  test('does nothing within the limits', () => {
+    const tabs = [tab(1), tab(2)];
+    assert.deepEqual(planTrim(tabs, { windowLimit: 2 }, {}, () => true, () => 0), []);
+  });
+});
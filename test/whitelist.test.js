@@ -0,0 +1,88 @@
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome-fake.js';
+import { EXEMPTIONS, fromDomainList, isExempt, matchesPattern, parsePatternList } from '../lib/whitelist.js';
+import { migrateStorage } from '../lib/schema.js';
+
+describe('matchesPattern', () => {
+  test('a plain host covers its subdomains', () => {
+    assert.ok(matchesPattern('https://example.com/a', 'example.com'));
+    assert.ok(matchesPattern('https://mail.example.com/', 'example.com'));
+    assert.ok(!matchesPattern('https://notexample.com/', 'example.com'));
+  });
+
+  test('"*." matches subdomains only', () => {
+    assert.ok(matchesPattern('https://docs.example.com/', '*.example.com'));
+    assert.ok(!matchesPattern('https://example.com/', '*.example.com'));
+  });
+
+  test('host plus path must match the whole path', () => {
+    assert.ok(matchesPattern('https://github.com/our-org/repo?tab=1', 'github.com/our-org/*'));
+    assert.ok(!matchesPattern('https://github.com/other/repo', 'github.com/our-org/*'));
+  });
+
+  test('regular expressions test the full URL', () => {
+    assert.ok(matchesPattern('https://intra.corp/', '/^https:\\/\\/intra\\./i'));
+    assert.ok(!matchesPattern('http://intra.corp/', '/^https:\\/\\/intra\\./i'));
+  });
+
+  test('invalid patterns and URLs never match', () => {
+    assert.ok(!matchesPattern('https://example.com/', '*'));
+    assert.ok(!matchesPattern('https://example.com/', '/([/'));
+    assert.ok(!matchesPattern('not a url', 'example.com'));
+  });
+});
+
+describe('isExempt', () => {
+  const rules = [
+    { pattern: 'mail.example.com', exempt: ['trim', 'discard'] },
+    { pattern: 'music.example.com', exempt: ['block'] }
+  ];
+
+  test('applies only the exemptions a rule lists', () => {
+    assert.ok(isExempt('https://mail.example.com/inbox', rules, 'trim'));
+    assert.ok(isExempt('https://mail.example.com/inbox', rules, 'discard'));
+    assert.ok(!isExempt('https://mail.example.com/inbox', rules, 'block'));
+    assert.ok(isExempt('https://music.example.com/', rules, 'block'));
+    assert.ok(!isExempt('https://music.example.com/', rules, 'trim'));
+  });
+
+  test('missing URLs or rules are never exempt', () => {
+    assert.ok(!isExempt('', rules, 'trim'));
+    assert.ok(!isExempt(undefined, rules, 'trim'));
+    assert.ok(!isExempt('https://mail.example.com/', undefined, 'trim'));
+  });
+});
+
+describe('pattern lists', () => {
+  test('parsePatternList splits on real line breaks, LF and CRLF', () => {
+    assert.deepEqual(parsePatternList('a.com\nb.com\r\n  c.com  \n\n'), ['a.com', 'b.com', 'c.com']);
+  });
+
+  test('parsePatternList keeps a literal backslash-n inside a pattern', () => {
+    // Regression: the options page once split on the two characters "\\n" instead of a line break.
+    assert.deepEqual(parsePatternList('a.com\\nb.com'), ['a.com\\nb.com']);
+  });
+
+  test('fromDomainList splits entries saved with a literal "\\n"', () => {
+    const rules = fromDomainList(['A.com\\nb.com', 'c.com', 42]);
+    assert.deepEqual(rules.map((r) => r.pattern), ['a.com', 'b.com', 'c.com']);
+    assert.ok(rules.every((r) => r.exempt.length === EXEMPTIONS.length));
+  });
+});
+
+describe('whitelist migration', () => {
+  beforeEach(() => {
+    installChrome();
+  });
+
+  test('an old domain whitelist becomes rules, one per line', async () => {
+    await chrome.storage.local.set({ schemaVersion: 1, domainWhitelist: ['a.com\\nb.com'] });
+    await migrateStorage();
+    const data = await chrome.storage.local.get(null);
+    assert.equal(data.domainWhitelist, undefined);
+    assert.deepEqual(data.whitelistRules.map((r) => r.pattern), ['a.com', 'b.com']);
+    assert.ok(isExempt('https://www.b.com/', data.whitelistRules, 'block'));
+  });
+});
@@ -0,0 +1,62 @@
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installChrome } from './helpers/chrome-fake.js';
+import { RECORDS_KEY, matchRecords, rememberWindowLimits, windowFingerprint } from '../lib/window-limits.js';
+
+const RESEARCH = ['https://a.example/1', 'https://a.example/2', 'https://b.example/', 'https://c.example/'];
+
+function tabsIn(windowId, urls) {
+  return urls.map((url, i) => ({ id: windowId * 100 + i, windowId, url }));
+}
+
+describe('matchRecords', () => {
+  const records = [{ windowId: 4, limit: 60, urls: windowFingerprint(tabsIn(4, RESEARCH)) }];
+
+  test('gives a pending limit to the window with mostly the same pages', () => {
+    const tabs = [...tabsIn(1, ['https://mail.example/']), ...tabsIn(2, [...RESEARCH.slice(1), 'https://d.example/'])];
+    const result = matchRecords(records, tabs, {});
+    assert.deepEqual(result.matched, { 2: 60 });
+    assert.equal(result.records[0].windowId, 2);
+  });
+
+  test('leaves records pending when no window is close enough', () => {
+    const tabs = tabsIn(1, [RESEARCH[0], 'https://x.example/', 'https://y.example/', 'chrome://newtab/']);
+    assert.deepEqual(matchRecords(records, tabs, {}).matched, {});
+  });
+
+  test('skips records and windows that already have an override', () => {
+    const tabs = tabsIn(2, RESEARCH);
+    assert.deepEqual(matchRecords(records, tabs, { 2: 10 }).matched, {});
+    assert.deepEqual(matchRecords(records, tabs, { 4: 60 }).matched, {});
+  });
+
+  test('new-tab pages never match', () => {
+    const blank = [{ windowId: 4, limit: 5, urls: windowFingerprint(tabsIn(4, ['chrome://newtab/'])) }];
+    assert.deepEqual(matchRecords(blank, tabsIn(1, ['chrome://newtab/']), {}).matched, {});
+  });
+});
+
+describe('rememberWindowLimits', () => {
+  let fake;
+  beforeEach(() => {
+    fake = installChrome();
+  });
+
+  test('records the URLs of overridden windows and keeps closed ones pending', async () => {
+    const research = fake.addWindow(RESEARCH);
+    const other = fake.addWindow(['https://mail.example/']);
+    await rememberWindowLimits({ [research.id]: 60, [other.id]: 3 });
+    await chrome.windows.remove(research.id);
+    const records = await rememberWindowLimits({ [other.id]: 3 });
+    assert.deepEqual(records.map((r) => [r.windowId, r.limit]), [[other.id, 3], [research.id, 60]]);
+    assert.deepEqual(records[1].urls, [...RESEARCH].sort());
+    assert.deepEqual((await chrome.storage.local.get(RECORDS_KEY))[RECORDS_KEY], records);
+  });
+
+  test('forgets a window whose override was cleared', async () => {
+    const win = fake.addWindow(RESEARCH);
+    await rememberWindowLimits({ [win.id]: 60 });
+    assert.deepEqual(await rememberWindowLimits({}, { forget: win.id }), []);
+  });
+});